@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Give posts from before carousels the `media` list
+ *
+ * Those posts only have `imageUrl`, and lean reads do not apply schema
+ * defaults, so they came back without `media`. Their image becomes a single
+ * item with no upload and no known size; posts without an image get an
+ * empty list. Run once after deploying carousels:
+ *   npm run posts:backfill-media
+ */
+require('dotenv').config();
+
+const Post = require('../src/models/Post');
+const { connectDB, disconnectDB } = require('../src/utils/database');
+
+const run = async () => {
+  await connectDB();
+
+  const withImage = await Post.updateMany(
+    {
+      imageUrl: { $nin: [null, ''] },
+      $or: [{ media: { $exists: false } }, { media: { $size: 0 } }]
+    },
+    [
+      {
+        $set: {
+          media: [{
+            media: null,
+            url: '$imageUrl',
+            thumbnailUrl: '',
+            width: null,
+            height: null,
+            altText: '',
+            crop: null
+          }]
+        }
+      }
+    ],
+    { timestamps: false }
+  );
+
+  const withoutImage = await Post.updateMany(
+    { media: { $exists: false } },
+    { media: [] },
+    { timestamps: false }
+  );
+
+  console.log(`Backfilled media on ${withImage.modifiedCount} posts with an image and ${withoutImage.modifiedCount} without`);
+};
+
+run()
+  .then(async () => {
+    await disconnectDB();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error(`Post media backfill failed: ${error.message}`);
+    await disconnectDB().catch(() => {});
+    process.exit(1);
+  });
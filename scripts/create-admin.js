@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Bootstrap the first admin account
+ *
+ * Promotes an existing user, or creates a new one when a password is given:
+ *   npm run admin:create -- --email admin@example.com
+ *   npm run admin:create -- --email admin@example.com --username admin \
+ *     --password 'change-me' --first-name Site --last-name Admin
+ *
+ * Refuses to run once an admin exists unless --force is passed; after that,
+ * roles are managed through PATCH /api/admin/users/:id/role.
+ */
+require('dotenv').config();
+
+const User = require('../src/models/User');
+const RoleService = require('../src/services/roleService');
+const { connectDB, disconnectDB } = require('../src/utils/database');
+const { ROLES } = require('../src/utils/constants');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+
+    const key = argv[i].slice(2).replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.email && !args.username) {
+    throw new Error('Pass --email or --username of the account to promote');
+  }
+
+  await connectDB();
+
+  if (!args.force && await RoleService.countAdmins() > 0) {
+    throw new Error('An admin already exists; use the admin API or pass --force');
+  }
+
+  let user = await User.findOne(args.email
+    ? { email: String(args.email).toLowerCase() }
+    : { username: String(args.username).toLowerCase() });
+
+  if (!user) {
+    if (!args.password || !args.email || !args.username) {
+      throw new Error('User not found; pass --email, --username and --password to create one');
+    }
+
+    user = await User.create({
+      username: String(args.username).toLowerCase(),
+      email: String(args.email).toLowerCase(),
+      password: String(args.password),
+      firstName: args.firstName || 'Admin',
+      lastName: args.lastName || 'User',
+      isVerified: true
+    });
+    console.log(`Created user ${user.username}`);
+  }
+
+  const { changed } = await RoleService.changeRole(
+    user,
+    { role: ROLES.ADMIN },
+    { reason: 'Bootstrap admin' }
+  );
+
+  console.log(changed
+    ? `${user.username} is now an admin`
+    : `${user.username} is already an admin`);
+};
+
+run()
+  .then(async () => {
+    await disconnectDB();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error(`Admin bootstrap failed: ${error.message}`);
+    await disconnectDB().catch(() => {});
+    process.exit(1);
+  });
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Copy every user's privacy setting onto their posts
+ *
+ * Posts carry `authorIsPrivate` so feeds can filter without joining users.
+ * Run once after deploying private accounts, or whenever the two drift:
+ *   npm run posts:sync-privacy
+ */
+require('dotenv').config();
+
+const User = require('../src/models/User');
+const Post = require('../src/models/Post');
+const { connectDB, disconnectDB } = require('../src/utils/database');
+
+const run = async () => {
+  await connectDB();
+
+  const privateIds = await User.distinct('_id', { 'preferences.isPrivate': true });
+
+  const [madePrivate, madePublic] = await Promise.all([
+    Post.updateMany(
+      { author: { $in: privateIds }, authorIsPrivate: { $ne: true } },
+      { authorIsPrivate: true }
+    ),
+    Post.updateMany(
+      { author: { $nin: privateIds }, authorIsPrivate: { $ne: false } },
+      { authorIsPrivate: false }
+    )
+  ]);
+
+  console.log(`${privateIds.length} private accounts; marked ${madePrivate.modifiedCount} posts private and ${madePublic.modifiedCount} public`);
+};
+
+run()
+  .then(async () => {
+    await disconnectDB();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error(`Post privacy sync failed: ${error.message}`);
+    await disconnectDB().catch(() => {});
+    process.exit(1);
+  });
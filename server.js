@@ -1,6 +1,9 @@
 const app = require('./src/app');
 const { connectDB } = require('./src/utils/database');
 const logger = require('./src/utils/logger');
+const performanceRollupJob = require('./src/jobs/performanceRollupJob');
+const scheduledPostsJob = require('./src/jobs/scheduledPostsJob');
+const RealtimeService = require('./src/services/realtimeService');
 
 const PORT = process.env.PORT || 3000;
 
@@ -9,6 +12,13 @@ const startServer = async () => {
   try {
     // Connect to MongoDB
     await connectDB();
+
+    // Start background jobs
+    performanceRollupJob.start();
+    scheduledPostsJob.start();
+
+    // Receive real-time events published by every instance
+    RealtimeService.start();
     
     // Start server
     app.listen(PORT, () => {
@@ -1,4 +1,5 @@
 const express = require('express');
+const path = require('path');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
@@ -9,6 +10,11 @@ const authRoutes = require('./routes/auth');
 const postRoutes = require('./routes/posts');
 const userRoutes = require('./routes/users');
 const feedRoutes = require('./routes/feed');
+const adminRoutes = require('./routes/admin');
+const mediaRoutes = require('./routes/media');
+const realtimeRoutes = require('./routes/realtime');
+const notificationRoutes = require('./routes/notifications');
+const bookmarkRoutes = require('./routes/bookmarks');
 
 const rateLimiting = require('./middleware/rateLimiting');
 const logger = require('./utils/logger');
@@ -51,11 +57,26 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Uploaded images, when they are kept on local disk
+if ((process.env.MEDIA_STORAGE || 'local') === 'local') {
+  app.use('/uploads', express.static(path.resolve(process.env.MEDIA_UPLOAD_DIR || 'uploads'), {
+    maxAge: '30d',
+    immutable: true,
+    // Let the frontend, served from another origin, embed the images
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/feed', feedRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -67,7 +88,12 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       posts: '/api/posts',
       users: '/api/users',
-      feed: '/api/feed'
+      feed: '/api/feed',
+      admin: '/api/admin',
+      media: '/api/media',
+      realtime: '/api/realtime',
+      notifications: '/api/notifications',
+      bookmarks: '/api/bookmarks'
     }
   });
 });
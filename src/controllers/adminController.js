@@ -0,0 +1,337 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Report = require('../models/Report');
+const AuditLog = require('../models/AuditLog');
+const RoleService = require('../services/roleService');
+const ModerationService = require('../services/moderationService');
+const {
+  HTTP_STATUS,
+  DEFAULT_PAGE_SIZE,
+  ERROR_MESSAGES,
+  ROLES,
+  PERMISSIONS
+} = require('../utils/constants');
+const logger = require('../utils/logger');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Admin Controller
+ * Handles user administration, the moderation queue and the audit log
+ */
+class AdminController {
+  /**
+   * List users with their roles
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getUsers(req, res) {
+    try {
+      const { role, q, page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+      const skip = (pageNum - 1) * limitNum;
+
+      const query = {};
+      if (role) {
+        query.role = role;
+      }
+      if (q) {
+        const pattern = new RegExp(`^${escapeRegex(q.toLowerCase())}`);
+        query.$or = [{ username: pattern }, { email: pattern }];
+      }
+
+      const [users, totalCount] = await Promise.all([
+        User.find(query)
+          .select('username email firstName lastName role permissions isVerified createdAt lastActiveAt')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limitNum),
+        User.countDocuments(query)
+      ]);
+
+      res.json({
+        message: 'Users retrieved successfully',
+        users,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalCount / limitNum),
+          totalUsers: totalCount,
+          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
+          hasPrevPage: pageNum > 1
+        }
+      });
+
+    } catch (error) {
+      logger.error('Admin get users error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get users',
+        message: 'An error occurred while fetching users'
+      });
+    }
+  }
+
+  /**
+   * Change a user's role and extra permissions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateUserRole(req, res) {
+    try {
+      const { id } = req.params;
+      const { role, permissions, reason } = req.body;
+
+      const user = await User.findById(id);
+      if (!user) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.USER_NOT_FOUND,
+          message: 'The requested user does not exist'
+        });
+      }
+
+      // Admins cannot lock themselves out
+      if (user._id.equals(req.user._id)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.CANNOT_CHANGE_OWN_ROLE,
+          message: 'Ask another admin to change your role'
+        });
+      }
+
+      if (user.role === ROLES.ADMIN && role !== ROLES.ADMIN &&
+          await RoleService.countAdmins(user._id) === 0) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.LAST_ADMIN,
+          message: 'Promote another admin before demoting this one'
+        });
+      }
+
+      const { changed, auditLog } = await RoleService.changeRole(
+        user,
+        { role, permissions },
+        { actor: req.user._id, reason, ip: req.ip }
+      );
+
+      res.json({
+        message: changed ? 'User role updated successfully' : 'User role unchanged',
+        user: {
+          _id: user._id,
+          username: user.username,
+          role: user.role,
+          permissions: user.permissions
+        },
+        auditLogId: auditLog ? auditLog._id : null
+      });
+
+    } catch (error) {
+      logger.error('Admin update user role error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Role update failed',
+        message: 'An error occurred while updating the user role'
+      });
+    }
+  }
+
+  /**
+   * Get audit log entries, newest first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAuditLogs(req, res) {
+    try {
+      const { action, actor, target, page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+      const skip = (pageNum - 1) * limitNum;
+
+      const query = {};
+      if (action) {
+        query.action = action;
+      }
+      if (actor) {
+        query.actor = new mongoose.Types.ObjectId(actor);
+      }
+      if (target) {
+        query.target = new mongoose.Types.ObjectId(target);
+      }
+
+      const [logs, totalCount] = await Promise.all([
+        AuditLog.find(query)
+          .populate('actor', 'username firstName lastName role')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limitNum),
+        AuditLog.countDocuments(query)
+      ]);
+
+      res.json({
+        message: 'Audit logs retrieved successfully',
+        logs,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalCount / limitNum),
+          totalLogs: totalCount,
+          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
+          hasPrevPage: pageNum > 1
+        }
+      });
+
+    } catch (error) {
+      logger.error('Admin get audit logs error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get audit logs',
+        message: 'An error occurred while fetching audit logs'
+      });
+    }
+  }
+
+  /**
+   * Get the moderation queue: posts with open reports, most reported first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getReports(req, res) {
+    try {
+      const { reason, page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+      const skip = (pageNum - 1) * limitNum;
+
+      const { items, total } = await Report.getQueue({ limit: limitNum, skip, reason });
+
+      res.json({
+        message: 'Moderation queue retrieved successfully',
+        queue: items,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalPosts: total,
+          hasNextPage: pageNum < Math.ceil(total / limitNum),
+          hasPrevPage: pageNum > 1
+        }
+      });
+
+    } catch (error) {
+      logger.error('Admin get reports error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get reports',
+        message: 'An error occurred while fetching the moderation queue'
+      });
+    }
+  }
+
+  /**
+   * Get a reported post together with every report filed against it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getPostReports(req, res) {
+    try {
+      const { id } = req.params;
+
+      const post = await Post.findById(id)
+        .populate('author', 'username firstName lastName profilePicture avatar.small warningsCount suspendedUntil');
+
+      if (!post) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: 'Post not found',
+          message: 'The requested post does not exist'
+        });
+      }
+
+      const reports = await Report.find({ post: post._id })
+        .populate('reporter', 'username firstName lastName')
+        .populate('resolution.moderator', 'username')
+        .sort({ createdAt: -1 });
+
+      res.json({
+        message: 'Reports retrieved successfully',
+        post,
+        reports
+      });
+
+    } catch (error) {
+      logger.error('Admin get post reports error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get reports',
+        message: 'An error occurred while fetching reports'
+      });
+    }
+  }
+
+  /**
+   * Resolve the open reports against a post with a moderation action
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async resolveReports(req, res) {
+    try {
+      const { id } = req.params;
+      const { action, note, suspendDays } = req.body;
+
+      if (action === 'suspend' && !req.user.hasPermission(PERMISSIONS.USERS_SUSPEND)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          error: 'Access Denied',
+          message: `Missing permission: ${PERMISSIONS.USERS_SUSPEND}`
+        });
+      }
+
+      const post = await Post.findById(id);
+      if (!post) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: 'Post not found',
+          message: 'The requested post does not exist'
+        });
+      }
+
+      const openReports = await Report.countDocuments({ post: post._id, status: 'open' });
+      if (openReports === 0) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.NO_OPEN_REPORTS,
+          message: 'This post has no open reports to resolve'
+        });
+      }
+
+      const { author, resolvedReports } = await ModerationService.resolvePost(post, action, {
+        moderator: req.user._id,
+        note,
+        suspendDays,
+        ip: req.ip
+      });
+
+      res.json({
+        message: 'Reports resolved successfully',
+        post: {
+          _id: post._id,
+          isActive: post.isActive,
+          moderationStatus: post.moderationStatus
+        },
+        author: author ? {
+          _id: author._id,
+          username: author.username,
+          warningsCount: author.warningsCount,
+          suspendedUntil: author.suspendedUntil
+        } : null,
+        resolvedReports
+      });
+
+    } catch (error) {
+      logger.error('Admin resolve reports error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to resolve reports',
+        message: 'An error occurred while resolving reports'
+      });
+    }
+  }
+}
+
+module.exports = AdminController;
@@ -1,4 +1,9 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const TokenService = require('../services/tokenService');
+const EmailVerificationService = require('../services/emailVerificationService');
+const PasswordResetService = require('../services/passwordResetService');
 const { HTTP_STATUS, ERROR_MESSAGES } = require('../utils/constants');
 const logger = require('../utils/logger');
 
@@ -40,18 +45,25 @@ class AuthController {
 
       await user.save();
 
-      // Generate JWT token
-      const token = user.generateToken();
+      // Start a session with an access/refresh token pair
+      const tokens = await TokenService.issueTokens(user, AuthController.getClientContext(req));
 
       // Remove password from response
       const userResponse = user.toJSON();
 
       logger.info(`New user registered: ${username} (${email})`);
 
+      // A failed delivery should not fail the registration; the user can resend
+      EmailVerificationService.sendVerificationEmail(user).catch(error => {
+        logger.error('Verification email error:', error);
+      });
+
       res.status(HTTP_STATUS.CREATED).json({
         message: 'User registered successfully',
         user: userResponse,
-        token
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
       });
 
     } catch (error) {
@@ -118,12 +130,20 @@ class AuthController {
         });
       }
 
+      if (user.isSuspended()) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          error: ERROR_MESSAGES.ACCOUNT_SUSPENDED,
+          message: `Your account is suspended until ${user.suspendedUntil.toISOString()}`,
+          suspendedUntil: user.suspendedUntil
+        });
+      }
+
       // Update last active timestamp
       user.lastActiveAt = new Date();
       await user.save();
 
-      // Generate JWT token
-      const token = user.generateToken();
+      // Start a session with an access/refresh token pair
+      const tokens = await TokenService.issueTokens(user, AuthController.getClientContext(req));
 
       // Remove password from response
       const userResponse = user.toJSON();
@@ -133,7 +153,9 @@ class AuthController {
       res.json({
         message: 'Login successful',
         user: userResponse,
-        token
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
       });
 
     } catch (error) {
@@ -172,24 +194,34 @@ class AuthController {
   }
 
   /**
-   * Refresh JWT token
+   * Exchange a refresh token for a new access/refresh token pair
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   static async refreshToken(req, res) {
     try {
-      // User is attached to req by auth middleware
-      const user = req.user;
+      const { refreshToken } = req.body;
 
-      // Generate new token
-      const token = user.generateToken();
+      const tokens = await TokenService.rotateRefreshToken(
+        refreshToken,
+        AuthController.getClientContext(req)
+      );
 
       res.json({
         message: 'Token refreshed successfully',
-        token
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
       });
 
     } catch (error) {
+      if (error instanceof TokenService.RefreshTokenError) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          error: ERROR_MESSAGES.INVALID_REFRESH_TOKEN,
+          message: error.message
+        });
+      }
+
       logger.error('Token refresh error:', error);
       
       res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
@@ -200,14 +232,14 @@ class AuthController {
   }
 
   /**
-   * Logout user (client-side token removal)
+   * Logout user by revoking the current session
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   static async logout(req, res) {
     try {
-      // In a JWT-based system, logout is typically handled client-side
-      // by removing the token. This endpoint acknowledges the logout.
+      // Revokes the session's refresh tokens and denylists its access tokens
+      await TokenService.revokeSession(req.sessionId, 'logout');
       
       logger.info(`User logged out: ${req.user?.username}`);
 
@@ -225,6 +257,185 @@ class AuthController {
     }
   }
 
+  /**
+   * Verify email address with a token from the verification email
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async verifyEmail(req, res) {
+    try {
+      const { token } = req.body;
+
+      const { user, alreadyVerified } = await EmailVerificationService.verifyToken(token);
+
+      res.json({
+        message: alreadyVerified ? 'Email is already verified' : 'Email verified successfully',
+        user: user.toJSON()
+      });
+
+    } catch (error) {
+      if (error instanceof EmailVerificationService.VerificationTokenError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.INVALID_VERIFICATION_TOKEN,
+          message: error.message
+        });
+      }
+
+      logger.error('Email verification error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Email verification failed',
+        message: 'An error occurred while verifying your email'
+      });
+    }
+  }
+
+  /**
+   * Send a new verification email to the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async resendVerificationEmail(req, res) {
+    try {
+      const user = req.user;
+
+      if (user.isVerified) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          error: ERROR_MESSAGES.ALREADY_VERIFIED,
+          message: 'Your email address is already verified'
+        });
+      }
+
+      await EmailVerificationService.sendVerificationEmail(user);
+
+      logger.info(`Verification email resent to user ${user.username}`);
+
+      res.json({
+        message: `Verification email sent to ${user.email}`
+      });
+
+    } catch (error) {
+      logger.error('Resend verification email error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to send verification email',
+        message: 'An error occurred while sending the verification email'
+      });
+    }
+  }
+
+  /**
+   * Request a password reset email
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+
+      // Respond before looking the account up so neither the body nor the timing reveals whether it exists
+      PasswordResetService.requestReset(email).catch(error => {
+        logger.error('Password reset request error:', error);
+      });
+
+      res.json({
+        message: 'If an account exists for this email, a password reset link has been sent'
+      });
+
+    } catch (error) {
+      logger.error('Forgot password error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Password reset failed',
+        message: 'An error occurred while requesting a password reset'
+      });
+    }
+  }
+
+  /**
+   * Set a new password with a token from the reset email
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async resetPassword(req, res) {
+    try {
+      const { token, password } = req.body;
+
+      await PasswordResetService.resetPassword(token, password);
+
+      res.json({
+        message: 'Password reset successfully, please login with your new password'
+      });
+
+    } catch (error) {
+      if (error instanceof PasswordResetService.PasswordResetError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.INVALID_RESET_TOKEN,
+          message: error.message
+        });
+      }
+
+      logger.error('Reset password error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Password reset failed',
+        message: 'An error occurred while resetting your password'
+      });
+    }
+  }
+
+  /**
+   * Change the current user's password
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async changePassword(req, res) {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const user = await User.findById(req.user._id).select('+password');
+
+      const isPasswordValid = await user.comparePassword(currentPassword);
+      if (!isPasswordValid) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.INVALID_CURRENT_PASSWORD,
+          message: 'Please check your current password'
+        });
+      }
+
+      if (currentPassword === newPassword) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Invalid Password',
+          message: 'New password must be different from the current password'
+        });
+      }
+
+      user.password = newPassword;
+      await user.save();
+
+      // Sign out every other device and drop any pending reset links
+      const [revokedCount] = await Promise.all([
+        TokenService.revokeOtherSessions(user._id, req.sessionId, 'password-change'),
+        PasswordResetToken.deleteMany({ user: user._id })
+      ]);
+
+      logger.info(`Password changed by user ${user.username}`);
+
+      res.json({
+        message: 'Password changed successfully',
+        revokedSessions: revokedCount
+      });
+
+    } catch (error) {
+      logger.error('Change password error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Password change failed',
+        message: 'An error occurred while changing your password'
+      });
+    }
+  }
+
   /**
    * Check if username is available
    * @param {Object} req - Express request object
@@ -320,6 +531,117 @@ class AuthController {
       });
     }
   }
+
+  /**
+   * List the current user's active sessions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getSessions(req, res) {
+    try {
+      const sessions = await Session.getActiveSessions(req.user._id);
+
+      res.json({
+        message: 'Sessions retrieved successfully',
+        sessions: sessions.map(session => ({
+          sessionId: session.sessionId,
+          device: session.device,
+          ip: session.ip,
+          userAgent: session.userAgent,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          isCurrent: session.sessionId === req.sessionId
+        }))
+      });
+
+    } catch (error) {
+      logger.error('Get sessions error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get sessions',
+        message: 'An error occurred while fetching your sessions'
+      });
+    }
+  }
+
+  /**
+   * Revoke one of the current user's sessions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async revokeSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      const session = await Session.findOne({
+        sessionId,
+        user: req.user._id,
+        revokedAt: null
+      });
+
+      if (!session) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.SESSION_NOT_FOUND,
+          message: 'The requested session does not exist or was already revoked'
+        });
+      }
+
+      await TokenService.revokeSession(sessionId, sessionId === req.sessionId ? 'logout' : 'revoked');
+
+      logger.info(`User ${req.user.username} revoked session ${sessionId}`);
+
+      res.json({
+        message: 'Session revoked successfully',
+        sessionId
+      });
+
+    } catch (error) {
+      logger.error('Revoke session error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Session revocation failed',
+        message: 'An error occurred while revoking the session'
+      });
+    }
+  }
+
+  /**
+   * Revoke every session of the current user except this one
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async revokeOtherSessions(req, res) {
+    try {
+      const revokedCount = await TokenService.revokeOtherSessions(req.user._id, req.sessionId);
+
+      logger.info(`User ${req.user.username} revoked ${revokedCount} other sessions`);
+
+      res.json({
+        message: 'Other sessions revoked successfully',
+        revokedCount
+      });
+
+    } catch (error) {
+      logger.error('Revoke other sessions error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Session revocation failed',
+        message: 'An error occurred while revoking your other sessions'
+      });
+    }
+  }
+
+  /**
+   * Describe the client a session is created from
+   * @param {Object} req - Express request object
+   * @returns {Object} { userAgent, ip }
+   */
+  static getClientContext(req) {
+    return {
+      userAgent: (req.get('user-agent') || '').slice(0, 500),
+      ip: req.ip || ''
+    };
+  }
 }
 
 module.exports = AuthController;
\ No newline at end of file
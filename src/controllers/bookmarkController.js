@@ -0,0 +1,368 @@
+const Post = require('../models/Post');
+const Block = require('../models/Block');
+const Bookmark = require('../models/Bookmark');
+const BookmarkCollection = require('../models/BookmarkCollection');
+const FeedController = require('./feedController');
+const FollowService = require('../services/followService');
+const BlockService = require('../services/blockService');
+const { InvalidCursorError, keysetPagination } = require('../utils/cursor');
+const {
+  HTTP_STATUS,
+  DEFAULT_PAGE_SIZE,
+  ERROR_MESSAGES,
+  HIDDEN_MODERATION_STATUSES,
+  MAX_BOOKMARK_COLLECTIONS
+} = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Bookmark Controller
+ * Private collections of saved posts
+ */
+class BookmarkController {
+  /**
+   * Get the current user's collections
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCollections(req, res) {
+    try {
+      const collections = await BookmarkCollection.getForUser(req.user._id);
+
+      res.json({
+        message: 'Collections retrieved successfully',
+        collections
+      });
+
+    } catch (error) {
+      logger.error('Get collections error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get collections',
+        message: 'An error occurred while fetching your collections'
+      });
+    }
+  }
+
+  /**
+   * Create a collection
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createCollection(req, res) {
+    try {
+      const { name } = req.body;
+      const userId = req.user._id;
+
+      const collectionsCount = await BookmarkCollection.countDocuments({ user: userId });
+      if (collectionsCount >= MAX_BOOKMARK_COLLECTIONS) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.TOO_MANY_COLLECTIONS,
+          message: `You can have up to ${MAX_BOOKMARK_COLLECTIONS} collections`
+        });
+      }
+
+      const collection = await BookmarkCollection.create({ user: userId, name });
+
+      res.status(HTTP_STATUS.CREATED).json({
+        message: 'Collection created successfully',
+        collection
+      });
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          error: ERROR_MESSAGES.COLLECTION_EXISTS,
+          message: 'You already have a collection with this name'
+        });
+      }
+
+      logger.error('Create collection error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to create collection',
+        message: 'An error occurred while creating the collection'
+      });
+    }
+  }
+
+  /**
+   * Rename a collection
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async renameCollection(req, res) {
+    try {
+      const { id } = req.params;
+      const { name } = req.body;
+
+      const collection = await BookmarkCollection.findOneAndUpdate(
+        { _id: id, user: req.user._id },
+        { name },
+        { new: true, runValidators: true }
+      );
+
+      if (!collection) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.COLLECTION_NOT_FOUND,
+          message: 'The requested collection does not exist'
+        });
+      }
+
+      res.json({
+        message: 'Collection renamed successfully',
+        collection
+      });
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          error: ERROR_MESSAGES.COLLECTION_EXISTS,
+          message: 'You already have a collection with this name'
+        });
+      }
+
+      logger.error('Rename collection error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to rename collection',
+        message: 'An error occurred while renaming the collection'
+      });
+    }
+  }
+
+  /**
+   * Delete a collection and everything saved in it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteCollection(req, res) {
+    try {
+      const { id } = req.params;
+
+      const collection = await BookmarkCollection.findOneAndDelete({
+        _id: id,
+        user: req.user._id
+      });
+
+      if (!collection) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.COLLECTION_NOT_FOUND,
+          message: 'The requested collection does not exist'
+        });
+      }
+
+      await Bookmark.deleteMany({ bookmarkCollection: collection._id });
+
+      res.json({
+        message: 'Collection deleted successfully'
+      });
+
+    } catch (error) {
+      logger.error('Delete collection error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to delete collection',
+        message: 'An error occurred while deleting the collection'
+      });
+    }
+  }
+
+  /**
+   * Get the posts saved in a collection, most recently saved first
+   * Posts that were deleted, hidden or are no longer visible to the user stay
+   * saved but are left out of the list and its counts.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCollectionPosts(req, res) {
+    try {
+      const { id } = req.params;
+      const { limit = DEFAULT_PAGE_SIZE, cursor } = req.query;
+      const userId = req.user._id;
+
+      const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+
+      const pagination = keysetPagination({
+        mode: 'bookmarks',
+        filters: { collection: id },
+        sortConditions: { createdAt: -1 },
+        cursor
+      });
+
+      const collection = await BookmarkCollection.findOne({ _id: id, user: userId }).lean();
+
+      if (!collection) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.COLLECTION_NOT_FOUND,
+          message: 'The requested collection does not exist'
+        });
+      }
+
+      const [hiddenAuthorIds, visibleCondition] = await Promise.all([
+        BlockService.getHiddenAuthorIds(userId),
+        FollowService.getVisiblePostsCondition(userId)
+      ]);
+
+      const { items: results, total: totalCount } = await Bookmark.getCollectionPosts(collection._id, {
+        after: pagination.condition,
+        limit: limitNum + 1,
+        postMatch: {
+          isActive: true,
+          moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES },
+          author: { $nin: hiddenAuthorIds },
+          ...visibleCondition
+        }
+      });
+
+      // Pages are keyed on when each post was saved
+      const { items: bookmarks, hasNextPage, nextCursor } = pagination.paginate(results, limitNum);
+
+      const savedPosts = await Post.populate(
+        bookmarks.map(bookmark => ({ ...bookmark.post, savedAt: bookmark.createdAt })),
+        [
+          { path: 'author', select: 'username firstName lastName profilePicture avatar.small isVerified' },
+          Post.getOriginalPostPopulate()
+        ]
+      );
+      const posts = await FeedController.enrichPostsWithEngagement(savedPosts, userId);
+
+      res.json({
+        message: 'Collection posts retrieved successfully',
+        collection,
+        posts,
+        pagination: {
+          limit: limitNum,
+          totalPosts: totalCount,
+          hasNextPage,
+          nextCursor
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get collection posts error:', error);
+
+      if (error instanceof InvalidCursorError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Invalid cursor',
+          message: error.message
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get collection posts',
+        message: 'An error occurred while fetching the collection'
+      });
+    }
+  }
+
+  /**
+   * Save a post to a collection
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async addPost(req, res) {
+    try {
+      const { id, postId } = req.params;
+      const userId = req.user._id;
+
+      const [collection, post] = await Promise.all([
+        BookmarkCollection.findOne({ _id: id, user: userId }),
+        Post.findOne({
+          _id: postId,
+          isActive: true,
+          moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES }
+        })
+      ]);
+
+      if (!collection) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.COLLECTION_NOT_FOUND,
+          message: 'The requested collection does not exist'
+        });
+      }
+
+      if (!post || !await FollowService.canViewPost(post, req.user) ||
+          await Block.isBlockedEitherWay(userId, post.author)) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: 'Post not found',
+          message: 'The requested post does not exist'
+        });
+      }
+
+      const bookmark = await Bookmark.create({
+        user: userId,
+        post: post._id,
+        bookmarkCollection: collection._id
+      });
+
+      await BookmarkCollection.updateOne(
+        { _id: collection._id },
+        { $inc: { bookmarksCount: 1 } }
+      );
+
+      res.status(HTTP_STATUS.CREATED).json({
+        message: 'Post saved successfully',
+        bookmark
+      });
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          error: ERROR_MESSAGES.ALREADY_SAVED,
+          message: 'This post is already in the collection'
+        });
+      }
+
+      logger.error('Save post error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to save post',
+        message: 'An error occurred while saving the post'
+      });
+    }
+  }
+
+  /**
+   * Remove a post from a collection
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async removePost(req, res) {
+    try {
+      const { id, postId } = req.params;
+
+      const bookmark = await Bookmark.findOneAndDelete({
+        bookmarkCollection: id,
+        post: postId,
+        user: req.user._id
+      });
+
+      if (!bookmark) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.NOT_SAVED,
+          message: 'This post is not in the collection'
+        });
+      }
+
+      await BookmarkCollection.updateOne(
+        { _id: id, bookmarksCount: { $gt: 0 } },
+        { $inc: { bookmarksCount: -1 } }
+      );
+
+      res.json({
+        message: 'Post removed from collection successfully'
+      });
+
+    } catch (error) {
+      logger.error('Remove saved post error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to remove post',
+        message: 'An error occurred while removing the post from the collection'
+      });
+    }
+  }
+}
+
+module.exports = BookmarkController;
@@ -0,0 +1,395 @@
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Block = require('../models/Block');
+const FollowService = require('../services/followService');
+const RealtimeService = require('../services/realtimeService');
+const NotificationService = require('../services/notificationService');
+const { HTTP_STATUS, DEFAULT_PAGE_SIZE, ERROR_MESSAGES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Comment Controller
+ * Handles comments and one level of threaded replies on posts
+ */
+class CommentController {
+  /**
+   * Create a comment or a reply on a post
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createComment(req, res) {
+    try {
+      const { id } = req.params;
+      const { content, parentCommentId } = req.body;
+      const userId = req.user._id;
+
+      const post = await Post.findOne({
+        _id: id,
+        isActive: true
+      });
+
+      if (!post || !await FollowService.canViewPost(post, req.user)) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.POST_NOT_FOUND,
+          message: 'The requested post does not exist'
+        });
+      }
+
+      if (await Block.isBlockedEitherWay(userId, post.author)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          error: ERROR_MESSAGES.USER_BLOCKED,
+          message: 'You cannot interact with posts from this user'
+        });
+      }
+
+      // Respect the post author's comment setting
+      const postAuthor = await User.findById(post.author).select('preferences');
+      if (postAuthor && postAuthor.preferences && postAuthor.preferences.allowComments === false &&
+          !post.author.equals(userId)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          error: ERROR_MESSAGES.COMMENTS_DISABLED,
+          message: 'The author has disabled comments on their posts'
+        });
+      }
+
+      let parentComment = null;
+      if (parentCommentId) {
+        parentComment = await Comment.findOne({
+          _id: parentCommentId,
+          post: id,
+          isActive: true
+        });
+
+        if (!parentComment) {
+          return res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: ERROR_MESSAGES.COMMENT_NOT_FOUND,
+            message: 'The comment you are replying to does not exist'
+          });
+        }
+
+        // Only one level of replies is supported
+        if (parentComment.parentComment) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: 'Invalid reply',
+            message: 'Replies cannot be nested more than one level deep'
+          });
+        }
+      }
+
+      const comment = await Comment.create({
+        post: id,
+        author: userId,
+        content,
+        parentComment: parentComment ? parentComment._id : null
+      });
+
+      if (parentComment) {
+        await Comment.findByIdAndUpdate(parentComment._id, {
+          $inc: { repliesCount: 1 }
+        });
+      }
+
+      await post.incrementComments();
+      RealtimeService.publishPostCounts(post).catch(error => {
+        logger.error('Post counts publish error:', error);
+      });
+
+      // Reply authors hear about replies; post authors hear about the rest
+      const notification = parentComment && !parentComment.author.equals(post.author)
+        ? { type: 'reply', recipient: parentComment.author, comment: parentComment._id }
+        : { type: 'comment', recipient: post.author };
+
+      NotificationService.notify({
+        ...notification,
+        actor: userId,
+        post: post._id
+      }).catch(error => {
+        logger.error('Notification error:', error);
+      });
+
+      await comment.populate('author', 'username firstName lastName profilePicture avatar.small isVerified');
+
+      logger.info(`New comment by user ${req.user.username} on post ${id}: ${comment._id}`);
+
+      res.status(HTTP_STATUS.CREATED).json({
+        message: parentComment ? 'Reply added successfully' : 'Comment added successfully',
+        comment,
+        commentsCount: post.commentsCount
+      });
+
+    } catch (error) {
+      logger.error('Create comment error:', error);
+
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(e => ({
+          field: e.path,
+          message: e.message
+        }));
+
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: 'Please check your comment data',
+          details: errors
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Comment creation failed',
+        message: 'An error occurred while adding the comment'
+      });
+    }
+  }
+
+  /**
+   * Get top-level comments for a post
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getComments(req, res) {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+      const skip = (pageNum - 1) * limitNum;
+
+      const post = await Post.findOne({
+        _id: id,
+        isActive: true
+      });
+
+      if (!post || !await FollowService.canViewPost(post, req.user)) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.POST_NOT_FOUND,
+          message: 'The requested post does not exist'
+        });
+      }
+
+      const [comments, totalCount] = await Promise.all([
+        Comment.getPostComments(id, { skip, limit: limitNum }),
+        Comment.countDocuments({
+          post: id,
+          parentComment: null,
+          isActive: true
+        })
+      ]);
+
+      res.json({
+        message: 'Comments retrieved successfully',
+        comments,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalCount / limitNum),
+          totalComments: totalCount,
+          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
+          hasPrevPage: pageNum > 1
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get comments error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get comments',
+        message: 'An error occurred while fetching comments'
+      });
+    }
+  }
+
+  /**
+   * Get replies to a comment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getReplies(req, res) {
+    try {
+      const { id, commentId } = req.params;
+      const { page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+      const skip = (pageNum - 1) * limitNum;
+
+      const [post, comment] = await Promise.all([
+        Post.findOne({ _id: id, isActive: true }),
+        Comment.findOne({
+          _id: commentId,
+          post: id,
+          isActive: true
+        })
+      ]);
+
+      if (!post || !comment || !await FollowService.canViewPost(post, req.user)) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.COMMENT_NOT_FOUND,
+          message: 'The requested comment does not exist'
+        });
+      }
+
+      const [replies, totalCount] = await Promise.all([
+        Comment.getReplies(commentId, { skip, limit: limitNum }),
+        Comment.countDocuments({
+          parentComment: commentId,
+          isActive: true
+        })
+      ]);
+
+      res.json({
+        message: 'Replies retrieved successfully',
+        replies,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalCount / limitNum),
+          totalReplies: totalCount,
+          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
+          hasPrevPage: pageNum > 1
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get replies error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get replies',
+        message: 'An error occurred while fetching replies'
+      });
+    }
+  }
+
+  /**
+   * Edit a comment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateComment(req, res) {
+    try {
+      const { id, commentId } = req.params;
+      const { content } = req.body;
+      const userId = req.user._id;
+
+      const comment = await Comment.findOne({
+        _id: commentId,
+        post: id,
+        author: userId,
+        isActive: true
+      });
+
+      if (!comment) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.COMMENT_NOT_FOUND,
+          message: 'Comment not found or you do not have permission to edit it'
+        });
+      }
+
+      comment.content = content;
+      comment.isEdited = true;
+      comment.editedAt = new Date();
+
+      await comment.save();
+      await comment.populate('author', 'username firstName lastName profilePicture avatar.small isVerified');
+
+      logger.info(`Comment updated by user ${req.user.username}: ${comment._id}`);
+
+      res.json({
+        message: 'Comment updated successfully',
+        comment
+      });
+
+    } catch (error) {
+      logger.error('Update comment error:', error);
+
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(e => ({
+          field: e.path,
+          message: e.message
+        }));
+
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: 'Please check your comment data',
+          details: errors
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Comment update failed',
+        message: 'An error occurred while updating the comment'
+      });
+    }
+  }
+
+  /**
+   * Soft-delete a comment (comment author or post author)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteComment(req, res) {
+    try {
+      const { id, commentId } = req.params;
+      const userId = req.user._id;
+
+      const [post, comment] = await Promise.all([
+        Post.findById(id),
+        Comment.findOne({
+          _id: commentId,
+          post: id,
+          isActive: true
+        })
+      ]);
+
+      const canDelete = comment && post &&
+        (comment.author.equals(userId) || post.author.equals(userId));
+
+      if (!canDelete) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.COMMENT_NOT_FOUND,
+          message: 'Comment not found or you do not have permission to delete it'
+        });
+      }
+
+      // Soft delete
+      comment.isActive = false;
+      await comment.save();
+
+      let removedCount = 1;
+
+      if (comment.parentComment) {
+        await Comment.updateOne(
+          { _id: comment.parentComment, repliesCount: { $gt: 0 } },
+          { $inc: { repliesCount: -1 } }
+        );
+      } else {
+        // Deleting a thread hides its replies as well
+        const result = await Comment.updateMany(
+          { parentComment: comment._id, isActive: true },
+          { isActive: false }
+        );
+        removedCount += result.modifiedCount || 0;
+      }
+
+      await post.decrementComments(removedCount);
+      RealtimeService.publishPostCounts(post).catch(error => {
+        logger.error('Post counts publish error:', error);
+      });
+
+      logger.info(`Comment deleted by user ${req.user.username}: ${comment._id}`);
+
+      res.json({
+        message: 'Comment deleted successfully',
+        commentsCount: post.commentsCount
+      });
+
+    } catch (error) {
+      logger.error('Delete comment error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Comment deletion failed',
+        message: 'An error occurred while deleting the comment'
+      });
+    }
+  }
+}
+
+module.exports = CommentController;
@@ -1,15 +1,40 @@
 const Post = require('../models/Post');
 const Like = require('../models/Like');
+const Bookmark = require('../models/Bookmark');
+const Follow = require('../models/Follow');
+const Mute = require('../models/Mute');
 const RankingService = require('../services/rankingService');
 const PersonalizationService = require('../services/personalizationService');
+const ViewTrackingService = require('../services/viewTrackingService');
+const TimelineService = require('../services/timelineService');
+const FollowService = require('../services/followService');
+const BlockService = require('../services/blockService');
+const RealtimeService = require('../services/realtimeService');
 const cacheService = require('../services/cacheService');
 const { 
   HTTP_STATUS, 
   DEFAULT_PAGE_SIZE, 
   MAX_PAGE_SIZE,
   FEED_CACHE_TTL,
-  CACHE_KEYS 
+  CACHE_KEYS,
+  HIDDEN_MODERATION_STATUSES
 } = require('../utils/constants');
+const {
+  InvalidCursorError,
+  encodeCursor,
+  decodeCursor,
+  fingerprint,
+  toSortFields,
+  getKeyValues,
+  buildKeysetCondition,
+  fromKeyValues,
+  packIds,
+  unpackIds,
+  cursorCacheKey,
+  keysetPagination
+} = require('../utils/cursor');
+const { buildMutedContentCondition } = require('../utils/mutedContent');
+const { normalizeTag } = require('../utils/entities');
 const logger = require('../utils/logger');
 
 /**
@@ -25,19 +50,29 @@ class FeedController {
   static async getPersonalizedFeed(req, res) {
     try {
       const {
-        page = 1,
         limit = DEFAULT_PAGE_SIZE,
-        lastPostId,
+        cursor,
         tags,
         refresh = false
       } = req.query;
 
       const userId = req.user._id;
-      const pageNum = Math.max(1, parseInt(page));
       const limitNum = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit)));
+      const tagArray = tags ? tags.split(',').map(normalizeTag) : null;
+
+      // Cursors are only valid for the user and filters they were issued for
+      const cursorFingerprint = fingerprint({
+        user: userId.toString(),
+        tags: tagArray,
+        limit: limitNum
+      });
+
+      let state = cursor
+        ? decodeCursor(cursor, { mode: 'personalized', fingerprint: cursorFingerprint })
+        : null;
 
       // Generate cache key
-      const cacheKey = CACHE_KEYS.USER_FEED(userId) + `:${pageNum}:${limitNum}:${tags || 'all'}`;
+      const cacheKey = `${CACHE_KEYS.USER_FEED(userId)}:${cursorFingerprint}:${cursorCacheKey(cursor)}`;
 
       // Check cache if not refreshing
       if (!refresh) {
@@ -52,56 +87,70 @@ class FeedController {
         }
       }
 
+      if (!state) {
+        // Serve from the precomputed timeline when there is one; tag filters always query directly
+        const hasTimeline = !tagArray && await TimelineService.hasTimeline(userId);
+
+        if (!tagArray && !hasTimeline) {
+          TimelineService.rebuildTimeline(userId).catch(error => {
+            logger.error('Timeline rebuild error:', error);
+          });
+        }
+
+        state = { t: Date.now(), src: hasTimeline ? 'tl' : 'db' };
+
+        // Loading the top of the feed shows the posts counted in "new posts" hints
+        RealtimeService.resetNewPosts(userId).catch(error => {
+          logger.error('New posts reset error:', error);
+        });
+      }
+
       // Get user's preferred tags for personalization
       const userPreferredTags = await PersonalizationService.getUserPreferredTags(userId, {
         limit: 30,
         useCache: true
       });
 
+      const hiddenAuthorIds = await BlockService.getHiddenAuthorIds(userId, { includeMuted: true });
+      const mutedKeywords = req.user.getActiveMutedKeywords();
+
       // Build query conditions
       let queryConditions = {
         isActive: true,
-        author: { $ne: userId } // Exclude user's own posts
+        moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES }, // Hidden or awaiting moderation
+        author: { $nin: [userId, ...hiddenAuthorIds] }, // Exclude own, blocked and muted users' posts
+        ...await FollowService.getVisiblePostsCondition(userId), // Private accounts only for their followers
+        ...buildMutedContentCondition(mutedKeywords) // Muted words and tags
       };
 
       // Filter by tags if provided
-      if (tags) {
-        const tagArray = tags.split(',').map(tag => tag.trim().toLowerCase());
+      if (tagArray) {
         queryConditions.tags = { $in: tagArray };
       }
 
-      // Handle cursor-based pagination for infinite scroll
-      if (lastPostId) {
-        const lastPost = await Post.findById(lastPostId);
-        if (lastPost) {
-          queryConditions.createdAt = { $lt: lastPost.createdAt };
-        }
-      }
-
       // Get posts with enhanced ranking
-      const posts = await this.getPersonalizedPosts(
+      const { posts, nextState } = await FeedController.getPersonalizedPosts(
         queryConditions,
         userPreferredTags,
         limitNum,
-        pageNum
+        state,
+        userId,
+        mutedKeywords.tags
       );
 
       // Add engagement metadata
-      const enrichedPosts = await this.enrichPostsWithEngagement(posts, userId);
+      const enrichedPosts = await FeedController.enrichPostsWithEngagement(posts, userId);
 
-      // Calculate pagination info
-      const hasMorePosts = enrichedPosts.length === limitNum;
-      const nextLastPostId = enrichedPosts.length > 0 
-        ? enrichedPosts[enrichedPosts.length - 1]._id 
+      const nextCursor = nextState
+        ? encodeCursor({ ...nextState, m: 'personalized', q: cursorFingerprint })
         : null;
 
       const result = {
         posts: enrichedPosts,
         pagination: {
-          currentPage: pageNum,
           limit: limitNum,
-          hasNextPage: hasMorePosts,
-          nextLastPostId,
+          hasNextPage: !!nextCursor,
+          nextCursor,
           totalFetched: enrichedPosts.length
         }
       };
@@ -117,6 +166,13 @@ class FeedController {
 
     } catch (error) {
       logger.error('Get personalized feed error:', error);
+
+      if (error instanceof InvalidCursorError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Invalid cursor',
+          message: error.message
+        });
+      }
       
       res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
         error: 'Failed to get personalized feed',
@@ -126,20 +182,70 @@ class FeedController {
   }
 
   /**
-   * Get posts with personalized ranking
+   * Get a page of posts with personalized ranking
+   *
+   * Candidates are read in fixed windows of the newest posts (keyset on
+   * createdAt/_id, bounded by the ranking snapshot time `t`). Each window is
+   * ranked as of `t` and served page by page; the cursor remembers the window
+   * bounds and which of its posts were already served, so re-ranking between
+   * requests can neither repeat nor skip a post.
+   *
+   * While the user's precomputed timeline lasts (`src: 'tl'`), its entries
+   * bound each window and the database fills in every matching post between
+   * those bounds, so posts missing from the timeline are merged in rather than
+   * skipped. Windows then continue from the database below its oldest entry.
    * @param {Object} queryConditions - MongoDB query conditions
    * @param {Array} userPreferredTags - User's preferred tags
    * @param {number} limit - Number of posts to fetch
-   * @param {number} page - Page number
-   * @returns {Array} Ranked posts
+   * @param {Object} state - Decoded cursor state ({ t, src } for the first page)
+   * @param {string} userId - Current user ID
+   * @param {Array} mutedTags - Tags the user has muted, ranked down
+   * @returns {Object} { posts, nextState } where nextState is null on the last page
    */
-  static async getPersonalizedPosts(queryConditions, userPreferredTags, limit, page) {
+  static async getPersonalizedPosts(queryConditions, userPreferredTags, limit, state, userId, mutedTags = []) {
     try {
       // Fetch more posts than needed for better ranking diversity
-      const fetchLimit = Math.min(limit * 3, 100);
+      const windowSize = Math.min(limit * 3, 100);
+      const keyFields = toSortFields({ createdAt: -1 });
+
+      // A new timeline window ends at its oldest entry, unless the timeline runs out within it
+      let windowKeys = null;
+      let timelineEnd = null;
+      if (state.src === 'tl' && !state.we) {
+        windowKeys = await TimelineService.getWindow(userId, {
+          size: windowSize,
+          snapshot: state.t,
+          before: state.ws ? fromKeyValues(keyFields, state.ws) : null
+        });
+
+        if (windowKeys.length === 0) {
+          // Timeline exhausted; carry on from the database below it
+          state = { t: state.t, src: 'db', ws: state.ws || null };
+          windowKeys = null;
+        } else if (windowKeys.length === windowSize) {
+          timelineEnd = getKeyValues(windowKeys[windowKeys.length - 1], keyFields);
+        }
+      }
 
-      const posts = await Post.aggregate([
-        { $match: queryConditions },
+      const conditions = [queryConditions];
+
+      // Upper bound: end of the previous window, or the snapshot time for the first one
+      if (state.ws) {
+        conditions.push(buildKeysetCondition(keyFields, state.ws));
+      } else {
+        conditions.push({ createdAt: { $lte: new Date(state.t) } });
+      }
+
+      // Lower bound: the last post of the current window once it is known, or the timeline entry it stops at
+      const lowerBound = state.we || timelineEnd;
+      if (lowerBound) {
+        conditions.push({ $nor: [buildKeysetCondition(keyFields, lowerBound)] });
+      }
+
+      const windowPosts = await Post.aggregate([
+        { $match: { $and: conditions } },
+        { $sort: { createdAt: -1, _id: -1 } },
+        { $limit: windowSize },
         {
           $lookup: {
             from: 'users',
@@ -157,26 +263,95 @@ class FeedController {
           $project: {
             'author.password': 0,
             'author.likedTags': 0,
-            'author.email': 0
+            'author.email': 0,
+            // Feeds only show the small avatar
+            'author.avatar.medium': 0,
+            'author.avatar.large': 0,
+            'author.avatar.storage': 0,
+            'author.avatar.version': 0
           }
-        },
-        { $limit: fetchLimit }
+        }
       ]);
 
-      // Apply personalized ranking
+      // A full page of posts ends the window early; otherwise it runs to the timeline bound
+      const windowFilled = windowPosts.length === windowSize;
+      const lastPost = windowPosts.length > 0
+        ? getKeyValues(windowPosts[windowPosts.length - 1], keyFields)
+        : null;
+
+      if (windowKeys) {
+        // Deleted posts linger in timelines until read; entries past a filled window are left for later
+        const oldest = windowFilled ? windowPosts[windowPosts.length - 1].createdAt : null;
+        const found = new Set(windowPosts.map(post => post._id.toString()));
+        const stale = windowKeys
+          .filter(key => !oldest || key.createdAt > oldest)
+          .filter(key => !found.has(key._id.toString()))
+          .map(key => key._id);
+        TimelineService.pruneTimeline(userId, stale).catch(error => {
+          logger.error('Timeline prune error:', error);
+        });
+      }
+
+      const servedIds = unpackIds(state.seen);
+      const served = new Set(servedIds);
+      const windowCandidates = await FeedController.collapseReposts(windowPosts);
+      const candidates = windowCandidates.filter(post => !served.has(post._id.toString()));
+
+      // Apply personalized ranking as of the snapshot time
       const rankedPosts = RankingService.calculateBatchRankingScores(
-        posts,
-        userPreferredTags
+        candidates,
+        userPreferredTags,
+        state.t,
+        mutedTags
       );
 
       // Sort by ranking score
       const sortedPosts = RankingService.sortByRanking(rankedPosts, 'recent');
 
-      // Apply diversity to prevent similar content clustering
-      const diversifiedPosts = RankingService.applyDiversity(sortedPosts, 0.3);
+      // Apply diversity to prevent similar content clustering (seeded, so retries repeat)
+      const random = RankingService.createSeededRandom(state.t + servedIds.length);
+      const diversifiedPosts = RankingService.applyDiversity(sortedPosts, 0.3, random);
 
       // Return only the requested number of posts
-      return diversifiedPosts.slice(0, limit);
+      const posts = diversifiedPosts.slice(0, limit);
+
+      const windowEnd = state.we || (windowFilled ? lastPost : timelineEnd || lastPost);
+      const windowFull = state.we ? !!state.wf : windowFilled || !!timelineEnd;
+
+      let nextState = null;
+      if (candidates.length > posts.length) {
+        // More of this window left to serve
+        nextState = {
+          t: state.t,
+          src: state.src,
+          ws: state.ws || null,
+          we: windowEnd,
+          wf: windowFull,
+          seen: packIds([...servedIds, ...posts.map(post => post._id)])
+        };
+      } else if (windowFull && windowEnd) {
+        // Window exhausted; the next one starts after it
+        nextState = {
+          t: state.t,
+          src: state.src,
+          ws: windowEnd,
+          we: null,
+          wf: false,
+          seen: ''
+        };
+      } else if (state.src === 'tl') {
+        // Timeline exhausted; continue from the database below its oldest entry
+        nextState = {
+          t: state.t,
+          src: 'db',
+          ws: windowEnd || state.ws || null,
+          we: null,
+          wf: false,
+          seen: ''
+        };
+      }
+
+      return { posts, nextState };
 
     } catch (error) {
       logger.error('Error getting personalized posts:', error);
@@ -184,6 +359,69 @@ class FeedController {
     }
   }
 
+  /**
+   * Show each shared post once in a window of posts
+   * A post in the window hides its reposts; otherwise only its latest repost
+   * is kept. Reposts get the post they share populated and are dropped when
+   * it can no longer be shown.
+   * @param {Array} posts - Plain posts, newest first
+   * @returns {Array} Posts with duplicate shares removed
+   */
+  static async collapseReposts(posts) {
+    const shown = new Set(posts.filter(post => !post.originalPost).map(post => post._id.toString()));
+    const collapsed = posts.filter(post => {
+      if (!post.originalPost) return true;
+      const originalId = post.originalPost.toString();
+      if (shown.has(originalId)) return false;
+      shown.add(originalId);
+      return true;
+    });
+
+    const reposts = collapsed.filter(post => post.originalPost);
+    if (reposts.length === 0) {
+      return collapsed;
+    }
+
+    await Post.populate(reposts, Post.getOriginalPostPopulate());
+    const hidden = new Set(reposts.filter(post => !post.originalPost).map(post => post._id.toString()));
+
+    return collapsed.filter(post => !hidden.has(post._id.toString()));
+  }
+
+  /**
+   * Add whether the current user liked and saved each post
+   * @param {Array} posts - Array of plain posts
+   * @param {string} userId - Current user ID
+   * @returns {Array} Posts with isLiked and isSaved flags
+   */
+  static async addViewerStatus(posts, userId) {
+    if (posts.length === 0) return posts;
+
+    const postIds = posts.map(post => post._id);
+
+    // Get user's like and saved status for all posts
+    const [likeStatuses, savedStatuses] = await Promise.all([
+      Like.checkUserLikes(userId, postIds),
+      Bookmark.checkUserBookmarks(userId, postIds)
+    ]);
+
+    // Create maps for quick lookup
+    const likeStatusMap = new Map();
+    likeStatuses.forEach(status => {
+      likeStatusMap.set(status.postId, status.isLiked);
+    });
+    const savedStatusMap = new Map();
+    savedStatuses.forEach(status => {
+      savedStatusMap.set(status.postId, status.isSaved);
+    });
+
+    return posts.map(post => ({
+      ...post,
+      isLiked: likeStatusMap.get(post._id.toString()) || false,
+      isSaved: savedStatusMap.get(post._id.toString()) || false
+    }));
+  }
+
   /**
    * Enrich posts with engagement data and user interaction status
    * @param {Array} posts - Array of posts
@@ -194,21 +432,11 @@ class FeedController {
     if (posts.length === 0) return posts;
 
     try {
-      const postIds = posts.map(post => post._id);
-
-      // Get user's like status for all posts
-      const likeStatuses = await Like.checkUserLikes(userId, postIds);
-
-      // Create a map for quick lookup
-      const likeStatusMap = new Map();
-      likeStatuses.forEach(status => {
-        likeStatusMap.set(status.postId, status.isLiked);
-      });
+      const postsWithStatus = await FeedController.addViewerStatus(posts, userId);
 
       // Enrich posts with engagement data
-      return posts.map(post => ({
+      return postsWithStatus.map(post => ({
         ...post,
-        isLiked: likeStatusMap.get(post._id.toString()) || false,
         engagementRate: post.engagementRate || 0,
         ageInHours: Math.floor((Date.now() - new Date(post.createdAt).getTime()) / (1000 * 60 * 60)),
         // Add relative time for better UX
@@ -229,30 +457,31 @@ class FeedController {
   static async getGeneralFeed(req, res) {
     try {
       const {
-        page = 1,
         limit = DEFAULT_PAGE_SIZE,
         sortBy = 'recent',
         tags,
-        lastPostId
+        cursor
       } = req.query;
 
-      const pageNum = Math.max(1, parseInt(page));
       const limitNum = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit)));
+      const tagArray = tags ? tags.split(',').map(normalizeTag) : null;
 
       // Build query conditions
-      let queryConditions = { isActive: true };
+      let queryConditions = {
+        isActive: true,
+        moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES },
+        authorIsPrivate: { $ne: true }
+      };
 
-      if (tags) {
-        const tagArray = tags.split(',').map(tag => tag.trim().toLowerCase());
-        queryConditions.tags = { $in: tagArray };
+      if (req.user) {
+        queryConditions.author = {
+          $nin: await BlockService.getHiddenAuthorIds(req.user._id, { includeMuted: true })
+        };
+        Object.assign(queryConditions, buildMutedContentCondition(req.user.getActiveMutedKeywords()));
       }
 
-      // Handle cursor-based pagination
-      if (lastPostId) {
-        const lastPost = await Post.findById(lastPostId);
-        if (lastPost) {
-          queryConditions.createdAt = { $lt: lastPost.createdAt };
-        }
+      if (tagArray) {
+        queryConditions.tags = { $in: tagArray };
       }
 
       // Build sort conditions
@@ -270,34 +499,55 @@ class FeedController {
           break;
       }
 
-      const posts = await Post.find(queryConditions)
-        .populate('author', 'username firstName lastName profilePicture isVerified')
-        .sort(sortConditions)
-        .limit(limitNum)
+      // Handle cursor-based pagination for infinite scroll
+      const pagination = keysetPagination({
+        mode: 'general',
+        filters: { sortBy, tags: tagArray },
+        sortConditions,
+        cursor
+      });
+
+      if (pagination.condition) {
+        queryConditions.$and = [pagination.condition];
+      }
+
+      const results = await Post.find(queryConditions)
+        .populate('author', 'username firstName lastName profilePicture avatar.small isVerified')
+        .populate(Post.getOriginalPostPopulate())
+        .sort(pagination.sort)
+        .limit(limitNum + 1)
         .lean();
 
-      const hasMorePosts = posts.length === limitNum;
-      const nextLastPostId = posts.length > 0 
-        ? posts[posts.length - 1]._id 
-        : null;
+      const { items: posts, hasNextPage, nextCursor } = pagination.paginate(results, limitNum);
+
+      // Add engagement metadata if user is authenticated
+      const enrichedPosts = req.user
+        ? await FeedController.enrichPostsWithEngagement(posts, req.user._id)
+        : posts.map(post => ({
+          ...post,
+          timeAgo: FeedController.getRelativeTime(new Date(post.createdAt))
+        }));
 
       res.json({
         message: 'General feed retrieved successfully',
-        posts: posts.map(post => ({
-          ...post,
-          timeAgo: this.getRelativeTime(new Date(post.createdAt))
-        })),
+        posts: enrichedPosts,
         pagination: {
-          currentPage: pageNum,
           limit: limitNum,
-          hasNextPage: hasMorePosts,
-          nextLastPostId,
+          hasNextPage,
+          nextCursor,
           totalFetched: posts.length
         }
       });
 
     } catch (error) {
       logger.error('Get general feed error:', error);
+
+      if (error instanceof InvalidCursorError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Invalid cursor',
+          message: error.message
+        });
+      }
       
       res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
         error: 'Failed to get feed',
@@ -306,6 +556,102 @@ class FeedController {
     }
   }
 
+  /**
+   * Get chronological feed of posts from accounts the user follows
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getFollowingFeed(req, res) {
+    try {
+      const {
+        limit = DEFAULT_PAGE_SIZE,
+        cursor,
+        tags
+      } = req.query;
+
+      const userId = req.user._id;
+      const limitNum = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit)));
+      const tagArray = tags ? tags.split(',').map(normalizeTag) : null;
+
+      const pagination = keysetPagination({
+        mode: 'following',
+        filters: { user: userId.toString(), tags: tagArray },
+        sortConditions: { createdAt: -1 },
+        cursor
+      });
+
+      const [followingIds, mutedIds] = await Promise.all([
+        Follow.getFollowingIds(userId),
+        Mute.getMutedIds(userId)
+      ]);
+
+      if (followingIds.length === 0) {
+        return res.json({
+          message: 'Following feed retrieved successfully',
+          posts: [],
+          pagination: {
+            limit: limitNum,
+            hasNextPage: false,
+            nextCursor: null,
+            totalFetched: 0
+          }
+        });
+      }
+
+      // Build query conditions
+      const queryConditions = {
+        isActive: true,
+        moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES },
+        author: { $in: followingIds, $nin: mutedIds }
+      };
+
+      if (tagArray) {
+        queryConditions.tags = { $in: tagArray };
+      }
+
+      if (pagination.condition) {
+        queryConditions.$and = [pagination.condition];
+      }
+
+      const results = await Post.find(queryConditions)
+        .populate('author', 'username firstName lastName profilePicture avatar.small isVerified')
+        .populate(Post.getOriginalPostPopulate())
+        .sort(pagination.sort)
+        .limit(limitNum + 1)
+        .lean();
+
+      const { items: posts, hasNextPage, nextCursor } = pagination.paginate(results, limitNum);
+
+      const enrichedPosts = await FeedController.enrichPostsWithEngagement(posts, userId);
+
+      res.json({
+        message: 'Following feed retrieved successfully',
+        posts: enrichedPosts,
+        pagination: {
+          limit: limitNum,
+          hasNextPage,
+          nextCursor,
+          totalFetched: enrichedPosts.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get following feed error:', error);
+
+      if (error instanceof InvalidCursorError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Invalid cursor',
+          message: error.message
+        });
+      }
+      
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get following feed',
+        message: 'An error occurred while fetching your following feed'
+      });
+    }
+  }
+
   /**
    * Get recommended posts based on user's activity
    * @param {Object} req - Express request object
@@ -323,7 +669,8 @@ class FeedController {
         {
           limit: limitNum,
           includeFollowingPosts: true,
-          diversityLevel: 0.4
+          diversityLevel: 0.4,
+          excludeAuthorIds: await BlockService.getHiddenAuthorIds(userId, { includeMuted: true })
         }
       );
 
@@ -358,20 +705,43 @@ class FeedController {
     try {
       const {
         limit = 20,
-        timeframe = 24 // hours
+        timeframe = 24, // hours
+        cursor
       } = req.query;
 
       const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
       const timeframeHours = Math.min(168, Math.max(1, parseInt(timeframe))); // Max 1 week
 
-      const cutoffDate = new Date(Date.now() - timeframeHours * 60 * 60 * 1000);
+      const pagination = keysetPagination({
+        mode: 'trending',
+        filters: { timeframe: timeframeHours },
+        sortConditions: { finalTrendingScore: -1 },
+        cursor
+      });
+
+      // Scores decay with time, so every page is scored as of the first page
+      const snapshotTime = pagination.state ? pagination.state.t : Date.now();
+      const now = new Date(snapshotTime);
+      const cutoffDate = new Date(snapshotTime - timeframeHours * 60 * 60 * 1000);
+
+      const hiddenAuthorIds = req.user
+        ? await BlockService.getHiddenAuthorIds(req.user._id, { includeMuted: true })
+        : [];
+      const mutedContentCondition = req.user
+        ? buildMutedContentCondition(req.user.getActiveMutedKeywords())
+        : {};
 
       // Get trending posts based on engagement within timeframe
-      const trendingPosts = await Post.aggregate([
+      const results = await Post.aggregate([
         {
           $match: {
-            createdAt: { $gte: cutoffDate },
-            isActive: true
+            createdAt: { $gte: cutoffDate, $lte: now },
+            isActive: true,
+            moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES },
+            authorIsPrivate: { $ne: true },
+            author: { $nin: hiddenAuthorIds },
+            ...mutedContentCondition,
+            originalPost: null
           }
         },
         {
@@ -387,7 +757,7 @@ class FeedController {
             ageWeight: {
               $divide: [
                 timeframeHours * 60 * 60 * 1000,
-                { $add: [{ $subtract: [new Date(), '$createdAt'] }, 1] }
+                { $add: [{ $subtract: [now, '$createdAt'] }, 1] }
               ]
             }
           }
@@ -397,6 +767,9 @@ class FeedController {
             finalTrendingScore: { $multiply: ['$trendingScore', '$ageWeight'] }
           }
         },
+        ...(pagination.condition ? [{ $match: pagination.condition }] : []),
+        { $sort: pagination.sort },
+        { $limit: limitNum + 1 },
         {
           $lookup: {
             from: 'users',
@@ -415,22 +788,30 @@ class FeedController {
             'author.password': 0,
             'author.email': 0,
             'author.likedTags': 0,
+            'author.avatar.medium': 0,
+            'author.avatar.large': 0,
+            'author.avatar.storage': 0,
+            'author.avatar.version': 0,
             trendingScore: 0,
             ageWeight: 0
           }
-        },
-        { $sort: { finalTrendingScore: -1 } },
-        { $limit: limitNum }
+        }
       ]);
 
+      const { items: trendingPosts, hasNextPage, nextCursor } = pagination.paginate(
+        results,
+        limitNum,
+        { t: snapshotTime }
+      );
+
       // Add engagement metadata if user is authenticated
       let enrichedPosts = trendingPosts;
       if (req.user) {
-        enrichedPosts = await this.enrichPostsWithEngagement(trendingPosts, req.user._id);
+        enrichedPosts = await FeedController.enrichPostsWithEngagement(trendingPosts, req.user._id);
       } else {
         enrichedPosts = trendingPosts.map(post => ({
           ...post,
-          timeAgo: this.getRelativeTime(new Date(post.createdAt))
+          timeAgo: FeedController.getRelativeTime(new Date(post.createdAt))
         }));
       }
 
@@ -438,11 +819,23 @@ class FeedController {
         message: 'Trending posts retrieved successfully',
         posts: enrichedPosts,
         timeframe: `${timeframeHours} hours`,
-        total: enrichedPosts.length
+        total: enrichedPosts.length,
+        pagination: {
+          limit: limitNum,
+          hasNextPage,
+          nextCursor
+        }
       });
 
     } catch (error) {
       logger.error('Get trending posts error:', error);
+
+      if (error instanceof InvalidCursorError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Invalid cursor',
+          message: error.message
+        });
+      }
       
       res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
         error: 'Failed to get trending posts',
@@ -451,6 +844,63 @@ class FeedController {
     }
   }
 
+  /**
+   * Record a batch of post impressions from a feed client
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async recordImpressions(req, res) {
+    try {
+      const { postIds } = req.body;
+
+      const viewerKey = ViewTrackingService.getViewerKey(req.user, req.ip);
+      const result = await ViewTrackingService.recordImpressions(postIds, viewerKey);
+
+      res.json({
+        message: 'Impressions recorded successfully',
+        received: postIds.length,
+        counted: result.counted
+      });
+
+    } catch (error) {
+      logger.error('Record impressions error:', error);
+      
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to record impressions',
+        message: 'An error occurred while recording impressions'
+      });
+    }
+  }
+
+  /**
+   * Rebuild the user's precomputed timeline
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async rebuildTimeline(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const size = await TimelineService.rebuildTimeline(userId);
+
+      // Cached pages were built from the old timeline
+      await cacheService.deletePattern(`${CACHE_KEYS.USER_FEED(userId)}*`);
+
+      res.json({
+        message: 'Timeline rebuilt successfully',
+        timelineSize: size
+      });
+
+    } catch (error) {
+      logger.error('Rebuild timeline error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to rebuild timeline',
+        message: 'An error occurred while rebuilding your timeline'
+      });
+    }
+  }
+
   /**
    * Clear user's feed cache
    * @param {Object} req - Express request object
@@ -460,12 +910,8 @@ class FeedController {
     try {
       const userId = req.user._id;
       
-      // Delete all cached feed data for this user
-      const pattern = CACHE_KEYS.USER_FEED(userId) + '*';
-      
-      // Note: In a real implementation, you'd use Redis SCAN or similar
-      // For simplicity, we'll just delete the main cache key
-      await cacheService.delete(CACHE_KEYS.USER_FEED(userId));
+      // Delete all cached feed pages for this user
+      await cacheService.deletePattern(`${CACHE_KEYS.USER_FEED(userId)}*`);
       
       res.json({
         message: 'Feed cache cleared successfully'
@@ -0,0 +1,95 @@
+const Media = require('../models/Media');
+const MediaService = require('../services/mediaService');
+const { InvalidImageError } = require('../services/mediaService');
+const { HTTP_STATUS, ERROR_MESSAGES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Media Controller
+ * Handles image uploads that posts can then reference by ID
+ */
+class MediaController {
+  /**
+   * Upload an image
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async uploadMedia(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.NO_FILE_UPLOADED,
+          message: 'Send the image as multipart/form-data in the "image" field'
+        });
+      }
+
+      const media = await MediaService.upload(req.file, req.user._id);
+
+      logger.info(`Media uploaded by user ${req.user.username}: ${media._id}`);
+
+      res.status(HTTP_STATUS.CREATED).json({
+        message: 'Image uploaded successfully',
+        media
+      });
+
+    } catch (error) {
+      if (error instanceof InvalidImageError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.INVALID_IMAGE,
+          message: error.message
+        });
+      }
+
+      logger.error('Upload media error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Upload failed',
+        message: 'An error occurred while uploading the image'
+      });
+    }
+  }
+
+  /**
+   * Delete an upload that is not used by a post
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteMedia(req, res) {
+    try {
+      const { id } = req.params;
+
+      const media = await Media.findOne({
+        _id: id,
+        owner: req.user._id
+      });
+
+      if (!media) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.MEDIA_NOT_FOUND,
+          message: 'The requested upload does not exist'
+        });
+      }
+
+      if (media.post) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          error: ERROR_MESSAGES.MEDIA_IN_USE,
+          message: 'Remove the image from its post before deleting it'
+        });
+      }
+
+      await MediaService.remove(media);
+
+      res.json({
+        message: 'Image deleted successfully'
+      });
+
+    } catch (error) {
+      logger.error('Delete media error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Delete failed',
+        message: 'An error occurred while deleting the image'
+      });
+    }
+  }
+}
+
+module.exports = MediaController;
@@ -0,0 +1,167 @@
+const Notification = require('../models/Notification');
+const NotificationService = require('../services/notificationService');
+const { HTTP_STATUS, DEFAULT_PAGE_SIZE, ERROR_MESSAGES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Notification Controller
+ * Lists a user's notifications and tracks which ones they have read
+ */
+class NotificationController {
+  /**
+   * Get the current user's notifications, newest activity first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getNotifications(req, res) {
+    try {
+      const userId = req.user._id;
+      const { page = 1, limit = DEFAULT_PAGE_SIZE, unreadOnly } = req.query;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+      const skip = (pageNum - 1) * limitNum;
+      const onlyUnread = unreadOnly === true || unreadOnly === 'true';
+
+      const [notifications, totalCount, unreadCount] = await Promise.all([
+        Notification.getForUser(userId, { skip, limit: limitNum, unreadOnly: onlyUnread }),
+        Notification.countDocuments({
+          recipient: userId,
+          ...(onlyUnread && { isRead: false })
+        }),
+        Notification.getUnreadCount(userId)
+      ]);
+
+      res.json({
+        message: 'Notifications retrieved successfully',
+        notifications: notifications.map(notification => ({
+          _id: notification._id,
+          type: notification.type,
+          summary: NotificationService.summarize(notification),
+          actors: notification.actors,
+          actorsCount: notification.actorsCount,
+          // Deleted posts and comments are left out
+          post: notification.post && notification.post.isActive ? notification.post : null,
+          comment: notification.comment && notification.comment.isActive ? notification.comment : null,
+          isRead: notification.isRead,
+          createdAt: notification.createdAt,
+          updatedAt: notification.updatedAt
+        })),
+        unreadCount,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalCount / limitNum),
+          totalNotifications: totalCount,
+          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
+          hasPrevPage: pageNum > 1
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get notifications error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get notifications',
+        message: 'An error occurred while fetching notifications'
+      });
+    }
+  }
+
+  /**
+   * Get the current user's unread notification count
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getUnreadCount(req, res) {
+    try {
+      const unreadCount = await Notification.getUnreadCount(req.user._id);
+
+      res.json({
+        message: 'Unread count retrieved successfully',
+        unreadCount
+      });
+
+    } catch (error) {
+      logger.error('Get unread count error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get unread count',
+        message: 'An error occurred while counting unread notifications'
+      });
+    }
+  }
+
+  /**
+   * Mark one notification as read
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async markRead(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+
+      const notification = await Notification.findOneAndUpdate(
+        { _id: id, recipient: userId },
+        { isRead: true, readAt: new Date() },
+        { new: true, timestamps: false }
+      );
+
+      if (!notification) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.NOTIFICATION_NOT_FOUND,
+          message: 'The requested notification does not exist'
+        });
+      }
+
+      await NotificationService.pushUnreadCount(userId);
+
+      res.json({
+        message: 'Notification marked as read',
+        notification
+      });
+
+    } catch (error) {
+      logger.error('Mark notification read error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to mark notification as read',
+        message: 'An error occurred while updating the notification'
+      });
+    }
+  }
+
+  /**
+   * Mark all of the current user's notifications as read
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async markAllRead(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const result = await Notification.updateMany(
+        { recipient: userId, isRead: false },
+        { isRead: true, readAt: new Date() },
+        { timestamps: false }
+      );
+
+      await NotificationService.pushUnreadCount(userId);
+
+      res.json({
+        message: 'All notifications marked as read',
+        updatedCount: result.modifiedCount || 0
+      });
+
+    } catch (error) {
+      logger.error('Mark all notifications read error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to mark notifications as read',
+        message: 'An error occurred while updating notifications'
+      });
+    }
+  }
+}
+
+module.exports = NotificationController;
@@ -1,8 +1,33 @@
 const Post = require('../models/Post');
 const Like = require('../models/Like');
 const User = require('../models/User');
+const PostRevision = require('../models/PostRevision');
+const Block = require('../models/Block');
+const FeedController = require('./feedController');
 const PersonalizationService = require('../services/personalizationService');
-const { HTTP_STATUS, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('../utils/constants');
+const ViewTrackingService = require('../services/viewTrackingService');
+const PostService = require('../services/postService');
+const ModerationService = require('../services/moderationService');
+const FollowService = require('../services/followService');
+const BlockService = require('../services/blockService');
+const MediaService = require('../services/mediaService');
+const RealtimeService = require('../services/realtimeService');
+const NotificationService = require('../services/notificationService');
+const { InvalidPostMediaError } = require('../services/mediaService');
+const {
+  HTTP_STATUS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  ERROR_MESSAGES,
+  REQUIRE_VERIFIED_TO_POST,
+  HIDDEN_MODERATION_STATUSES,
+  PERMISSIONS,
+  POST_EDIT_WINDOW_MINUTES,
+  UNPUBLISHED_POST_STATUSES
+} = require('../utils/constants');
+const { InvalidCursorError, keysetPagination } = require('../utils/cursor');
+const { buildMutedContentCondition } = require('../utils/mutedContent');
+const { normalizeTag } = require('../utils/entities');
 const logger = require('../utils/logger');
 
 /**
@@ -17,26 +42,49 @@ class PostController {
    */
   static async createPost(req, res) {
     try {
-      const { content, tags = [], imageUrl = '' } = req.body;
+      const { content, tags = [], media = [], draft = false, publishAt = null } = req.body;
       const userId = req.user._id;
 
+      if (REQUIRE_VERIFIED_TO_POST && !req.user.isVerified) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          error: ERROR_MESSAGES.EMAIL_NOT_VERIFIED,
+          message: 'Please verify your email address before posting'
+        });
+      }
+
+      const mediaItems = await MediaService.buildPostMedia(media, userId);
+
+      // A publish time schedules the post; drafts wait until their author publishes them
+      const status = publishAt ? 'scheduled' : (draft ? 'draft' : 'published');
+
       // Create new post
       const post = new Post({
         author: userId,
         content,
         tags,
-        imageUrl
+        status,
+        publishAt,
+        isActive: status === 'published',
+        authorIsPrivate: !!req.user.preferences.isPrivate
       });
 
-      await post.save();
-
-      // Update user's post count
-      await User.findByIdAndUpdate(userId, {
-        $inc: { postsCount: 1 }
-      });
+      const mentions = await PostService.resolveMentions(post);
+      await MediaService.setPostMedia(post, mediaItems);
 
       // Populate author information
-      await post.populate('author', 'username firstName lastName profilePicture');
+      await post.populate('author', 'username firstName lastName profilePicture avatar.small');
+
+      if (status !== 'published') {
+        logger.info(`Post ${status === 'draft' ? 'draft saved' : 'scheduled'} by user ${req.user.username}: ${post._id}`);
+
+        return res.status(HTTP_STATUS.CREATED).json({
+          message: status === 'draft' ? 'Draft saved successfully' : 'Post scheduled successfully',
+          post
+        });
+      }
+
+      // Count the post and push it out to followers and mentioned users
+      await PostService.announcePost(post, mentions);
 
       logger.info(`New post created by user ${req.user.username}: ${post._id}`);
 
@@ -46,6 +94,13 @@ class PostController {
       });
 
     } catch (error) {
+      if (error instanceof InvalidPostMediaError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.INVALID_POST_MEDIA,
+          message: error.message
+        });
+      }
+
       logger.error('Create post error:', error);
       
       if (error.name === 'ValidationError') {
@@ -107,10 +162,10 @@ class PostController {
     try {
       const { 
         q: query, 
-        page = 1, 
         limit = 20,
         sortBy = 'relevance',
-        tags
+        tags,
+        cursor
       } = req.query;
 
       if (!query || query.trim().length === 0) {
@@ -120,21 +175,25 @@ class PostController {
         });
       }
 
-      const pageNum = Math.max(1, parseInt(page));
       const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
-      const skip = (pageNum - 1) * limitNum;
+      const tagArray = tags ? tags.split(',').map(normalizeTag) : null;
 
       // Build search conditions
       const searchConditions = {
         $text: { $search: query },
-        isActive: true
+        isActive: true,
+        moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES },
+        authorIsPrivate: { $ne: true } // Private accounts are never searchable
       };
 
-      if (tags) {
-        const tagArray = tags.split(',').map(tag => tag.trim().toLowerCase());
+      if (tagArray) {
         searchConditions.tags = { $in: tagArray };
       }
 
+      if (req.user) {
+        searchConditions.author = { $nin: await BlockService.getHiddenAuthorIds(req.user._id) };
+      }
+
       // Build sort conditions
       let sortConditions = {};
       switch (sortBy) {
@@ -146,49 +205,63 @@ class PostController {
           break;
         case 'relevance':
         default:
-          sortConditions = { score: { $meta: 'textScore' }, createdAt: -1 };
+          sortConditions = { score: -1, createdAt: -1 };
           break;
       }
 
-      // Execute search
-      const [posts, totalCount] = await Promise.all([
-        Post.find(searchConditions, { score: { $meta: 'textScore' } })
-          .populate('author', 'username firstName lastName profilePicture isVerified')
-          .sort(sortConditions)
-          .skip(skip)
-          .limit(limitNum)
-          .lean(),
+      const pagination = keysetPagination({
+        mode: 'search',
+        filters: { query, sortBy, tags: tagArray },
+        sortConditions,
+        cursor
+      });
+
+      // Text score is only filterable after it has been projected, hence the aggregation
+      const [results, totalCount] = await Promise.all([
+        Post.aggregate([
+          { $match: searchConditions },
+          { $addFields: { score: { $meta: 'textScore' } } },
+          ...(pagination.condition ? [{ $match: pagination.condition }] : []),
+          { $sort: pagination.sort },
+          { $limit: limitNum + 1 }
+        ]),
         
         Post.countDocuments(searchConditions)
       ]);
 
-      // Add like information if user is authenticated
-      let postsWithLikes = posts;
-      if (req.user) {
-        const postIds = posts.map(post => post._id);
-        const likeStatuses = await Like.checkUserLikes(req.user._id, postIds);
-        
-        postsWithLikes = posts.map(post => ({
-          ...post,
-          isLiked: likeStatuses.find(ls => ls.postId === post._id.toString())?.isLiked || false
-        }));
-      }
+      const { items, hasNextPage, nextCursor } = pagination.paginate(results, limitNum);
+
+      const posts = await Post.populate(items, [
+        { path: 'author', select: 'username firstName lastName profilePicture avatar.small isVerified' },
+        Post.getOriginalPostPopulate()
+      ]);
+
+      // Add like and saved status if user is authenticated
+      const postsWithStatus = req.user
+        ? await FeedController.addViewerStatus(posts, req.user._id)
+        : posts;
 
       res.json({
         message: 'Search completed successfully',
         query,
-        posts: postsWithLikes,
+        posts: postsWithStatus,
         pagination: {
-          currentPage: pageNum,
-          totalPages: Math.ceil(totalCount / limitNum),
+          limit: limitNum,
           totalResults: totalCount,
-          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
-          hasPrevPage: pageNum > 1
+          hasNextPage,
+          nextCursor
         }
       });
 
     } catch (error) {
       logger.error('Search posts error:', error);
+
+      if (error instanceof InvalidCursorError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Invalid cursor',
+          message: error.message
+        });
+      }
       
       res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
         error: 'Search failed',
@@ -205,11 +278,10 @@ class PostController {
   static async getPostsByTag(req, res) {
     try {
       const { tag } = req.params;
-      const { page = 1, limit = 20, sortBy = 'recent' } = req.query;
+      const { limit = 20, sortBy = 'recent', cursor } = req.query;
 
-      const pageNum = Math.max(1, parseInt(page));
       const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
-      const skip = (pageNum - 1) * limitNum;
+      const normalizedTag = normalizeTag(tag);
 
       // Build sort conditions
       let sortConditions = {};
@@ -223,50 +295,66 @@ class PostController {
           break;
       }
 
-      const [posts, totalCount] = await Promise.all([
+      const pagination = keysetPagination({
+        mode: 'tag',
+        filters: { tag: normalizedTag, sortBy },
+        sortConditions,
+        cursor
+      });
+
+      const queryConditions = {
+        tags: normalizedTag,
+        isActive: true,
+        moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES },
+        authorIsPrivate: { $ne: true }
+      };
+
+      if (req.user) {
+        queryConditions.author = { $nin: await BlockService.getHiddenAuthorIds(req.user._id) };
+        Object.assign(queryConditions, buildMutedContentCondition(req.user.getActiveMutedKeywords()));
+      }
+
+      const [results, totalCount] = await Promise.all([
         Post.find({
-          tags: tag.toLowerCase(),
-          isActive: true
+          ...queryConditions,
+          ...(pagination.condition && { $and: [pagination.condition] })
         })
-          .populate('author', 'username firstName lastName profilePicture isVerified')
-          .sort(sortConditions)
-          .skip(skip)
-          .limit(limitNum)
+          .populate('author', 'username firstName lastName profilePicture avatar.small isVerified')
+          .sort(pagination.sort)
+          .limit(limitNum + 1)
           .lean(),
         
-        Post.countDocuments({
-          tags: tag.toLowerCase(),
-          isActive: true
-        })
+        Post.countDocuments(queryConditions)
       ]);
 
-      // Add like information if user is authenticated
-      let postsWithLikes = posts;
-      if (req.user) {
-        const postIds = posts.map(post => post._id);
-        const likeStatuses = await Like.checkUserLikes(req.user._id, postIds);
-        
-        postsWithLikes = posts.map(post => ({
-          ...post,
-          isLiked: likeStatuses.find(ls => ls.postId === post._id.toString())?.isLiked || false
-        }));
-      }
+      const { items: posts, hasNextPage, nextCursor } = pagination.paginate(results, limitNum);
+
+      // Add like and saved status if user is authenticated
+      const postsWithStatus = req.user
+        ? await FeedController.addViewerStatus(posts, req.user._id)
+        : posts;
 
       res.json({
         message: 'Posts retrieved successfully',
-        tag: tag.toLowerCase(),
-        posts: postsWithLikes,
+        tag: normalizedTag,
+        posts: postsWithStatus,
         pagination: {
-          currentPage: pageNum,
-          totalPages: Math.ceil(totalCount / limitNum),
+          limit: limitNum,
           totalPosts: totalCount,
-          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
-          hasPrevPage: pageNum > 1
+          hasNextPage,
+          nextCursor
         }
       });
 
     } catch (error) {
       logger.error('Get posts by tag error:', error);
+
+      if (error instanceof InvalidCursorError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Invalid cursor',
+          message: error.message
+        });
+      }
       
       res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
         error: 'Failed to get posts by tag',
@@ -294,7 +382,8 @@ class PostController {
           author: userId,
           isActive: true
         })
-          .populate('author', 'username firstName lastName profilePicture isVerified')
+          .populate('author', 'username firstName lastName profilePicture avatar.small isVerified')
+          .populate(Post.getOriginalPostPopulate())
           .sort({ createdAt: -1 })
           .skip(skip)
           .limit(limitNum)
@@ -328,6 +417,227 @@ class PostController {
     }
   }
 
+  /**
+   * Get user's drafts and scheduled posts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getDrafts(req, res) {
+    try {
+      const { page = 1, limit = 20, status } = req.query;
+      const userId = req.user._id;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+      const skip = (pageNum - 1) * limitNum;
+
+      const queryConditions = {
+        author: userId,
+        status: status || { $in: UNPUBLISHED_POST_STATUSES }
+      };
+
+      const [posts, totalCount] = await Promise.all([
+        Post.find(queryConditions)
+          .populate('author', 'username firstName lastName profilePicture avatar.small isVerified')
+          .sort({ updatedAt: -1 })
+          .skip(skip)
+          .limit(limitNum)
+          .lean(),
+
+        Post.countDocuments(queryConditions)
+      ]);
+
+      res.json({
+        message: 'Drafts retrieved successfully',
+        posts,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalCount / limitNum),
+          totalPosts: totalCount,
+          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
+          hasPrevPage: pageNum > 1
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get drafts error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get drafts',
+        message: 'An error occurred while fetching your drafts'
+      });
+    }
+  }
+
+  /**
+   * Update a draft or scheduled post
+   * Setting `publishAt` schedules the post; clearing it makes it a draft again.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateDraft(req, res) {
+    try {
+      const { id } = req.params;
+      const { content, tags, media, publishAt } = req.body;
+      const userId = req.user._id;
+
+      const post = await Post.findOne({
+        _id: id,
+        author: userId,
+        status: { $in: UNPUBLISHED_POST_STATUSES }
+      });
+
+      if (!post) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.DRAFT_NOT_FOUND,
+          message: 'Draft not found or already published'
+        });
+      }
+
+      // Update fields if provided
+      if (content !== undefined) post.content = content;
+      if (tags !== undefined) post.tags = tags;
+      if (publishAt !== undefined) {
+        post.publishAt = publishAt;
+        post.status = publishAt ? 'scheduled' : 'draft';
+      }
+
+      // Mentioned users are notified once the post is published
+      if (content !== undefined) {
+        await PostService.resolveMentions(post);
+      }
+
+      if (media !== undefined) {
+        const mediaItems = await MediaService.buildPostMedia(media, userId, post._id);
+        await MediaService.setPostMedia(post, mediaItems);
+      } else {
+        await post.save();
+      }
+      await post.populate('author', 'username firstName lastName profilePicture avatar.small');
+
+      logger.info(`Draft updated by user ${req.user.username}: ${post._id}`);
+
+      res.json({
+        message: 'Draft updated successfully',
+        post
+      });
+
+    } catch (error) {
+      if (error instanceof InvalidPostMediaError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.INVALID_POST_MEDIA,
+          message: error.message
+        });
+      }
+
+      logger.error('Update draft error:', error);
+
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(e => ({
+          field: e.path,
+          message: e.message
+        }));
+
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: 'Please check your post data',
+          details: errors
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Draft update failed',
+        message: 'An error occurred while updating the draft'
+      });
+    }
+  }
+
+  /**
+   * Publish a draft or scheduled post now
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async publishDraft(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+
+      if (REQUIRE_VERIFIED_TO_POST && !req.user.isVerified) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          error: ERROR_MESSAGES.EMAIL_NOT_VERIFIED,
+          message: 'Please verify your email address before posting'
+        });
+      }
+
+      const post = await PostService.publishDraft({ _id: id, author: userId });
+
+      if (!post) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.DRAFT_NOT_FOUND,
+          message: 'Draft not found or already published'
+        });
+      }
+
+      await post.populate('author', 'username firstName lastName profilePicture avatar.small');
+
+      logger.info(`Draft published by user ${req.user.username}: ${post._id}`);
+
+      res.json({
+        message: 'Post published successfully',
+        post
+      });
+
+    } catch (error) {
+      logger.error('Publish draft error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to publish draft',
+        message: 'An error occurred while publishing the draft'
+      });
+    }
+  }
+
+  /**
+   * Discard a draft or cancel a scheduled post
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteDraft(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+
+      const post = await Post.findOne({
+        _id: id,
+        author: userId,
+        status: { $in: UNPUBLISHED_POST_STATUSES }
+      });
+
+      if (!post) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.DRAFT_NOT_FOUND,
+          message: 'Draft not found or already published'
+        });
+      }
+
+      await PostService.discardDraft(post);
+
+      logger.info(`Draft deleted by user ${req.user.username}: ${post._id}`);
+
+      res.json({
+        message: 'Draft deleted successfully'
+      });
+
+    } catch (error) {
+      logger.error('Delete draft error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to delete draft',
+        message: 'An error occurred while deleting the draft'
+      });
+    }
+  }
+
   /**
    * Get posts with pagination
    * @param {Object} req - Express request object
@@ -348,10 +658,13 @@ class PostController {
       const skip = (pageNum - 1) * limitNum;
 
       // Build query conditions
-      const queryConditions = { isActive: true };
+      const queryConditions = {
+        isActive: true,
+        moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES }
+      };
 
       if (tags) {
-        const tagArray = tags.split(',').map(tag => tag.trim().toLowerCase());
+        const tagArray = tags.split(',').map(normalizeTag);
         queryConditions.tags = { $in: tagArray };
       }
 
@@ -359,12 +672,22 @@ class PostController {
         const authorUser = await User.findOne({ username: author });
         if (authorUser) {
           queryConditions.author = authorUser._id;
+
+          if (!await FollowService.canViewContent(req.user, authorUser)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({
+              error: ERROR_MESSAGES.PRIVATE_ACCOUNT,
+              message: `Follow ${authorUser.username} to see their posts`
+            });
+          }
         } else {
           return res.status(HTTP_STATUS.NOT_FOUND).json({
             error: 'Author not found',
             message: 'The specified author does not exist'
           });
         }
+      } else {
+        // Without an author filter this is a public listing
+        queryConditions.authorIsPrivate = { $ne: true };
       }
 
       // Build sort conditions
@@ -389,7 +712,7 @@ class PostController {
       // Execute query
       const [posts, totalCount] = await Promise.all([
         Post.find(queryConditions)
-          .populate('author', 'username firstName lastName profilePicture isVerified')
+          .populate('author', 'username firstName lastName profilePicture avatar.small isVerified')
           .sort(sortConditions)
           .skip(skip)
           .limit(limitNum)
@@ -398,21 +721,14 @@ class PostController {
         Post.countDocuments(queryConditions)
       ]);
 
-      // Add like information if user is authenticated
-      let postsWithLikes = posts;
-      if (req.user) {
-        const postIds = posts.map(post => post._id);
-        const likeStatuses = await Like.checkUserLikes(req.user._id, postIds);
-        
-        postsWithLikes = posts.map(post => ({
-          ...post,
-          isLiked: likeStatuses.find(ls => ls.postId === post._id.toString())?.isLiked || false
-        }));
-      }
+      // Add like and saved status if user is authenticated
+      const postsWithStatus = req.user
+        ? await FeedController.addViewerStatus(posts, req.user._id)
+        : posts;
 
       res.json({
         message: 'Posts retrieved successfully',
-        posts: postsWithLikes,
+        posts: postsWithStatus,
         pagination: {
           currentPage: pageNum,
           totalPages: Math.ceil(totalCount / limitNum),
@@ -444,30 +760,37 @@ class PostController {
       const post = await Post.findOne({
         _id: id,
         isActive: true
-      }).populate('author', 'username firstName lastName profilePicture isVerified');
+      })
+        .populate('author', 'username firstName lastName profilePicture avatar.small isVerified')
+        .populate(Post.getOriginalPostPopulate());
 
-      if (!post) {
+      // Posts hidden by a moderator stay visible to their author and moderators
+      const canSeeHidden = req.user && post &&
+        (post.author._id.equals(req.user._id) || req.user.hasPermission(PERMISSIONS.POSTS_MODERATE));
+
+      if (!post || (post.moderationStatus === 'hidden' && !canSeeHidden) ||
+          !await FollowService.canViewPost(post, req.user) ||
+          (req.user && await Block.isBlockedEitherWay(req.user._id, post.author._id))) {
         return res.status(HTTP_STATUS.NOT_FOUND).json({
           error: 'Post not found',
           message: 'The requested post does not exist'
         });
       }
 
-      // Increment view count
-      await post.incrementViews();
+      // Record a deduplicated view
+      const viewerKey = ViewTrackingService.getViewerKey(req.user, req.ip);
+      ViewTrackingService.recordImpressions([post._id], viewerKey).catch(error => {
+        logger.error('Error recording post view:', error);
+      });
 
-      // Check if user liked this post
-      let isLiked = false;
-      if (req.user) {
-        isLiked = await Like.isLiked(req.user._id, post._id);
-      }
+      // Check if user liked and saved this post
+      const [postWithStatus] = req.user
+        ? await FeedController.addViewerStatus([post.toJSON()], req.user._id)
+        : [{ ...post.toJSON(), isLiked: false, isSaved: false }];
 
       res.json({
         message: 'Post retrieved successfully',
-        post: {
-          ...post.toJSON(),
-          isLiked
-        }
+        post: postWithStatus
       });
 
     } catch (error) {
@@ -488,7 +811,7 @@ class PostController {
   static async updatePost(req, res) {
     try {
       const { id } = req.params;
-      const { content, tags, imageUrl } = req.body;
+      const { content, tags, media } = req.body;
       const userId = req.user._id;
 
       const post = await Post.findOne({
@@ -504,13 +827,38 @@ class PostController {
         });
       }
 
+      if (POST_EDIT_WINDOW_MINUTES > 0 &&
+          Date.now() - post.createdAt.getTime() > POST_EDIT_WINDOW_MINUTES * 60 * 1000) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          error: ERROR_MESSAGES.EDIT_WINDOW_CLOSED,
+          message: `Posts can only be edited within ${POST_EDIT_WINDOW_MINUTES} minutes of posting`
+        });
+      }
+
+      const previous = PostService.getRevisionState(post);
+
       // Update fields if provided
       if (content !== undefined) post.content = content;
       if (tags !== undefined) post.tags = tags;
-      if (imageUrl !== undefined) post.imageUrl = imageUrl;
 
-      await post.save();
-      await post.populate('author', 'username firstName lastName profilePicture');
+      const mentions = content !== undefined
+        ? await PostService.resolveMentions(post)
+        : null;
+
+      if (media !== undefined) {
+        const mediaItems = await MediaService.buildPostMedia(media, userId, post._id);
+        await MediaService.setPostMedia(post, mediaItems);
+      } else {
+        await post.save();
+      }
+      await PostService.recordRevision(post, previous);
+      await post.populate('author', 'username firstName lastName profilePicture avatar.small');
+
+      if (mentions) {
+        PostService.notifyMentions(post, mentions).catch(error => {
+          logger.error('Mention notification error:', error);
+        });
+      }
 
       logger.info(`Post updated by user ${req.user.username}: ${post._id}`);
 
@@ -520,6 +868,13 @@ class PostController {
       });
 
     } catch (error) {
+      if (error instanceof InvalidPostMediaError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.INVALID_POST_MEDIA,
+          message: error.message
+        });
+      }
+
       logger.error('Update post error:', error);
       
       if (error.name === 'ValidationError') {
@@ -542,6 +897,65 @@ class PostController {
     }
   }
 
+  /**
+   * Get the earlier versions of a post
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getPostRevisions(req, res) {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = 20 } = req.query;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+      const skip = (pageNum - 1) * limitNum;
+
+      const post = await Post.findOne({
+        _id: id,
+        isActive: true
+      });
+
+      // Same visibility as the post itself
+      const canSeeHidden = req.user && post &&
+        (post.author.equals(req.user._id) || req.user.hasPermission(PERMISSIONS.POSTS_MODERATE));
+
+      if (!post || (post.moderationStatus === 'hidden' && !canSeeHidden) ||
+          !await FollowService.canViewPost(post, req.user) ||
+          (req.user && await Block.isBlockedEitherWay(req.user._id, post.author))) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: 'Post not found',
+          message: 'The requested post does not exist'
+        });
+      }
+
+      const revisions = await PostRevision.getForPost(post._id, { skip, limit: limitNum });
+      const totalRevisions = post.editCount;
+
+      res.json({
+        message: 'Post revisions retrieved successfully',
+        currentVersion: post.editCount + 1,
+        editedAt: post.editedAt,
+        revisions,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalRevisions / limitNum),
+          totalRevisions,
+          hasNextPage: pageNum < Math.ceil(totalRevisions / limitNum),
+          hasPrevPage: pageNum > 1
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get post revisions error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get post revisions',
+        message: 'An error occurred while fetching the post history'
+      });
+    }
+  }
+
   /**
    * Delete a post
    * @param {Object} req - Express request object
@@ -565,20 +979,7 @@ class PostController {
         });
       }
 
-      // Soft delete
-      post.isActive = false;
-      await post.save();
-
-      // Update user's post count
-      await User.findByIdAndUpdate(userId, {
-        $inc: { postsCount: -1 }
-      });
-
-      // Delete associated likes
-      await Like.updateMany(
-        { post: id },
-        { isActive: false }
-      );
+      await PostService.removePost(post);
 
       logger.info(`Post deleted by user ${req.user.username}: ${post._id}`);
 
@@ -611,7 +1012,7 @@ class PostController {
         isActive: true
       });
 
-      if (!post) {
+      if (!post || !await FollowService.canViewPost(post, req.user)) {
         return res.status(HTTP_STATUS.NOT_FOUND).json({
           error: 'Post not found',
           message: 'The requested post does not exist'
@@ -626,6 +1027,13 @@ class PostController {
         });
       }
 
+      if (await Block.isBlockedEitherWay(userId, post.author)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          error: ERROR_MESSAGES.USER_BLOCKED,
+          message: 'You cannot interact with posts from this user'
+        });
+      }
+
       // Check if already liked
       const existingLike = await Like.findOne({
         user: userId,
@@ -643,6 +1051,15 @@ class PostController {
         await post.decrementLikes();
         isLiked = false;
         message = 'Post unliked successfully';
+
+        NotificationService.retract({
+          type: 'like',
+          recipient: post.author,
+          actor: userId,
+          post: post._id
+        }).catch(error => {
+          logger.error('Notification retract error:', error);
+        });
       } else {
         // Check if there's an inactive like to reactivate
         const inactiveLike = await Like.findOne({
@@ -670,8 +1087,21 @@ class PostController {
         PersonalizationService.updateUserPreferencesOnLike(userId, id).catch(error => {
           logger.error('Error updating user preferences:', error);
         });
+
+        NotificationService.notify({
+          type: 'like',
+          recipient: post.author,
+          actor: userId,
+          post: post._id
+        }).catch(error => {
+          logger.error('Notification error:', error);
+        });
       }
 
+      RealtimeService.publishPostCounts(post).catch(error => {
+        logger.error('Post counts publish error:', error);
+      });
+
       res.json({
         message,
         isLiked,
@@ -688,6 +1118,182 @@ class PostController {
     }
   }
 
+  /**
+   * Share (repost) a post, optionally with a quote
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async sharePost(req, res) {
+    try {
+      const { id } = req.params;
+      const { quote = '' } = req.body;
+      const userId = req.user._id;
+
+      let original = await Post.findOne({
+        _id: id,
+        isActive: true,
+        moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES }
+      });
+
+      // Sharing a repost shares the post it points to
+      if (original && original.originalPost) {
+        original = await Post.findOne({
+          _id: original.originalPost,
+          isActive: true,
+          moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES }
+        });
+      }
+
+      if (!original) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: 'Post not found',
+          message: 'The requested post does not exist'
+        });
+      }
+
+      if (original.author.toString() === userId.toString()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.CANNOT_SHARE_OWN_POST,
+          message: 'You cannot share your own post'
+        });
+      }
+
+      if (await Block.isBlockedEitherWay(userId, original.author)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          error: ERROR_MESSAGES.USER_BLOCKED,
+          message: 'You cannot interact with posts from this user'
+        });
+      }
+
+      // Reposts are public, so posts from private accounts stay with their followers
+      if (original.authorIsPrivate) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          error: ERROR_MESSAGES.CANNOT_SHARE_PRIVATE_POST,
+          message: 'Posts from private accounts cannot be shared'
+        });
+      }
+
+      const existingShare = await Post.findOne({
+        author: userId,
+        originalPost: original._id,
+        isActive: true
+      });
+
+      if (existingShare) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          error: ERROR_MESSAGES.ALREADY_SHARED,
+          message: 'You have already shared this post'
+        });
+      }
+
+      const repost = new Post({
+        author: userId,
+        content: quote,
+        originalPost: original._id,
+        authorIsPrivate: !!req.user.preferences.isPrivate
+      });
+
+      const mentions = await PostService.resolveMentions(repost);
+      await repost.save();
+      await original.incrementShares();
+      RealtimeService.publishPostCounts(original).catch(error => {
+        logger.error('Post counts publish error:', error);
+      });
+
+      // Count the repost and push it to followers like any other post
+      await PostService.announcePost(repost, mentions);
+
+      await repost.populate('author', 'username firstName lastName profilePicture avatar.small');
+      await repost.populate(Post.getOriginalPostPopulate());
+
+      // Sharing signals interest just like a like does
+      PersonalizationService.updateUserPreferencesOnLike(userId, original._id).catch(error => {
+        logger.error('Error updating user preferences:', error);
+      });
+
+      logger.info(`Post ${original._id} shared by user ${req.user.username}: ${repost._id}`);
+
+      res.status(HTTP_STATUS.CREATED).json({
+        message: 'Post shared successfully',
+        post: repost,
+        sharesCount: original.sharesCount
+      });
+
+    } catch (error) {
+      logger.error('Share post error:', error);
+
+      // Concurrent share requests hit the unique index
+      if (error.code === 11000) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          error: ERROR_MESSAGES.ALREADY_SHARED,
+          message: 'You have already shared this post'
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Share failed',
+        message: 'An error occurred while sharing the post'
+      });
+    }
+  }
+
+  /**
+   * Remove the current user's share of a post
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async unsharePost(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+
+      const repost = await Post.findOne({
+        author: userId,
+        originalPost: id,
+        isActive: true
+      });
+
+      if (!repost) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.NOT_SHARED,
+          message: 'You have not shared this post'
+        });
+      }
+
+      // Soft delete the repost
+      repost.isActive = false;
+      await repost.save();
+
+      await User.updateOne(
+        { _id: userId, postsCount: { $gt: 0 } },
+        { $inc: { postsCount: -1 } }
+      );
+
+      const original = await Post.findById(id);
+      if (original) {
+        await original.decrementShares();
+        RealtimeService.publishPostCounts(original).catch(error => {
+          logger.error('Post counts publish error:', error);
+        });
+      }
+
+      logger.info(`Post ${id} unshared by user ${req.user.username}: ${repost._id}`);
+
+      res.json({
+        message: 'Post unshared successfully',
+        sharesCount: original ? original.sharesCount : 0
+      });
+
+    } catch (error) {
+      logger.error('Unshare post error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Unshare failed',
+        message: 'An error occurred while unsharing the post'
+      });
+    }
+  }
+
   /**
    * Get post likes
    * @param {Object} req - Express request object
@@ -707,14 +1313,18 @@ class PostController {
         isActive: true
       });
 
-      if (!post) {
+      if (!post || !await FollowService.canViewPost(post, req.user)) {
         return res.status(HTTP_STATUS.NOT_FOUND).json({
           error: 'Post not found',
           message: 'The requested post does not exist'
         });
       }
 
-      const likes = await Like.getPostLikes(id, { skip, limit: limitNum });
+      const likes = await Like.getPostLikes(id, {
+        skip,
+        limit: limitNum,
+        excludeUserIds: req.user ? await BlockService.getHiddenAuthorIds(req.user._id) : []
+      });
       const totalLikes = post.likesCount;
 
       res.json({
@@ -741,6 +1351,69 @@ class PostController {
       });
     }
   }
+
+  /**
+   * Report a post for moderator review
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async reportPost(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason, details } = req.body;
+      const userId = req.user._id;
+
+      const post = await Post.findOne({
+        _id: id,
+        isActive: true
+      });
+
+      if (!post || !await FollowService.canViewPost(post, req.user)) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: 'Post not found',
+          message: 'The requested post does not exist'
+        });
+      }
+
+      if (post.author.toString() === userId.toString()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.CANNOT_REPORT_OWN_POST,
+          message: 'You cannot report your own post'
+        });
+      }
+
+      const { report } = await ModerationService.reportPost(post, userId, { reason, details });
+
+      logger.info(`Post ${post._id} reported by user ${req.user.username} (${reason})`);
+
+      res.status(HTTP_STATUS.CREATED).json({
+        message: 'Post reported successfully',
+        report: {
+          _id: report._id,
+          post: report.post,
+          reason: report.reason,
+          status: report.status,
+          createdAt: report.createdAt
+        }
+      });
+
+    } catch (error) {
+      logger.error('Report post error:', error);
+
+      // One report per user per post
+      if (error.code === 11000) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          error: ERROR_MESSAGES.ALREADY_REPORTED,
+          message: 'You have already reported this post'
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Report failed',
+        message: 'An error occurred while reporting the post'
+      });
+    }
+  }
 }
 
-module.exports = PostController;
\ No newline at end of file
+module.exports = PostController;
@@ -0,0 +1,120 @@
+const jwt = require('jsonwebtoken');
+const Post = require('../models/Post');
+const RealtimeService = require('../services/realtimeService');
+const FollowService = require('../services/followService');
+const BlockService = require('../services/blockService');
+const {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  MAX_STREAMS_PER_USER,
+  HIDDEN_MODERATION_STATUSES
+} = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Realtime Controller
+ * Serves server-sent event streams and the posts each stream watches
+ */
+class RealtimeController {
+  /**
+   * Open a server-sent event stream
+   * Sends `ready` with the stream ID and current new post count, then
+   * `feed:new-posts`, `post:counts` and finally `token-expired`.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async openStream(req, res) {
+    try {
+      const userId = req.user._id;
+
+      if (RealtimeService.countStreams(userId) >= MAX_STREAMS_PER_USER) {
+        return res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+          error: ERROR_MESSAGES.TOO_MANY_STREAMS,
+          message: `Close one of your ${MAX_STREAMS_PER_USER} open streams first`
+        });
+      }
+
+      const newPosts = await RealtimeService.getNewPostsCount(userId);
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        // no-transform keeps the compression middleware from buffering events
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+
+      const { exp } = jwt.decode(req.token);
+      const stream = RealtimeService.openStream(userId, res, new Date(exp * 1000));
+
+      req.on('close', () => {
+        RealtimeService.closeStream(stream.id);
+      });
+
+      RealtimeService.send(stream, 'ready', {
+        streamId: stream.id,
+        newPosts
+      });
+
+    } catch (error) {
+      logger.error('Open stream error:', error);
+
+      if (res.headersSent) {
+        return res.end();
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Stream failed',
+        message: 'An error occurred while opening the event stream'
+      });
+    }
+  }
+
+  /**
+   * Set the posts a stream receives live counts for
+   * Posts the user cannot see are left out.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async watchPosts(req, res) {
+    try {
+      const { streamId } = req.params;
+      const { postIds } = req.body;
+      const userId = req.user._id;
+
+      const [posts, hiddenAuthorIds] = await Promise.all([
+        Post.find({
+          _id: { $in: postIds },
+          isActive: true,
+          moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES }
+        }).select('author authorIsPrivate'),
+        BlockService.getHiddenAuthorIds(userId)
+      ]);
+
+      const hidden = new Set(hiddenAuthorIds.map(id => id.toString()));
+      const watched = [];
+      for (const post of posts) {
+        if (!hidden.has(post.author.toString()) && await FollowService.canViewPost(post, req.user)) {
+          watched.push(post._id.toString());
+        }
+      }
+
+      await RealtimeService.watchPosts(streamId, userId, watched);
+
+      res.json({
+        message: 'Watched posts updated successfully',
+        postIds: watched
+      });
+
+    } catch (error) {
+      logger.error('Watch posts error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to watch posts',
+        message: 'An error occurred while updating watched posts'
+      });
+    }
+  }
+}
+
+module.exports = RealtimeController;
@@ -1,8 +1,27 @@
 const User = require('../models/User');
 const Post = require('../models/Post');
 const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const FollowRequest = require('../models/FollowRequest');
+const Block = require('../models/Block');
+const Mute = require('../models/Mute');
+const FeedController = require('./feedController');
 const PersonalizationService = require('../services/personalizationService');
-const { HTTP_STATUS, DEFAULT_PAGE_SIZE } = require('../utils/constants');
+const FollowService = require('../services/followService');
+const BlockService = require('../services/blockService');
+const MediaService = require('../services/mediaService');
+const NotificationService = require('../services/notificationService');
+const { InvalidImageError } = require('../services/mediaService');
+const {
+  HTTP_STATUS,
+  DEFAULT_PAGE_SIZE,
+  ERROR_MESSAGES,
+  MAX_MUTED_KEYWORDS,
+  HIDDEN_MODERATION_STATUSES,
+  PERMISSIONS
+} = require('../utils/constants');
+const { InvalidCursorError, keysetPagination } = require('../utils/cursor');
+const { normalizeTag } = require('../utils/entities');
 const logger = require('../utils/logger');
 
 /**
@@ -20,18 +39,39 @@ class UserController {
       const { username } = req.params;
 
       const user = await User.findOne({ username })
-        .select('-password -email -likedTags');
+        .select('-password -email -likedTags -mutedKeywords -warningsCount -suspendedUntil');
 
-      if (!user) {
+      // Users who blocked the viewer look like they do not exist. Users the viewer
+      // blocked stay visible with isBlocked set so they can be unblocked; their
+      // posts are withheld by getUserPosts.
+      if (!user || (req.user && await Block.isBlocking(user._id, req.user._id))) {
         return res.status(HTTP_STATUS.NOT_FOUND).json({
           error: 'User not found',
           message: 'The requested user does not exist'
         });
       }
 
+      // Include relationship status if user is authenticated
+      let isFollowing = false;
+      let isFollowRequested = false;
+      let isBlocked = false;
+      let isMuted = false;
+      if (req.user && !req.user._id.equals(user._id)) {
+        [isFollowing, isFollowRequested, isBlocked, isMuted] = await Promise.all([
+          Follow.isFollowing(req.user._id, user._id),
+          FollowRequest.isPending(req.user._id, user._id),
+          Block.isBlocking(req.user._id, user._id),
+          Mute.isMuted(req.user._id, user._id)
+        ]);
+      }
+
       res.json({
         message: 'User profile retrieved successfully',
-        user
+        user,
+        isFollowing,
+        isFollowRequested,
+        isBlocked,
+        isMuted
       });
 
     } catch (error) {
@@ -52,13 +92,23 @@ class UserController {
   static async updateProfile(req, res) {
     try {
       const userId = req.user._id;
-      const { firstName, lastName, bio, profilePicture } = req.body;
+      const { firstName, lastName, bio, preferences = {} } = req.body;
 
       const updateData = {};
       if (firstName !== undefined) updateData.firstName = firstName;
       if (lastName !== undefined) updateData.lastName = lastName;
       if (bio !== undefined) updateData.bio = bio;
-      if (profilePicture !== undefined) updateData.profilePicture = profilePicture;
+      const { notifications = {}, ...settings } = preferences;
+      Object.entries(settings).forEach(([key, value]) => {
+        updateData[`preferences.${key}`] = value;
+      });
+      // Notification types are toggled one at a time
+      Object.entries(notifications).forEach(([key, value]) => {
+        updateData[`preferences.notifications.${key}`] = value;
+      });
+
+      const privacyChanged = preferences.isPrivate !== undefined &&
+        preferences.isPrivate !== !!req.user.preferences.isPrivate;
 
       const user = await User.findByIdAndUpdate(
         userId,
@@ -73,6 +123,10 @@ class UserController {
         });
       }
 
+      if (privacyChanged) {
+        await FollowService.applyPrivacySetting(user, user.preferences.isPrivate);
+      }
+
       logger.info(`User profile updated: ${user.username}`);
 
       res.json({
@@ -103,6 +157,86 @@ class UserController {
     }
   }
 
+  /**
+   * Upload a new profile picture
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async uploadAvatar(req, res) {
+    try {
+      const userId = req.user._id;
+
+      if (!req.file) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.NO_FILE_UPLOADED,
+          message: 'Send the image as multipart/form-data in the "avatar" field'
+        });
+      }
+
+      const avatar = await MediaService.uploadAvatar(req.file, userId);
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { avatar, profilePicture: avatar.large },
+        { new: true }
+      ).select('-password');
+
+      await MediaService.removeAvatar(userId, req.user.avatar);
+
+      logger.info(`Profile picture updated: ${user.username}`);
+
+      res.json({
+        message: 'Profile picture updated successfully',
+        user
+      });
+
+    } catch (error) {
+      if (error instanceof InvalidImageError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.INVALID_IMAGE,
+          message: error.message
+        });
+      }
+
+      logger.error('Upload avatar error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Upload failed',
+        message: 'An error occurred while updating the profile picture'
+      });
+    }
+  }
+
+  /**
+   * Remove the current profile picture
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteAvatar(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { $unset: { avatar: 1 }, profilePicture: '' },
+        { new: true }
+      ).select('-password');
+
+      await MediaService.removeAvatar(userId, req.user.avatar);
+
+      res.json({
+        message: 'Profile picture removed successfully',
+        user
+      });
+
+    } catch (error) {
+      logger.error('Delete avatar error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Delete failed',
+        message: 'An error occurred while removing the profile picture'
+      });
+    }
+  }
+
   /**
    * Get user's posts
    * @param {Object} req - Express request object
@@ -111,11 +245,16 @@ class UserController {
   static async getUserPosts(req, res) {
     try {
       const { username } = req.params;
-      const { page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+      const { limit = DEFAULT_PAGE_SIZE, cursor } = req.query;
 
-      const pageNum = Math.max(1, parseInt(page));
       const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
-      const skip = (pageNum - 1) * limitNum;
+
+      const pagination = keysetPagination({
+        mode: 'user-posts',
+        filters: { username },
+        sortConditions: { createdAt: -1 },
+        cursor
+      });
 
       // Find user
       const user = await User.findOne({ username });
@@ -126,35 +265,51 @@ class UserController {
         });
       }
 
+      if (req.user && await Block.isBlockedEitherWay(req.user._id, user._id)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          error: ERROR_MESSAGES.USER_BLOCKED,
+          message: `You cannot see posts from ${user.username}`
+        });
+      }
+
+      if (!await FollowService.canViewContent(req.user, user)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          error: ERROR_MESSAGES.PRIVATE_ACCOUNT,
+          message: `Follow ${user.username} to see their posts`
+        });
+      }
+
+      // Posts hidden by moderation stay visible to their author and moderators
+      const canSeeHidden = req.user &&
+        (user._id.equals(req.user._id) || req.user.hasPermission(PERMISSIONS.POSTS_MODERATE));
+
+      const queryConditions = {
+        author: user._id,
+        isActive: true,
+        ...(!canSeeHidden && { moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES } })
+      };
+
       // Get user's posts
-      const [posts, totalCount] = await Promise.all([
+      const [results, totalCount] = await Promise.all([
         Post.find({
-          author: user._id,
-          isActive: true
+          ...queryConditions,
+          ...(pagination.condition && { $and: [pagination.condition] })
         })
-          .populate('author', 'username firstName lastName profilePicture isVerified')
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(limitNum)
+          .populate('author', 'username firstName lastName profilePicture avatar.small isVerified')
+          .populate(Post.getOriginalPostPopulate())
+          .sort(pagination.sort)
+          .limit(limitNum + 1)
           .lean(),
         
-        Post.countDocuments({
-          author: user._id,
-          isActive: true
-        })
+        Post.countDocuments(queryConditions)
       ]);
 
-      // Add like information if user is authenticated
-      let postsWithLikes = posts;
-      if (req.user) {
-        const postIds = posts.map(post => post._id);
-        const likeStatuses = await Like.checkUserLikes(req.user._id, postIds);
-        
-        postsWithLikes = posts.map(post => ({
-          ...post,
-          isLiked: likeStatuses.find(ls => ls.postId === post._id.toString())?.isLiked || false
-        }));
-      }
+      const { items: posts, hasNextPage, nextCursor } = pagination.paginate(results, limitNum);
+
+      // Add like and saved status if user is authenticated
+      const postsWithStatus = req.user
+        ? await FeedController.addViewerStatus(posts, req.user._id)
+        : posts;
 
       res.json({
         message: 'User posts retrieved successfully',
@@ -166,18 +321,24 @@ class UserController {
           isVerified: user.isVerified,
           postsCount: user.postsCount
         },
-        posts: postsWithLikes,
+        posts: postsWithStatus,
         pagination: {
-          currentPage: pageNum,
-          totalPages: Math.ceil(totalCount / limitNum),
+          limit: limitNum,
           totalPosts: totalCount,
-          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
-          hasPrevPage: pageNum > 1
+          hasNextPage,
+          nextCursor
         }
       });
 
     } catch (error) {
       logger.error('Get user posts error:', error);
+
+      if (error instanceof InvalidCursorError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Invalid cursor',
+          message: error.message
+        });
+      }
       
       res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
         error: 'Failed to get user posts',
@@ -187,51 +348,1037 @@ class UserController {
   }
 
   /**
-   * Get current user's liked posts
+   * Follow a user
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async getLikedPosts(req, res) {
+  static async followUser(req, res) {
+    try {
+      const { username } = req.params;
+      const userId = req.user._id;
+
+      const targetUser = await User.findOne({ username });
+      if (!targetUser) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: 'User not found',
+          message: 'The requested user does not exist'
+        });
+      }
+
+      if (targetUser._id.equals(userId)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.CANNOT_FOLLOW_SELF,
+          message: 'You cannot follow yourself'
+        });
+      }
+
+      if (await Block.isBlockedEitherWay(userId, targetUser._id)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          error: ERROR_MESSAGES.USER_BLOCKED,
+          message: `You cannot follow ${targetUser.username}`
+        });
+      }
+
+      const alreadyFollowing = await Follow.isFollowing(userId, targetUser._id);
+      if (alreadyFollowing) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          error: ERROR_MESSAGES.ALREADY_FOLLOWING,
+          message: `You are already following ${targetUser.username}`
+        });
+      }
+
+      // Private accounts approve their followers
+      if (targetUser.preferences && targetUser.preferences.isPrivate) {
+        await FollowRequest.create({
+          requester: userId,
+          target: targetUser._id
+        });
+
+        NotificationService.notify({
+          type: 'follow_request',
+          recipient: targetUser._id,
+          actor: userId
+        }).catch(error => {
+          logger.error('Notification error:', error);
+        });
+
+        logger.info(`User ${req.user.username} requested to follow ${targetUser.username}`);
+
+        return res.status(HTTP_STATUS.ACCEPTED).json({
+          message: `Follow request sent to ${targetUser.username}`,
+          isFollowing: false,
+          isFollowRequested: true,
+          followersCount: targetUser.followersCount
+        });
+      }
+
+      await FollowService.createFollow(userId, targetUser);
+
+      NotificationService.notify({
+        type: 'follow',
+        recipient: targetUser._id,
+        actor: userId
+      }).catch(error => {
+        logger.error('Notification error:', error);
+      });
+
+      logger.info(`User ${req.user.username} followed ${targetUser.username}`);
+
+      res.status(HTTP_STATUS.CREATED).json({
+        message: `You are now following ${targetUser.username}`,
+        isFollowing: true,
+        followersCount: targetUser.followersCount + 1
+      });
+
+    } catch (error) {
+      logger.error('Follow user error:', error);
+
+      // Concurrent follow requests hit the unique index
+      if (error.code === 11000) {
+        const pendingRequest = error.keyPattern && error.keyPattern.requester;
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          error: pendingRequest ? ERROR_MESSAGES.FOLLOW_REQUEST_PENDING : ERROR_MESSAGES.ALREADY_FOLLOWING,
+          message: pendingRequest
+            ? 'You have already asked to follow this user'
+            : 'You are already following this user'
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Follow failed',
+        message: 'An error occurred while following the user'
+      });
+    }
+  }
+
+  /**
+   * Unfollow a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async unfollowUser(req, res) {
     try {
+      const { username } = req.params;
       const userId = req.user._id;
+
+      const targetUser = await User.findOne({ username });
+      if (!targetUser) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: 'User not found',
+          message: 'The requested user does not exist'
+        });
+      }
+
+      const follow = await FollowService.removeFollow(userId, targetUser._id);
+
+      if (!follow) {
+        // Unfollowing a private account before it answered withdraws the request
+        const request = await FollowRequest.findOneAndDelete({
+          requester: userId,
+          target: targetUser._id
+        });
+
+        if (request) {
+          NotificationService.retract({
+            type: 'follow_request',
+            recipient: targetUser._id,
+            actor: userId
+          }).catch(error => {
+            logger.error('Notification retract error:', error);
+          });
+
+          return res.json({
+            message: `Follow request to ${targetUser.username} cancelled`,
+            isFollowing: false,
+            isFollowRequested: false,
+            followersCount: targetUser.followersCount
+          });
+        }
+
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.NOT_FOLLOWING,
+          message: `You are not following ${targetUser.username}`
+        });
+      }
+
+      NotificationService.retract({
+        type: 'follow',
+        recipient: targetUser._id,
+        actor: userId
+      }).catch(error => {
+        logger.error('Notification retract error:', error);
+      });
+
+      logger.info(`User ${req.user.username} unfollowed ${targetUser.username}`);
+
+      res.json({
+        message: `You have unfollowed ${targetUser.username}`,
+        isFollowing: false,
+        followersCount: Math.max(0, targetUser.followersCount - 1)
+      });
+
+    } catch (error) {
+      logger.error('Unfollow user error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Unfollow failed',
+        message: 'An error occurred while unfollowing the user'
+      });
+    }
+  }
+
+  /**
+   * Get a user's followers
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getFollowers(req, res) {
+    try {
+      const { username } = req.params;
       const { page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
 
       const pageNum = Math.max(1, parseInt(page));
       const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
       const skip = (pageNum - 1) * limitNum;
 
-      const likedPosts = await Like.getUserLikedPosts(userId, {
-        skip,
-        limit: limitNum
+      const user = await User.findOne({ username });
+      if (!user) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: 'User not found',
+          message: 'The requested user does not exist'
+        });
+      }
+
+      if (!await FollowService.canViewContent(req.user, user)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          error: ERROR_MESSAGES.PRIVATE_ACCOUNT,
+          message: `Follow ${user.username} to see their connections`
+        });
+      }
+
+      const [follows, totalCount] = await Promise.all([
+        Follow.getFollowers(user._id, { skip, limit: limitNum }),
+        Follow.countDocuments({ following: user._id })
+      ]);
+
+      const followers = follows
+        .filter(follow => follow.follower)
+        .map(follow => ({
+          user: follow.follower,
+          followedAt: follow.createdAt
+        }));
+
+      res.json({
+        message: 'Followers retrieved successfully',
+        followers: await UserController.withFollowStatus(followers, req.user),
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalCount / limitNum),
+          totalFollowers: totalCount,
+          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
+          hasPrevPage: pageNum > 1
+        }
       });
 
-      const totalLikes = await Like.countDocuments({
-        user: userId,
-        isActive: true
+    } catch (error) {
+      logger.error('Get followers error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get followers',
+        message: 'An error occurred while fetching followers'
       });
+    }
+  }
+
+  /**
+   * Get the users a user follows
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getFollowing(req, res) {
+    try {
+      const { username } = req.params;
+      const { page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+      const skip = (pageNum - 1) * limitNum;
+
+      const user = await User.findOne({ username });
+      if (!user) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: 'User not found',
+          message: 'The requested user does not exist'
+        });
+      }
+
+      if (!await FollowService.canViewContent(req.user, user)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          error: ERROR_MESSAGES.PRIVATE_ACCOUNT,
+          message: `Follow ${user.username} to see their connections`
+        });
+      }
+
+      const [follows, totalCount] = await Promise.all([
+        Follow.getFollowing(user._id, { skip, limit: limitNum }),
+        Follow.countDocuments({ follower: user._id })
+      ]);
+
+      const following = follows
+        .filter(follow => follow.following)
+        .map(follow => ({
+          user: follow.following,
+          followedAt: follow.createdAt
+        }));
 
       res.json({
-        message: 'Liked posts retrieved successfully',
-        posts: likedPosts.map(like => ({
-          ...like.post.toJSON(),
-          likedAt: like.createdAt,
-          isLiked: true
-        })),
+        message: 'Following retrieved successfully',
+        following: await UserController.withFollowStatus(following, req.user),
         pagination: {
           currentPage: pageNum,
-          totalPages: Math.ceil(totalLikes / limitNum),
-          totalLikes,
-          hasNextPage: pageNum < Math.ceil(totalLikes / limitNum),
+          totalPages: Math.ceil(totalCount / limitNum),
+          totalFollowing: totalCount,
+          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
           hasPrevPage: pageNum > 1
         }
       });
 
     } catch (error) {
-      logger.error('Get liked posts error:', error);
-      
+      logger.error('Get following error:', error);
+
       res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
-        error: 'Failed to get liked posts',
-        message: 'An error occurred while fetching your liked posts'
+        error: 'Failed to get following',
+        message: 'An error occurred while fetching followed users'
+      });
+    }
+  }
+
+  /**
+   * Get pending follow requests sent to the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getFollowRequests(req, res) {
+    try {
+      const userId = req.user._id;
+      const { page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+      const skip = (pageNum - 1) * limitNum;
+
+      const [requests, totalCount] = await Promise.all([
+        FollowRequest.getIncoming(userId, { skip, limit: limitNum }),
+        FollowRequest.countDocuments({ target: userId })
+      ]);
+
+      res.json({
+        message: 'Follow requests retrieved successfully',
+        requests: requests
+          .filter(request => request.requester)
+          .map(request => ({
+            _id: request._id,
+            user: request.requester,
+            requestedAt: request.createdAt
+          })),
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalCount / limitNum),
+          totalRequests: totalCount,
+          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
+          hasPrevPage: pageNum > 1
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get follow requests error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get follow requests',
+        message: 'An error occurred while fetching follow requests'
+      });
+    }
+  }
+
+  /**
+   * Approve a pending follow request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async approveFollowRequest(req, res) {
+    try {
+      const { id } = req.params;
+
+      const request = await FollowRequest.findOne({
+        _id: id,
+        target: req.user._id
+      });
+
+      if (!request) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.FOLLOW_REQUEST_NOT_FOUND,
+          message: 'The requested follow request does not exist'
+        });
+      }
+
+      const requester = await User.findById(request.requester).select('username');
+      if (!requester) {
+        await FollowRequest.deleteOne({ _id: request._id });
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.USER_NOT_FOUND,
+          message: 'The user who sent this request no longer exists'
+        });
+      }
+
+      await FollowService.approveRequest(request, req.user);
+
+      NotificationService.retract({
+        type: 'follow_request',
+        recipient: req.user._id,
+        actor: request.requester
+      }).catch(error => {
+        logger.error('Notification retract error:', error);
+      });
+
+      logger.info(`User ${req.user.username} approved follow request from ${requester.username}`);
+
+      res.json({
+        message: `${requester.username} now follows you`,
+        requestId: request._id
+      });
+
+    } catch (error) {
+      logger.error('Approve follow request error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Approve failed',
+        message: 'An error occurred while approving the follow request'
+      });
+    }
+  }
+
+  /**
+   * Reject a pending follow request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async rejectFollowRequest(req, res) {
+    try {
+      const { id } = req.params;
+
+      const request = await FollowRequest.findOneAndDelete({
+        _id: id,
+        target: req.user._id
+      });
+
+      if (!request) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.FOLLOW_REQUEST_NOT_FOUND,
+          message: 'The requested follow request does not exist'
+        });
+      }
+
+      NotificationService.retract({
+        type: 'follow_request',
+        recipient: req.user._id,
+        actor: request.requester
+      }).catch(error => {
+        logger.error('Notification retract error:', error);
+      });
+
+      logger.info(`User ${req.user.username} rejected follow request ${request._id}`);
+
+      res.json({
+        message: 'Follow request rejected',
+        requestId: request._id
+      });
+
+    } catch (error) {
+      logger.error('Reject follow request error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Reject failed',
+        message: 'An error occurred while rejecting the follow request'
+      });
+    }
+  }
+
+  /**
+   * Get the users the current user has blocked
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getBlockedUsers(req, res) {
+    try {
+      const userId = req.user._id;
+      const { page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+      const skip = (pageNum - 1) * limitNum;
+
+      const [entries, totalCount] = await Promise.all([
+        Block.getBlockedUsers(userId, { skip, limit: limitNum }),
+        Block.countDocuments({ blocker: userId })
+      ]);
+
+      res.json({
+        message: 'Blocked users retrieved successfully',
+        users: entries
+          .filter(entry => entry.blocked)
+          .map(entry => ({
+            user: entry.blocked,
+            blockedAt: entry.createdAt
+          })),
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalCount / limitNum),
+          totalUsers: totalCount,
+          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
+          hasPrevPage: pageNum > 1
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get blocked users error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get blocked users',
+        message: 'An error occurred while fetching blocked users'
+      });
+    }
+  }
+
+  /**
+   * Block a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async blockUser(req, res) {
+    try {
+      const { username } = req.params;
+      const userId = req.user._id;
+
+      const targetUser = await User.findOne({ username });
+      if (!targetUser) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: 'User not found',
+          message: 'The requested user does not exist'
+        });
+      }
+
+      if (targetUser._id.equals(userId)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.CANNOT_BLOCK_SELF,
+          message: 'You cannot block yourself'
+        });
+      }
+
+      await BlockService.blockUser(userId, targetUser._id);
+
+      logger.info(`User ${req.user.username} blocked ${targetUser.username}`);
+
+      res.status(HTTP_STATUS.CREATED).json({
+        message: `You have blocked ${targetUser.username}`,
+        isBlocked: true
+      });
+
+    } catch (error) {
+      logger.error('Block user error:', error);
+
+      if (error.code === 11000) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          error: ERROR_MESSAGES.ALREADY_BLOCKED,
+          message: 'You have already blocked this user'
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Block failed',
+        message: 'An error occurred while blocking the user'
+      });
+    }
+  }
+
+  /**
+   * Unblock a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async unblockUser(req, res) {
+    try {
+      const { username } = req.params;
+      const userId = req.user._id;
+
+      const targetUser = await User.findOne({ username });
+      if (!targetUser) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: 'User not found',
+          message: 'The requested user does not exist'
+        });
+      }
+
+      const block = await Block.findOneAndDelete({
+        blocker: userId,
+        blocked: targetUser._id
+      });
+
+      if (!block) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.NOT_BLOCKED,
+          message: `You have not blocked ${targetUser.username}`
+        });
+      }
+
+      await BlockService.clearFeedCaches(userId, targetUser._id);
+
+      logger.info(`User ${req.user.username} unblocked ${targetUser.username}`);
+
+      res.json({
+        message: `You have unblocked ${targetUser.username}`,
+        isBlocked: false
+      });
+
+    } catch (error) {
+      logger.error('Unblock user error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Unblock failed',
+        message: 'An error occurred while unblocking the user'
+      });
+    }
+  }
+
+  /**
+   * Get the users the current user has muted
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getMutedUsers(req, res) {
+    try {
+      const userId = req.user._id;
+      const { page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+      const skip = (pageNum - 1) * limitNum;
+
+      const [entries, totalCount] = await Promise.all([
+        Mute.getMutedUsers(userId, { skip, limit: limitNum }),
+        Mute.countDocuments({ muter: userId })
+      ]);
+
+      res.json({
+        message: 'Muted users retrieved successfully',
+        users: entries
+          .filter(entry => entry.muted)
+          .map(entry => ({
+            user: entry.muted,
+            mutedAt: entry.createdAt
+          })),
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalCount / limitNum),
+          totalUsers: totalCount,
+          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
+          hasPrevPage: pageNum > 1
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get muted users error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get muted users',
+        message: 'An error occurred while fetching muted users'
+      });
+    }
+  }
+
+  /**
+   * Mute a user, hiding their posts from the current user's feeds
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async muteUser(req, res) {
+    try {
+      const { username } = req.params;
+      const userId = req.user._id;
+
+      const targetUser = await User.findOne({ username });
+      if (!targetUser) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: 'User not found',
+          message: 'The requested user does not exist'
+        });
+      }
+
+      if (targetUser._id.equals(userId)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.CANNOT_MUTE_SELF,
+          message: 'You cannot mute yourself'
+        });
+      }
+
+      await Mute.create({
+        muter: userId,
+        muted: targetUser._id
+      });
+
+      await BlockService.clearFeedCaches(userId);
+
+      logger.info(`User ${req.user.username} muted ${targetUser.username}`);
+
+      res.status(HTTP_STATUS.CREATED).json({
+        message: `You have muted ${targetUser.username}`,
+        isMuted: true
+      });
+
+    } catch (error) {
+      logger.error('Mute user error:', error);
+
+      if (error.code === 11000) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          error: ERROR_MESSAGES.ALREADY_MUTED,
+          message: 'You have already muted this user'
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Mute failed',
+        message: 'An error occurred while muting the user'
+      });
+    }
+  }
+
+  /**
+   * Unmute a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async unmuteUser(req, res) {
+    try {
+      const { username } = req.params;
+      const userId = req.user._id;
+
+      const targetUser = await User.findOne({ username });
+      if (!targetUser) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: 'User not found',
+          message: 'The requested user does not exist'
+        });
+      }
+
+      const mute = await Mute.findOneAndDelete({
+        muter: userId,
+        muted: targetUser._id
+      });
+
+      if (!mute) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.NOT_MUTED,
+          message: `You have not muted ${targetUser.username}`
+        });
+      }
+
+      await BlockService.clearFeedCaches(userId);
+
+      logger.info(`User ${req.user.username} unmuted ${targetUser.username}`);
+
+      res.json({
+        message: `You have unmuted ${targetUser.username}`,
+        isMuted: false
+      });
+
+    } catch (error) {
+      logger.error('Unmute user error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Unmute failed',
+        message: 'An error occurred while unmuting the user'
+      });
+    }
+  }
+
+  /**
+   * Get the current user's muted words and tags
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getMutedKeywords(req, res) {
+    try {
+      const now = new Date();
+      const mutedKeywords = req.user.mutedKeywords
+        .filter(mute => !mute.expiresAt || mute.expiresAt > now)
+        .sort((a, b) => b.createdAt - a.createdAt);
+
+      res.json({
+        message: 'Muted keywords retrieved successfully',
+        mutedKeywords
+      });
+
+    } catch (error) {
+      logger.error('Get muted keywords error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get muted keywords',
+        message: 'An error occurred while fetching muted keywords'
+      });
+    }
+  }
+
+  /**
+   * Mute a word or tag, optionally until a given time
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async muteKeyword(req, res) {
+    try {
+      const { kind, expiresAt = null } = req.body;
+      const value = kind === 'tag'
+        ? normalizeTag(req.body.value)
+        : req.body.value.toLowerCase();
+
+      if (!value) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Validation Error',
+          message: 'Tags can only contain letters, numbers, and underscores'
+        });
+      }
+
+      const user = await User.findById(req.user._id);
+
+      // Expired mutes are dropped whenever the list changes
+      const now = new Date();
+      user.mutedKeywords = user.mutedKeywords.filter(mute => !mute.expiresAt || mute.expiresAt > now);
+
+      if (user.mutedKeywords.some(mute => mute.kind === kind && mute.value === value)) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          error: ERROR_MESSAGES.ALREADY_MUTED_KEYWORD,
+          message: `You have already muted the ${kind} "${value}"`
+        });
+      }
+
+      if (user.mutedKeywords.length >= MAX_MUTED_KEYWORDS) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.TOO_MANY_MUTED_KEYWORDS,
+          message: `You can mute up to ${MAX_MUTED_KEYWORDS} words and tags`
+        });
+      }
+
+      user.mutedKeywords.push({ kind, value, expiresAt });
+      await user.save();
+
+      await BlockService.clearFeedCaches(user._id);
+
+      logger.info(`User ${user.username} muted ${kind} "${value}"`);
+
+      res.status(HTTP_STATUS.CREATED).json({
+        message: `Muted ${kind} "${value}"`,
+        mutedKeyword: user.mutedKeywords[user.mutedKeywords.length - 1]
+      });
+
+    } catch (error) {
+      logger.error('Mute keyword error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Mute failed',
+        message: 'An error occurred while muting the keyword'
+      });
+    }
+  }
+
+  /**
+   * Unmute a word or tag
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async unmuteKeyword(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await User.updateOne(
+        { _id: req.user._id, 'mutedKeywords._id': id },
+        { $pull: { mutedKeywords: { _id: id } } }
+      );
+
+      if (result.modifiedCount === 0) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.MUTED_KEYWORD_NOT_FOUND,
+          message: 'The requested muted keyword does not exist'
+        });
+      }
+
+      await BlockService.clearFeedCaches(req.user._id);
+
+      res.json({
+        message: 'Keyword unmuted successfully',
+        mutedKeywordId: id
+      });
+
+    } catch (error) {
+      logger.error('Unmute keyword error:', error);
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Unmute failed',
+        message: 'An error occurred while unmuting the keyword'
+      });
+    }
+  }
+
+  /**
+   * Add the current user's follow status to a list of follow entries
+   * @param {Array} entries - Entries with a populated `user` field
+   * @param {Object|null} currentUser - Authenticated user, if any
+   * @returns {Array} Entries with isFollowing flag
+   */
+  static async withFollowStatus(entries, currentUser) {
+    if (!currentUser || entries.length === 0) return entries;
+
+    const followStatuses = await Follow.checkUserFollows(
+      currentUser._id,
+      entries.map(entry => entry.user._id)
+    );
+
+    const followStatusMap = new Map();
+    followStatuses.forEach(status => {
+      followStatusMap.set(status.userId, status.isFollowing);
+    });
+
+    return entries.map(entry => ({
+      ...entry,
+      isFollowing: followStatusMap.get(entry.user._id.toString()) || false
+    }));
+  }
+
+  /**
+   * Get current user's liked posts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getLikedPosts(req, res) {
+    try {
+      const userId = req.user._id;
+      const { page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+      const pageNum = Math.max(1, parseInt(page));
+      const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+      const skip = (pageNum - 1) * limitNum;
+
+      const hiddenAuthorIds = await BlockService.getHiddenAuthorIds(userId);
+
+      const likedPosts = await Like.getUserLikedPosts(userId, {
+        skip,
+        limit: limitNum,
+        excludeAuthorIds: hiddenAuthorIds
+      });
+
+      const totalLikes = await Like.countDocuments({
+        user: userId,
+        isActive: true
+      });
+
+      res.json({
+        message: 'Liked posts retrieved successfully',
+        // Posts moderation hid or by users blocked either way since they were liked are left out
+        posts: await FeedController.addViewerStatus(
+          likedPosts.filter(like => like.post).map(like => ({
+            ...like.post.toJSON(),
+            likedAt: like.createdAt
+          })),
+          userId
+        ),
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalLikes / limitNum),
+          totalLikes,
+          hasNextPage: pageNum < Math.ceil(totalLikes / limitNum),
+          hasPrevPage: pageNum > 1
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get liked posts error:', error);
+      
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get liked posts',
+        message: 'An error occurred while fetching your liked posts'
+      });
+    }
+  }
+
+  /**
+   * Get posts that mention the current user, newest first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getMentions(req, res) {
+    try {
+      const userId = req.user._id;
+      const { limit = DEFAULT_PAGE_SIZE, cursor } = req.query;
+
+      const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+
+      const pagination = keysetPagination({
+        mode: 'mentions',
+        filters: { userId: userId.toString() },
+        sortConditions: { createdAt: -1 },
+        cursor
+      });
+
+      const [hiddenAuthorIds, visibleCondition] = await Promise.all([
+        BlockService.getHiddenAuthorIds(userId),
+        FollowService.getVisiblePostsCondition(userId)
+      ]);
+
+      const queryConditions = {
+        'entities.mentions.user': userId,
+        isActive: true,
+        moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES },
+        author: { $nin: hiddenAuthorIds },
+        ...visibleCondition
+      };
+
+      const [results, totalCount] = await Promise.all([
+        Post.find({
+          ...queryConditions,
+          ...(pagination.condition && { $and: [pagination.condition] })
+        })
+          .populate('author', 'username firstName lastName profilePicture avatar.small isVerified')
+          .populate(Post.getOriginalPostPopulate())
+          .sort(pagination.sort)
+          .limit(limitNum + 1)
+          .lean(),
+
+        Post.countDocuments(queryConditions)
+      ]);
+
+      const { items: posts, hasNextPage, nextCursor } = pagination.paginate(results, limitNum);
+
+      res.json({
+        message: 'Mentions retrieved successfully',
+        posts: await FeedController.addViewerStatus(posts, userId),
+        pagination: {
+          limit: limitNum,
+          totalPosts: totalCount,
+          hasNextPage,
+          nextCursor
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get mentions error:', error);
+
+      if (error instanceof InvalidCursorError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: 'Invalid cursor',
+          message: error.message
+        });
+      }
+
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to get mentions',
+        message: 'An error occurred while fetching posts that mention you'
       });
     }
   }
@@ -329,7 +1476,7 @@ class UserController {
             { lastName: searchRegex }
           ]
         })
-          .select('username firstName lastName profilePicture isVerified postsCount followersCount')
+          .select('username firstName lastName profilePicture avatar.small isVerified postsCount followersCount')
           .sort({ followersCount: -1, postsCount: -1 })
           .skip(skip)
           .limit(limitNum),
@@ -0,0 +1,51 @@
+const ViewTrackingService = require('../services/viewTrackingService');
+const { VIEW_ROLLUP_INTERVAL_MS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Run a single rollup, skipping if the previous one is still in progress
+ */
+const runRollup = async () => {
+  if (isRunning) return;
+
+  isRunning = true;
+  try {
+    await ViewTrackingService.rollupPerformance();
+  } catch (error) {
+    logger.error('Performance rollup job error:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the periodic post performance rollup
+ * @param {number} intervalMs - Interval between rollups
+ */
+const start = (intervalMs = VIEW_ROLLUP_INTERVAL_MS) => {
+  if (timer) return;
+
+  timer = setInterval(runRollup, intervalMs);
+  timer.unref();
+
+  logger.info(`📊 Performance rollup job scheduled every ${Math.round(intervalMs / 60000)}m`);
+};
+
+/**
+ * Stop the periodic rollup
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  runRollup
+};
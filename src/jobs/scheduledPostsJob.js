@@ -0,0 +1,54 @@
+const PostService = require('../services/postService');
+const { SCHEDULED_PUBLISH_INTERVAL_MS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Publish the scheduled posts that are due, skipping if the previous run is still in progress
+ */
+const runPublish = async () => {
+  if (isRunning) return;
+
+  isRunning = true;
+  try {
+    const published = await PostService.publishDuePosts();
+    if (published > 0) {
+      logger.info(`Published ${published} scheduled post(s)`);
+    }
+  } catch (error) {
+    logger.error('Scheduled posts job error:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the periodic scheduled post publisher
+ * @param {number} intervalMs - Interval between runs
+ */
+const start = (intervalMs = SCHEDULED_PUBLISH_INTERVAL_MS) => {
+  if (timer) return;
+
+  timer = setInterval(runPublish, intervalMs);
+  timer.unref();
+
+  logger.info(`🗓️ Scheduled posts job running every ${Math.round(intervalMs / 1000)}s`);
+};
+
+/**
+ * Stop the periodic publisher
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  runPublish
+};
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { HTTP_STATUS, ERROR_MESSAGES } = require('../utils/constants');
+const TokenService = require('../services/tokenService');
+const { HTTP_STATUS, ERROR_MESSAGES, ROLES } = require('../utils/constants');
 const logger = require('../utils/logger');
 
 // Verify JWT token and attach user to request
@@ -21,6 +22,21 @@ const authenticateToken = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Tokens issued before sessions existed carry no session ID
+    if (!decoded.sid) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        error: ERROR_MESSAGES.INVALID_TOKEN,
+        message: 'Please login again'
+      });
+    }
+
+    if (await TokenService.isSessionRevoked(decoded.sid)) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        error: ERROR_MESSAGES.SESSION_REVOKED,
+        message: 'Please login again'
+      });
+    }
+
     // Get user from database
     const user = await User.findById(decoded.id).select('-password');
     
@@ -34,7 +50,13 @@ const authenticateToken = async (req, res, next) => {
     // Attach user to request
     req.user = user;
     req.token = token;
-    
+    req.sessionId = decoded.sid;
+
+    // Keep the session's last-seen time current without delaying the request
+    TokenService.touchSession(decoded.sid, req.ip).catch(error => {
+      logger.error('Session touch error:', error);
+    });
+
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -74,10 +96,17 @@ const optionalAuth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!decoded.sid || await TokenService.isSessionRevoked(decoded.sid)) {
+      req.user = null;
+      return next();
+    }
+
     const user = await User.findById(decoded.id).select('-password');
     
     req.user = user || null;
     req.token = token;
+    req.sessionId = user ? decoded.sid : null;
     
     next();
   } catch (error) {
@@ -115,7 +144,7 @@ const checkOwnership = (resourceKey = 'author') => {
 
 // Admin only middleware
 const requireAdmin = (req, res, next) => {
-  if (!req.user || !req.user.isAdmin) {
+  if (!req.user || req.user.role !== ROLES.ADMIN) {
     return res.status(HTTP_STATUS.FORBIDDEN).json({
       error: 'Access Denied',
       message: 'Admin access required'
@@ -124,6 +153,22 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
+// Require every listed permission, from the user's role or extra grants
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(permission => !req.user || !req.user.hasPermission(permission));
+
+    if (missing.length > 0) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        error: 'Access Denied',
+        message: `Missing permission: ${missing.join(', ')}`
+      });
+    }
+
+    next();
+  };
+};
+
 // Verified users only
 const requireVerified = (req, res, next) => {
   if (!req.user || !req.user.isVerified) {
@@ -140,5 +185,6 @@ module.exports = {
   optionalAuth,
   checkOwnership,
   requireAdmin,
+  requirePermission,
   requireVerified
 };
\ No newline at end of file
@@ -77,6 +77,38 @@ const likeLimiter = rateLimit({
   }
 });
 
+// Rate limiting for comments
+const commentLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 10, // 10 comments per minute
+  message: {
+    error: 'Comment Limit',
+    message: 'Too many comments, please slow down.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: rateLimitHandler,
+  keyGenerator: (req) => {
+    return req.user ? req.user._id.toString() : req.ip;
+  }
+});
+
+// Rate limiting for follow/unfollow actions
+const followLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 20, // 20 follow actions per minute
+  message: {
+    error: 'Follow Limit',
+    message: 'Too many follow actions, please slow down.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: rateLimitHandler,
+  keyGenerator: (req) => {
+    return req.user ? req.user._id.toString() : req.ip;
+  }
+});
+
 // Rate limiting for feed requests
 const feedLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
@@ -93,6 +125,22 @@ const feedLimiter = rateLimit({
   }
 });
 
+// Rate limiting for impression batches
+const impressionLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60, // 60 batches per minute
+  message: {
+    error: 'Impression Limit',
+    message: 'Too many impression batches, please slow down.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: rateLimitHandler,
+  keyGenerator: (req) => {
+    return req.user ? req.user._id.toString() : req.ip;
+  }
+});
+
 // Rate limiting for search
 const searchLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
@@ -122,12 +170,63 @@ const uploadLimiter = rateLimit({
   }
 });
 
+// Rate limiting for verification email resends
+const verificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // 3 resends per hour
+  message: {
+    error: 'Verification Email Limit',
+    message: 'Too many verification emails requested, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: rateLimitHandler,
+  keyGenerator: (req) => {
+    return req.user ? req.user._id.toString() : req.ip;
+  }
+});
+
+// Rate limiting for password reset emails
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 reset requests per hour
+  message: {
+    error: 'Password Reset Limit',
+    message: 'Too many password reset requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: rateLimitHandler
+});
+
+// Rate limiting for post reports
+const reportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20, // 20 reports per hour
+  message: {
+    error: 'Report Limit',
+    message: 'Too many reports submitted, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: rateLimitHandler,
+  keyGenerator: (req) => {
+    return req.user ? req.user._id.toString() : req.ip;
+  }
+});
+
 module.exports = {
   generalLimiter,
   authLimiter,
   createPostLimiter,
   likeLimiter,
+  commentLimiter,
+  followLimiter,
   feedLimiter,
+  impressionLimiter,
   searchLimiter,
-  uploadLimiter
+  uploadLimiter,
+  verificationLimiter,
+  passwordResetLimiter,
+  reportLimiter
 };
\ No newline at end of file
@@ -0,0 +1,40 @@
+const multer = require('multer');
+const { HTTP_STATUS, MAX_IMAGE_SIZE } = require('../utils/constants');
+
+// Keep uploads in memory; images are resized before they are stored
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+    files: 1
+  }
+});
+
+/**
+ * Parse a single multipart image field into req.file
+ * @param {string} field - Form field name
+ */
+const uploadImage = (field = 'image') => (req, res, next) => {
+  imageUpload.single(field)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Image size cannot exceed ${MAX_IMAGE_SIZE / (1024 * 1024)}MB`
+        : `Upload the image in the "${field}" field`;
+
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: 'Invalid upload',
+        message
+      });
+    }
+
+    next(error);
+  });
+};
+
+module.exports = {
+  uploadImage
+};
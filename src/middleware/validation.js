@@ -1,5 +1,17 @@
 const Joi = require('joi');
-const { HTTP_STATUS } = require('../utils/constants');
+const {
+  HTTP_STATUS,
+  ROLES,
+  PERMISSIONS,
+  REPORT_REASONS,
+  MODERATION_ACTIONS,
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMAGE_SIZE,
+  MAX_MEDIA_PER_POST,
+  MAX_TAGS_PER_POST,
+  MAX_WATCHED_POSTS
+} = require('../utils/constants');
+const { normalizeTag } = require('../utils/entities');
 
 // Generic validation middleware
 const validate = (schema, property = 'body') => {
@@ -28,6 +40,61 @@ const validate = (schema, property = 'body') => {
   };
 };
 
+// Ordered images of a post, each an upload from POST /api/media
+// An optional crop is a rectangle in the uploaded image's pixels.
+const postMedia = Joi.array()
+  .items(
+    Joi.object({
+      mediaId: Joi.string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .required()
+        .messages({
+          'string.pattern.base': 'Invalid media ID format'
+        }),
+      altText: Joi.string()
+        .trim()
+        .max(1000)
+        .allow('')
+        .optional(),
+      crop: Joi.object({
+        x: Joi.number().integer().min(0).required(),
+        y: Joi.number().integer().min(0).required(),
+        width: Joi.number().integer().min(1).required(),
+        height: Joi.number().integer().min(1).required()
+      })
+        .allow(null)
+        .optional()
+    })
+  )
+  .max(MAX_MEDIA_PER_POST)
+  .unique('mediaId')
+  .messages({
+    'array.max': `Cannot have more than ${MAX_MEDIA_PER_POST} images per post`,
+    'array.unique': 'Each image can only be used once in a post'
+  });
+
+// Explicit tags of a post; the limit counts distinct tags, as stored
+const postTags = Joi.array()
+  .items(
+    Joi.string()
+      .trim()
+      .min(1)
+      .max(50)
+      .pattern(/^[\p{L}\p{M}\p{N}_]+$/u)
+      .messages({
+        'string.pattern.base': 'Tags can only contain letters, numbers, and underscores'
+      })
+  )
+  .custom((tags, helpers) => {
+    if (new Set(tags.map(normalizeTag)).size > MAX_TAGS_PER_POST) {
+      return helpers.error('array.max', { limit: MAX_TAGS_PER_POST });
+    }
+    return tags;
+  })
+  .messages({
+    'array.max': `Cannot have more than ${MAX_TAGS_PER_POST} tags per post`
+  });
+
 // Validation schemas
 const schemas = {
   // User registration
@@ -75,6 +142,54 @@ const schemas = {
       .required()
   }),
 
+  // Refresh token exchange
+  refreshToken: Joi.object({
+    refreshToken: Joi.string()
+      .max(200)
+      .required()
+  }),
+
+  // Email verification
+  verifyEmail: Joi.object({
+    token: Joi.string()
+      .max(2048)
+      .required()
+  }),
+
+  // Forgot password
+  forgotPassword: Joi.object({
+    email: Joi.string()
+      .email()
+      .required()
+  }),
+
+  // Reset password with a token from the reset email
+  resetPassword: Joi.object({
+    token: Joi.string()
+      .max(200)
+      .required(),
+    password: Joi.string()
+      .min(6)
+      .max(128)
+      .required()
+      .messages({
+        'string.min': 'Password must be at least 6 characters long'
+      })
+  }),
+
+  // Change password
+  changePassword: Joi.object({
+    currentPassword: Joi.string()
+      .required(),
+    newPassword: Joi.string()
+      .min(6)
+      .max(128)
+      .required()
+      .messages({
+        'string.min': 'Password must be at least 6 characters long'
+      })
+  }),
+
   // Create post
   createPost: Joi.object({
     content: Joi.string()
@@ -85,25 +200,52 @@ const schemas = {
       .messages({
         'string.max': 'Post content cannot exceed 2200 characters'
       }),
-    tags: Joi.array()
-      .items(
-        Joi.string()
-          .trim()
-          .min(1)
-          .max(50)
-          .pattern(/^[a-zA-Z0-9_]+$/)
-          .messages({
-            'string.pattern.base': 'Tags can only contain letters, numbers, and underscores'
-          })
-      )
-      .max(30)
-      .default([])
+    tags: postTags.default([]),
+    media: postMedia.default([]),
+    // Saved without publishing; a publishAt time schedules the post instead
+    draft: Joi.boolean()
+      .default(false),
+    publishAt: Joi.date()
+      .iso()
+      .greater('now')
       .messages({
-        'array.max': 'Cannot have more than 30 tags per post'
-      }),
-    imageUrl: Joi.string()
-      .uri()
-      .allow('')
+        'date.greater': 'Publish time must be in the future'
+      })
+  }),
+
+  // Update draft or scheduled post
+  updateDraft: Joi.object({
+    content: Joi.string()
+      .trim()
+      .min(1)
+      .max(2200)
+      .optional(),
+    tags: postTags.optional(),
+    media: postMedia.optional(),
+    // null turns a scheduled post back into a draft
+    publishAt: Joi.date()
+      .iso()
+      .greater('now')
+      .allow(null)
+      .optional()
+      .messages({
+        'date.greater': 'Publish time must be in the future'
+      })
+  }),
+
+  // Drafts list query
+  draftQuery: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(50)
+      .default(20),
+    status: Joi.string()
+      .valid('draft', 'scheduled')
       .optional()
   }),
 
@@ -114,20 +256,48 @@ const schemas = {
       .min(1)
       .max(2200)
       .optional(),
-    tags: Joi.array()
-      .items(
-        Joi.string()
-          .trim()
-          .min(1)
-          .max(50)
-          .pattern(/^[a-zA-Z0-9_]+$/)
-      )
-      .max(30)
-      .optional(),
-    imageUrl: Joi.string()
-      .uri()
+    tags: postTags.optional(),
+    // Replaces all images; an empty list removes them
+    media: postMedia.optional()
+  }),
+
+  // Share post
+  sharePost: Joi.object({
+    quote: Joi.string()
+      .trim()
+      .max(2200)
       .allow('')
       .optional()
+      .messages({
+        'string.max': 'Quote cannot exceed 2200 characters'
+      })
+  }),
+
+  // Create comment
+  createComment: Joi.object({
+    content: Joi.string()
+      .trim()
+      .min(1)
+      .max(1000)
+      .required()
+      .messages({
+        'string.max': 'Comment cannot exceed 1000 characters'
+      }),
+    parentCommentId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Invalid parent comment ID format'
+      })
+  }),
+
+  // Update comment
+  updateComment: Joi.object({
+    content: Joi.string()
+      .trim()
+      .min(1)
+      .max(1000)
+      .required()
   }),
 
   // Update user profile
@@ -147,18 +317,48 @@ const schemas = {
       .max(150)
       .allow('')
       .optional(),
-    profilePicture: Joi.string()
-      .uri()
-      .allow('')
+    preferences: Joi.object({
+      isPrivate: Joi.boolean(),
+      allowComments: Joi.boolean(),
+      showOnlineStatus: Joi.boolean(),
+      notifications: Joi.object({
+        likes: Joi.boolean(),
+        comments: Joi.boolean(),
+        follows: Joi.boolean(),
+        mentions: Joi.boolean()
+      })
+    }).optional()
+  }),
+
+  // Mute a word or tag
+  muteKeyword: Joi.object({
+    kind: Joi.string()
+      .valid('word', 'tag')
+      .required(),
+    value: Joi.string()
+      .trim()
+      .min(1)
+      .max(50)
+      .required(),
+    expiresAt: Joi.date()
+      .iso()
+      .greater('now')
+      .allow(null)
       .optional()
+      .messages({
+        'date.greater': 'Expiry must be in the future'
+      })
   }),
 
   // Feed query parameters
   feedQuery: Joi.object({
-    page: Joi.number()
-      .integer()
-      .min(1)
-      .default(1),
+    cursor: Joi.string()
+      .max(4096)
+      .pattern(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Invalid cursor'
+      }),
     limit: Joi.number()
       .integer()
       .min(1)
@@ -184,12 +384,37 @@ const schemas = {
       .default('recent')
   }),
 
+  // Batched post impressions
+  impressions: Joi.object({
+    postIds: Joi.array()
+      .items(
+        Joi.string()
+          .pattern(/^[0-9a-fA-F]{24}$/)
+          .messages({
+            'string.pattern.base': 'Invalid post ID format'
+          })
+      )
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'array.max': 'Cannot record more than 100 impressions per batch'
+      })
+  }),
+
   // Pagination query
   pagination: Joi.object({
     page: Joi.number()
       .integer()
       .min(1)
       .default(1),
+    cursor: Joi.string()
+      .max(4096)
+      .pattern(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Invalid cursor'
+      }),
     limit: Joi.number()
       .integer()
       .min(1)
@@ -197,6 +422,21 @@ const schemas = {
       .default(20)
   }),
 
+  // Notification list query parameters
+  notificationQuery: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(50)
+      .default(20),
+    unreadOnly: Joi.boolean()
+      .default(false)
+  }),
+
   // MongoDB ObjectId
   objectId: Joi.object({
     id: Joi.string()
@@ -207,6 +447,187 @@ const schemas = {
       })
   }),
 
+  // Post ID + comment ID route params
+  commentParams: Joi.object({
+    id: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required(),
+    commentId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+  }).messages({
+    'string.pattern.base': 'Invalid ID format'
+  }),
+
+  // Create or rename a bookmark collection
+  bookmarkCollection: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(50)
+      .required()
+      .messages({
+        'string.max': 'Collection name cannot exceed 50 characters'
+      })
+  }),
+
+  bookmarkParams: Joi.object({
+    id: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required(),
+    postId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+  }).messages({
+    'string.pattern.base': 'Invalid ID format'
+  }),
+
+  // Report a post
+  reportPost: Joi.object({
+    reason: Joi.string()
+      .valid(...REPORT_REASONS)
+      .required()
+      .messages({
+        'any.only': `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+      }),
+    details: Joi.string()
+      .trim()
+      .max(500)
+      .allow('')
+      .optional()
+  }),
+
+  // Admin: moderation queue filters
+  reportQueueQuery: Joi.object({
+    reason: Joi.string()
+      .valid(...REPORT_REASONS)
+      .optional(),
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+  }),
+
+  // Admin: resolve the reports against a post
+  resolveReports: Joi.object({
+    action: Joi.string()
+      .valid(...MODERATION_ACTIONS)
+      .required(),
+    note: Joi.string()
+      .trim()
+      .max(500)
+      .allow('')
+      .optional(),
+    suspendDays: Joi.number()
+      .integer()
+      .min(1)
+      .max(365)
+      .when('action', {
+        is: 'suspend',
+        otherwise: Joi.forbidden()
+      })
+  }),
+
+  // Admin: change a user's role
+  updateUserRole: Joi.object({
+    role: Joi.string()
+      .valid(...Object.values(ROLES))
+      .required(),
+    permissions: Joi.array()
+      .items(Joi.string().valid(...Object.values(PERMISSIONS)))
+      .unique()
+      .optional(),
+    reason: Joi.string()
+      .trim()
+      .max(500)
+      .optional()
+  }),
+
+  // Admin: user listing filters
+  adminUserQuery: Joi.object({
+    role: Joi.string()
+      .valid(...Object.values(ROLES))
+      .optional(),
+    q: Joi.string()
+      .trim()
+      .max(100)
+      .optional(),
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+  }),
+
+  // Admin: audit log filters
+  auditLogQuery: Joi.object({
+    action: Joi.string()
+      .max(100)
+      .optional(),
+    actor: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .optional(),
+    target: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .optional(),
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+  }).messages({
+    'string.pattern.base': 'Invalid ID format'
+  }),
+
+  // Session ID parameter
+  streamParams: Joi.object({
+    streamId: Joi.string()
+      .guid({ version: 'uuidv4' })
+      .required()
+      .messages({
+        'string.guid': 'Invalid stream ID format'
+      })
+  }),
+
+  // Posts a real-time stream receives live counts for
+  watchPosts: Joi.object({
+    postIds: Joi.array()
+      .items(
+        Joi.string()
+          .pattern(/^[0-9a-fA-F]{24}$/)
+          .messages({
+            'string.pattern.base': 'Invalid post ID format'
+          })
+      )
+      .max(MAX_WATCHED_POSTS)
+      .required()
+      .messages({
+        'array.max': `Cannot watch more than ${MAX_WATCHED_POSTS} posts per stream`
+      })
+  }),
+
+  sessionParams: Joi.object({
+    sessionId: Joi.string()
+      .guid({ version: 'uuidv4' })
+      .required()
+      .messages({
+        'string.guid': 'Invalid session ID format'
+      })
+  }),
+
   // Search query
   search: Joi.object({
     q: Joi.string()
@@ -220,6 +641,13 @@ const schemas = {
     type: Joi.string()
       .valid('posts', 'users', 'tags')
       .default('posts'),
+    cursor: Joi.string()
+      .max(4096)
+      .pattern(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Invalid cursor'
+      }),
     page: Joi.number()
       .integer()
       .min(1)
@@ -235,12 +663,37 @@ const schemas = {
 // Validation middleware functions
 const validateRegister = validate(schemas.register);
 const validateLogin = validate(schemas.login);
+const validateRefreshToken = validate(schemas.refreshToken);
+const validateVerifyEmail = validate(schemas.verifyEmail);
+const validateForgotPassword = validate(schemas.forgotPassword);
+const validateResetPassword = validate(schemas.resetPassword);
+const validateChangePassword = validate(schemas.changePassword);
 const validateCreatePost = validate(schemas.createPost);
 const validateUpdatePost = validate(schemas.updatePost);
+const validateUpdateDraft = validate(schemas.updateDraft);
+const validateDraftQuery = validate(schemas.draftQuery, 'query');
+const validateSharePost = validate(schemas.sharePost);
+const validateCreateComment = validate(schemas.createComment);
+const validateUpdateComment = validate(schemas.updateComment);
 const validateUpdateProfile = validate(schemas.updateProfile);
+const validateMuteKeyword = validate(schemas.muteKeyword);
 const validateFeedQuery = validate(schemas.feedQuery, 'query');
+const validateImpressions = validate(schemas.impressions);
 const validatePagination = validate(schemas.pagination, 'query');
+const validateNotificationQuery = validate(schemas.notificationQuery, 'query');
 const validateObjectId = validate(schemas.objectId, 'params');
+const validateCommentParams = validate(schemas.commentParams, 'params');
+const validateBookmarkCollection = validate(schemas.bookmarkCollection);
+const validateBookmarkParams = validate(schemas.bookmarkParams, 'params');
+const validateSessionParams = validate(schemas.sessionParams, 'params');
+const validateStreamParams = validate(schemas.streamParams, 'params');
+const validateWatchPosts = validate(schemas.watchPosts);
+const validateReportPost = validate(schemas.reportPost);
+const validateReportQueueQuery = validate(schemas.reportQueueQuery, 'query');
+const validateResolveReports = validate(schemas.resolveReports);
+const validateUpdateUserRole = validate(schemas.updateUserRole);
+const validateAdminUserQuery = validate(schemas.adminUserQuery, 'query');
+const validateAuditLogQuery = validate(schemas.auditLogQuery, 'query');
 const validateSearch = validate(schemas.search, 'query');
 
 // Custom validation for file uploads
@@ -249,20 +702,17 @@ const validateImageUpload = (req, res, next) => {
     return next();
   }
 
-  const allowedTypes = ['image/jpeg', 'image/png', 'image/webp'];
-  const maxSize = 5 * 1024 * 1024; // 5MB
-
-  if (!allowedTypes.includes(req.file.mimetype)) {
+  if (!ALLOWED_IMAGE_TYPES.includes(req.file.mimetype)) {
     return res.status(HTTP_STATUS.BAD_REQUEST).json({
       error: 'Invalid file type',
       message: 'Only JPEG, PNG, and WebP images are allowed'
     });
   }
 
-  if (req.file.size > maxSize) {
+  if (req.file.size > MAX_IMAGE_SIZE) {
     return res.status(HTTP_STATUS.BAD_REQUEST).json({
       error: 'File too large',
-      message: 'Image size cannot exceed 5MB'
+      message: `Image size cannot exceed ${MAX_IMAGE_SIZE / (1024 * 1024)}MB`
     });
   }
 
@@ -274,12 +724,37 @@ module.exports = {
   schemas,
   validateRegister,
   validateLogin,
+  validateRefreshToken,
+  validateVerifyEmail,
+  validateForgotPassword,
+  validateResetPassword,
+  validateChangePassword,
   validateCreatePost,
   validateUpdatePost,
+  validateUpdateDraft,
+  validateDraftQuery,
+  validateSharePost,
+  validateCreateComment,
+  validateUpdateComment,
   validateUpdateProfile,
+  validateMuteKeyword,
   validateFeedQuery,
+  validateImpressions,
   validatePagination,
+  validateNotificationQuery,
   validateObjectId,
+  validateCommentParams,
+  validateBookmarkCollection,
+  validateBookmarkParams,
+  validateSessionParams,
+  validateStreamParams,
+  validateWatchPosts,
+  validateReportPost,
+  validateReportQueueQuery,
+  validateResolveReports,
+  validateUpdateUserRole,
+  validateAdminUserQuery,
+  validateAuditLogQuery,
   validateSearch,
   validateImageUpload
 };
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Null for actions taken outside a request, e.g. the admin bootstrap script
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Dotted action name, e.g. `user.role.update`
+  action: {
+    type: String,
+    required: [true, 'Action is required']
+  },
+  targetType: {
+    type: String,
+    required: [true, 'Target type is required']
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Target is required']
+  },
+  // Values before and after the change
+  changes: {
+    from: { type: mongoose.Schema.Types.Mixed, default: null },
+    to: { type: mongoose.Schema.Types.Mixed, default: null }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+// Audit entries are append-only
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+});
+
+// Static method to record an action
+auditLogSchema.statics.record = async function(entry) {
+  return await this.create(entry);
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const blockSchema = new mongoose.Schema({
+  blocker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Blocker is required']
+  },
+  blocked: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Blocked user is required'],
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocker: 1, createdAt: -1 });
+
+// Prevent users from blocking themselves
+blockSchema.pre('validate', function(next) {
+  if (this.blocker && this.blocked && this.blocker.equals(this.blocked)) {
+    return next(new Error('Users cannot block themselves'));
+  }
+  next();
+});
+
+// Static method to check if a user has blocked another user
+blockSchema.statics.isBlocking = async function(blockerId, blockedId) {
+  const block = await this.findOne({
+    blocker: blockerId,
+    blocked: blockedId
+  });
+  return !!block;
+};
+
+// Static method to check if either user has blocked the other
+blockSchema.statics.isBlockedEitherWay = async function(userId, otherUserId) {
+  const block = await this.findOne({
+    $or: [
+      { blocker: userId, blocked: otherUserId },
+      { blocker: otherUserId, blocked: userId }
+    ]
+  });
+  return !!block;
+};
+
+// Static method to get IDs of users a user has blocked or been blocked by
+blockSchema.statics.getBlockedIds = async function(userId) {
+  const blocks = await this.find({
+    $or: [{ blocker: userId }, { blocked: userId }]
+  }, 'blocker blocked').lean();
+
+  return blocks.map(block => (block.blocker.equals(userId) ? block.blocked : block.blocker));
+};
+
+// Static method to get the users a user has blocked with user info
+blockSchema.statics.getBlockedUsers = async function(userId, options = {}) {
+  const { limit = 20, skip = 0 } = options;
+
+  return await this.find({ blocker: userId })
+    .populate('blocked', 'username firstName lastName profilePicture avatar.small isVerified')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+module.exports = mongoose.model('Block', blockSchema);
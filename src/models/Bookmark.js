@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A post saved into one of a user's collections; a post can be in several
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  bookmarkCollection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookmarkCollection',
+    required: [true, 'Collection is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+bookmarkSchema.index({ bookmarkCollection: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ bookmarkCollection: 1, createdAt: -1 });
+bookmarkSchema.index({ user: 1, post: 1 });
+
+// Static method to bulk check which posts a user has saved to any collection
+bookmarkSchema.statics.checkUserBookmarks = async function(userId, postIds) {
+  const savedPostIds = await this.distinct('post', {
+    user: userId,
+    post: { $in: postIds }
+  });
+  const saved = new Set(savedPostIds.map(postId => postId.toString()));
+
+  return postIds.map(postId => ({
+    postId: postId.toString(),
+    isSaved: saved.has(postId.toString())
+  }));
+};
+
+// Static method to page through a collection's saved posts, most recently saved first
+// Bookmarks whose post does not match `postMatch` are left out before paging;
+// `after` is a keyset condition on the bookmarks' createdAt and _id.
+bookmarkSchema.statics.getCollectionPosts = async function(collectionId, options = {}) {
+  const { limit = 20, after = null, postMatch = {} } = options;
+
+  const [result] = await this.aggregate([
+    { $match: { bookmarkCollection: collectionId } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $lookup: {
+        from: 'posts',
+        let: { postId: '$post' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$postId'] } } },
+          { $match: postMatch }
+        ],
+        as: 'post'
+      }
+    },
+    { $unwind: '$post' },
+    {
+      $facet: {
+        items: [
+          ...(after ? [{ $match: after }] : []),
+          { $limit: limit }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    items: result.items,
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const bookmarkCollectionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [50, 'Collection name cannot exceed 50 characters']
+  },
+  bookmarksCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Names are unique per user regardless of case
+bookmarkCollectionSchema.index(
+  { user: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+bookmarkCollectionSchema.index({ user: 1, updatedAt: -1 });
+
+// Static method to get a user's collections, most recently changed first
+bookmarkCollectionSchema.statics.getForUser = async function(userId) {
+  return await this.find({ user: userId })
+    .select('-__v')
+    .sort({ updatedAt: -1 })
+    .lean();
+};
+
+module.exports = mongoose.model('BookmarkCollection', bookmarkCollectionSchema);
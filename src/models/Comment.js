@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required'],
+    index: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Comment author is required'],
+    index: true
+  },
+  content: {
+    type: String,
+    required: [true, 'Comment content is required'],
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  // Top-level comments have no parent; replies are only one level deep
+  parentComment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  repliesCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for performance
+commentSchema.index({ post: 1, parentComment: 1, isActive: 1, createdAt: -1 });
+commentSchema.index({ parentComment: 1, isActive: 1, createdAt: 1 });
+
+// Static method to get top-level comments for a post
+commentSchema.statics.getPostComments = async function(postId, options = {}) {
+  const { limit = 20, skip = 0 } = options;
+
+  return await this.find({
+    post: postId,
+    parentComment: null,
+    isActive: true
+  })
+  .populate('author', 'username firstName lastName profilePicture avatar.small isVerified')
+  .sort({ createdAt: -1 })
+  .skip(skip)
+  .limit(limit);
+};
+
+// Static method to get replies to a comment (oldest first, like a thread)
+commentSchema.statics.getReplies = async function(commentId, options = {}) {
+  const { limit = 20, skip = 0 } = options;
+
+  return await this.find({
+    parentComment: commentId,
+    isActive: true
+  })
+  .populate('author', 'username firstName lastName profilePicture avatar.small isVerified')
+  .sort({ createdAt: 1 })
+  .skip(skip)
+  .limit(limit);
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
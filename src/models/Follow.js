@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Follower is required'],
+    index: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Followed user is required'],
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for performance
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, createdAt: -1 });
+followSchema.index({ follower: 1, createdAt: -1 });
+
+// Prevent users from following themselves
+followSchema.pre('validate', function(next) {
+  if (this.follower && this.following && this.follower.equals(this.following)) {
+    return next(new Error('Users cannot follow themselves'));
+  }
+  next();
+});
+
+// Static method to check if a user follows another user
+followSchema.statics.isFollowing = async function(followerId, followingId) {
+  const follow = await this.findOne({
+    follower: followerId,
+    following: followingId
+  });
+  return !!follow;
+};
+
+// Static method to get IDs of all users a user follows
+followSchema.statics.getFollowingIds = async function(userId) {
+  const follows = await this.find({ follower: userId }, 'following').lean();
+  return follows.map(follow => follow.following);
+};
+
+// Static method to get a user's followers with user info
+followSchema.statics.getFollowers = async function(userId, options = {}) {
+  const { limit = 20, skip = 0 } = options;
+
+  return await this.find({ following: userId })
+    .populate('follower', 'username firstName lastName profilePicture avatar.small isVerified')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+// Static method to get the users a user follows with user info
+followSchema.statics.getFollowing = async function(userId, options = {}) {
+  const { limit = 20, skip = 0 } = options;
+
+  return await this.find({ follower: userId })
+    .populate('following', 'username firstName lastName profilePicture avatar.small isVerified')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+// Static method to bulk check which users are followed by a user
+followSchema.statics.checkUserFollows = async function(userId, targetIds) {
+  const follows = await this.find({
+    follower: userId,
+    following: { $in: targetIds }
+  }, 'following');
+
+  const followedIds = new Set(follows.map(follow => follow.following.toString()));
+
+  return targetIds.map(targetId => ({
+    userId: targetId.toString(),
+    isFollowing: followedIds.has(targetId.toString())
+  }));
+};
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const followRequestSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Requester is required'],
+    index: true
+  },
+  // The private account being asked
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Target user is required']
+  }
+}, {
+  timestamps: true
+});
+
+followRequestSchema.index({ requester: 1, target: 1 }, { unique: true });
+followRequestSchema.index({ target: 1, createdAt: -1 });
+
+// Static method to check if a follow request is pending
+followRequestSchema.statics.isPending = async function(requesterId, targetId) {
+  const request = await this.findOne({
+    requester: requesterId,
+    target: targetId
+  });
+  return !!request;
+};
+
+// Static method to get pending requests received by a user with requester info
+followRequestSchema.statics.getIncoming = async function(userId, options = {}) {
+  const { limit = 20, skip = 0 } = options;
+
+  return await this.find({ target: userId })
+    .populate('requester', 'username firstName lastName profilePicture avatar.small isVerified')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+module.exports = mongoose.model('FollowRequest', followRequestSchema);
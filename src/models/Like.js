@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { HIDDEN_MODERATION_STATUSES } = require('../utils/constants');
 
 const likeSchema = new mongoose.Schema({
   user: {
@@ -38,7 +39,7 @@ likeSchema.statics.isLiked = async function(userId, postId) {
 
 // Static method to get user's liked posts
 likeSchema.statics.getUserLikedPosts = async function(userId, options = {}) {
-  const { limit = 20, skip = 0 } = options;
+  const { limit = 20, skip = 0, excludeAuthorIds = [] } = options;
   
   return await this.find({
     user: userId,
@@ -46,9 +47,14 @@ likeSchema.statics.getUserLikedPosts = async function(userId, options = {}) {
   })
   .populate({
     path: 'post',
+    match: {
+      isActive: true,
+      moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES },
+      ...(excludeAuthorIds.length > 0 && { author: { $nin: excludeAuthorIds } })
+    },
     populate: {
       path: 'author',
-      select: 'username firstName lastName profilePicture'
+      select: 'username firstName lastName profilePicture avatar.small'
     }
   })
   .sort({ createdAt: -1 })
@@ -58,13 +64,14 @@ likeSchema.statics.getUserLikedPosts = async function(userId, options = {}) {
 
 // Static method to get post likes with user info
 likeSchema.statics.getPostLikes = async function(postId, options = {}) {
-  const { limit = 20, skip = 0 } = options;
+  const { limit = 20, skip = 0, excludeUserIds = [] } = options;
   
   return await this.find({
     post: postId,
-    isActive: true
+    isActive: true,
+    ...(excludeUserIds.length > 0 && { user: { $nin: excludeUserIds } })
   })
-  .populate('user', 'username firstName lastName profilePicture')
+  .populate('user', 'username firstName lastName profilePicture avatar.small')
   .sort({ createdAt: -1 })
   .skip(skip)
   .limit(limit);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const mediaSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Media owner is required'],
+    index: true
+  },
+  // Storage backend that holds the files, so they can be removed later
+  storage: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  width: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  height: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  thumbnail: {
+    key: String,
+    url: String,
+    width: Number,
+    height: Number
+  },
+  // Set once the upload is used in a post; unattached uploads can be deleted
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+mediaSchema.index({ post: 1, createdAt: 1 });
+
+// Hide storage internals from API responses
+mediaSchema.methods.toJSON = function() {
+  const media = this.toObject();
+  delete media.storage;
+  delete media.key;
+  if (media.thumbnail) {
+    delete media.thumbnail.key;
+  }
+  delete media.__v;
+  return media;
+};
+
+// Static method to find uploads a user may attach to a post
+mediaSchema.statics.findAttachable = async function(mediaIds, ownerId, postId = null) {
+  return await this.find({
+    _id: { $in: mediaIds },
+    owner: ownerId,
+    post: { $in: [null, postId] }
+  });
+};
+
+module.exports = mongoose.model('Media', mediaSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const muteSchema = new mongoose.Schema({
+  muter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Muter is required']
+  },
+  muted: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Muted user is required']
+  }
+}, {
+  timestamps: true
+});
+
+muteSchema.index({ muter: 1, muted: 1 }, { unique: true });
+muteSchema.index({ muter: 1, createdAt: -1 });
+
+// Prevent users from muting themselves
+muteSchema.pre('validate', function(next) {
+  if (this.muter && this.muted && this.muter.equals(this.muted)) {
+    return next(new Error('Users cannot mute themselves'));
+  }
+  next();
+});
+
+// Static method to check if a user has muted another user
+muteSchema.statics.isMuted = async function(muterId, mutedId) {
+  const mute = await this.findOne({
+    muter: muterId,
+    muted: mutedId
+  });
+  return !!mute;
+};
+
+// Static method to get IDs of all users a user has muted
+muteSchema.statics.getMutedIds = async function(userId) {
+  const mutes = await this.find({ muter: userId }, 'muted').lean();
+  return mutes.map(mute => mute.muted);
+};
+
+// Static method to get the users a user has muted with user info
+muteSchema.statics.getMutedUsers = async function(userId, options = {}) {
+  const { limit = 20, skip = 0 } = options;
+
+  return await this.find({ muter: userId })
+    .populate('muted', 'username firstName lastName profilePicture avatar.small isVerified')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+module.exports = mongoose.model('Mute', muteSchema);
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const {
+  NOTIFICATION_PREFERENCES,
+  NOTIFICATION_ACTORS_SHOWN,
+  NOTIFICATION_TTL_DAYS,
+  DAY_IN_MS
+} = require('../utils/constants');
+const NotificationActor = require('./NotificationActor');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  type: {
+    type: String,
+    enum: Object.keys(NOTIFICATION_PREFERENCES),
+    required: [true, 'Notification type is required']
+  },
+  // What the notification is about, when it is about a post or comment
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Unread events of the same kind are grouped; only the latest few actors are kept here
+  actors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Distinct actors in the group, tracked one per entry in NotificationActor
+  actorsCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, updatedAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+notificationSchema.index({ recipient: 1, type: 1, post: 1, comment: 1, isRead: 1 });
+notificationSchema.index({ updatedAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_DAYS * DAY_IN_MS / 1000 });
+
+// Static method to add an actor to the unread group for an event, creating it if needed
+notificationSchema.statics.addActor = async function(group, actorId) {
+  const notification = await this.findOneAndUpdate(
+    { ...group, isRead: false },
+    [
+      {
+        $set: {
+          actors: {
+            $slice: [
+              {
+                $concatArrays: [
+                  [actorId],
+                  { $filter: { input: { $ifNull: ['$actors', []] }, cond: { $ne: ['$$this', actorId] } } }
+                ]
+              },
+              NOTIFICATION_ACTORS_SHOWN
+            ]
+          },
+          actorsCount: { $ifNull: ['$actorsCount', 0] },
+          readAt: null,
+          createdAt: { $ifNull: ['$createdAt', '$$NOW'] },
+          updatedAt: '$$NOW'
+        }
+      }
+    ],
+    { upsert: true, new: true, timestamps: false }
+  );
+
+  // Acting again does not count twice
+  const isNewActor = await NotificationActor.record(notification._id, actorId);
+  if (!isNewActor) {
+    return notification;
+  }
+
+  return await this.findByIdAndUpdate(
+    notification._id,
+    { $inc: { actorsCount: 1 } },
+    { new: true, timestamps: false }
+  );
+};
+
+// Static method to remove an actor from an unread group, deleting it once empty
+notificationSchema.statics.removeActor = async function(group, actorId) {
+  const existing = await this.findOne({ ...group, isRead: false }, '_id');
+  if (!existing) {
+    return null;
+  }
+
+  const { deletedCount } = await NotificationActor.deleteOne({
+    notification: existing._id,
+    actor: actorId
+  });
+  if (deletedCount === 0) {
+    return null;
+  }
+
+  // Refill the shown actors with the latest of the others
+  const actors = await NotificationActor.getLatestIds(existing._id, NOTIFICATION_ACTORS_SHOWN);
+
+  const notification = await this.findByIdAndUpdate(
+    existing._id,
+    { $set: { actors }, $inc: { actorsCount: -1 } },
+    { new: true, timestamps: false }
+  );
+
+  if (notification && notification.actorsCount <= 0) {
+    await this.deleteOne({ _id: notification._id });
+  }
+
+  return notification;
+};
+
+// Static method to get a user's notifications with actor and post info
+notificationSchema.statics.getForUser = async function(userId, options = {}) {
+  const { limit = 20, skip = 0, unreadOnly = false } = options;
+
+  return await this.find({
+    recipient: userId,
+    ...(unreadOnly && { isRead: false })
+  })
+    .populate('actors', 'username firstName lastName profilePicture avatar.small isVerified')
+    .populate('post', 'content media imageUrl isActive')
+    .populate('comment', 'content isActive')
+    .sort({ updatedAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.getUnreadCount = async function(userId) {
+  return await this.countDocuments({
+    recipient: userId,
+    isRead: false
+  });
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
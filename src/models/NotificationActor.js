@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TTL_DAYS, DAY_IN_MS } = require('../utils/constants');
+
+// Who acted in a grouped notification; one entry per actor, so each is counted once
+const notificationActorSchema = new mongoose.Schema({
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    required: [true, 'Notification is required']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  }
+}, {
+  timestamps: true
+});
+
+notificationActorSchema.index({ notification: 1, actor: 1 }, { unique: true });
+notificationActorSchema.index({ notification: 1, updatedAt: -1 });
+notificationActorSchema.index({ updatedAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_DAYS * DAY_IN_MS / 1000 });
+
+// Static method to record an actor, returning whether they are new to the notification
+notificationActorSchema.statics.record = async function(notificationId, actorId) {
+  try {
+    const result = await this.updateOne(
+      { notification: notificationId, actor: actorId },
+      { $set: { notification: notificationId, actor: actorId } },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0;
+  } catch (error) {
+    // A concurrent upsert for the same actor won the race
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Static method to get the latest actors of a notification
+notificationActorSchema.statics.getLatestIds = async function(notificationId, limit) {
+  const entries = await this.find({ notification: notificationId }, 'actor')
+    .sort({ updatedAt: -1 })
+    .limit(limit)
+    .lean();
+  return entries.map(entry => entry.actor);
+};
+
+module.exports = mongoose.model('NotificationActor', notificationActorSchema);
@@ -1,4 +1,90 @@
 const mongoose = require('mongoose');
+const { HIDDEN_MODERATION_STATUSES, MAX_MEDIA_PER_POST, MAX_TAGS_PER_POST } = require('../utils/constants');
+const { normalizeTag, extractHashtags } = require('../utils/entities');
+
+// One image of a post, copied from its upload so feeds need no lookup
+// Images of posts from before uploads (see scripts/backfill-post-media.js)
+// only have a URL: no upload and no known size.
+const postMediaSchema = new mongoose.Schema({
+  media: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    default: null
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnailUrl: {
+    type: String,
+    default: ''
+  },
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  altText: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [1000, 'Alt text cannot exceed 1000 characters']
+  },
+  // Visible rectangle in the image's pixels; null shows the whole image
+  crop: {
+    type: new mongoose.Schema({
+      x: { type: Number, min: 0, required: true },
+      y: { type: Number, min: 0, required: true },
+      width: { type: Number, min: 1, required: true },
+      height: { type: Number, min: 1, required: true }
+    }, { _id: false }),
+    default: null
+  }
+}, { _id: false });
+
+// A linked `@username` in the content; offsets are string indices into `content`
+const mentionEntitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  start: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  end: {
+    type: Number,
+    min: 0,
+    required: true
+  }
+}, { _id: false });
+
+// A `#hashtag` in the content, with the tag it adds to the post
+const hashtagEntitySchema = new mongoose.Schema({
+  tag: {
+    type: String,
+    required: true
+  },
+  start: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  end: {
+    type: Number,
+    min: 0,
+    required: true
+  }
+}, { _id: false });
 
 const postSchema = new mongoose.Schema({
   author: {
@@ -9,21 +95,65 @@ const postSchema = new mongoose.Schema({
   },
   content: {
     type: String,
-    required: [true, 'Post content is required'],
+    // Reposts may omit content; when present it is the sharer's quote
+    required: [function() { return !this.originalPost; }, 'Post content is required'],
     trim: true,
+    default: '',
     maxlength: [2200, 'Post content cannot exceed 2200 characters']
   },
+  // Ordered carousel of uploaded images
+  media: {
+    type: [postMediaSchema],
+    default: []
+  },
+  // First image's URL; posts from before uploads only have this
   imageUrl: {
     type: String,
     trim: true,
     default: ''
   },
+  // Last time the author changed the content, tags or images; earlier
+  // versions are kept as PostRevisions
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  editCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Set when this post is a share/repost of another post
+  originalPost: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null,
+    index: true
+  },
+  // Parts of the content clients render as links, resolved whenever it is written
+  entities: {
+    mentions: {
+      type: [mentionEntitySchema],
+      default: []
+    },
+    hashtags: {
+      type: [hashtagEntitySchema],
+      default: []
+    }
+  },
+  // Explicit tags merged with the content's hashtags
   tags: [{
     type: String,
     trim: true,
     lowercase: true,
     maxlength: [50, 'Tag cannot exceed 50 characters']
   }],
+  // The tags the author sent, so editing the content only takes away the
+  // tags its hashtags added
+  explicitTags: {
+    type: [String],
+    default: undefined
+  },
   likesCount: {
     type: Number,
     default: 0,
@@ -44,15 +174,38 @@ const postSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // False for deleted posts and for posts not published yet, which keeps
+  // drafts and scheduled posts out of every feed, search and count
   isActive: {
     type: Boolean,
     default: true
   },
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'published'],
+    default: 'published'
+  },
+  // When a scheduled post goes live; createdAt is moved to that time on publishing
+  publishAt: {
+    type: Date,
+    default: null
+  },
   reportCount: {
     type: Number,
     default: 0,
     min: 0
   },
+  // `pending` once reports reach the threshold, then set by a moderator's review
+  moderationStatus: {
+    type: String,
+    enum: ['none', 'pending', 'hidden', 'approved'],
+    default: 'none'
+  },
+  // Copied from the author's privacy setting so feeds can filter without a lookup
+  authorIsPrivate: {
+    type: Boolean,
+    default: false
+  },
   // Engagement metrics for ranking
   engagementRate: {
     type: Number,
@@ -94,11 +247,27 @@ const postSchema = new mongoose.Schema({
 // Indexes for performance optimization
 postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ tags: 1, createdAt: -1 });
+postSchema.index({ 'entities.mentions.user': 1, createdAt: -1 });
 postSchema.index({ likesCount: -1, createdAt: -1 });
 postSchema.index({ rankingScore: -1, createdAt: -1 });
 postSchema.index({ isActive: 1, createdAt: -1 });
+postSchema.index({ moderationStatus: 1, reportCount: -1 });
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ author: 1, status: 1, updatedAt: -1 });
 postSchema.index({ createdAt: -1 });
 
+// A user can only have one active share of a given post
+postSchema.index(
+  { author: 1, originalPost: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      originalPost: { $type: 'objectId' },
+      isActive: true
+    }
+  }
+);
+
 // Compound index for feed queries
 postSchema.index({ 
   isActive: 1, 
@@ -129,22 +298,44 @@ postSchema.virtual('engagementScore').get(function() {
   return totalInteractions / views;
 });
 
-// Validate tags array length and content
+// Normalize tags, dropping empty ones and duplicates
+const cleanTags = (tags) => [...new Set(
+  tags
+    .filter(tag => tag && tag.trim().length > 0)
+    .map(tag => normalizeTag(tag))
+    .filter(tag => tag.length > 0)
+)];
+
+// Validate media and tags, adding the content's hashtags to the tags
 postSchema.pre('validate', function(next) {
-  if (this.tags && this.tags.length > 30) {
-    return next(new Error('Cannot have more than 30 tags per post'));
+  if (this.media && this.media.length > MAX_MEDIA_PER_POST) {
+    return next(new Error(`Cannot have more than ${MAX_MEDIA_PER_POST} images per post`));
   }
-  
-  // Clean and validate tags
-  if (this.tags && this.tags.length > 0) {
-    this.tags = this.tags
-      .filter(tag => tag && tag.trim().length > 0)
-      .map(tag => tag.trim().toLowerCase().replace(/[^a-zA-Z0-9_]/g, ''))
-      .filter(tag => tag.length > 0)
-      .slice(0, 30);
-    
-    // Remove duplicates
-    this.tags = [...new Set(this.tags)];
+
+  // Edited content replaces the hashtags it brought; explicit tags are kept
+  // unless new ones were sent with the edit
+  if (this.isNew || this.isModified('content') || this.isModified('tags')) {
+    if (this.isNew || this.isModified('tags')) {
+      this.explicitTags = cleanTags(this.tags);
+    } else if (!this.explicitTags) {
+      // Posts from before explicit tags were stored keep what their hashtags did not add
+      const previous = new Set(this.entities.hashtags.map(hashtag => hashtag.tag));
+      this.explicitTags = this.tags.filter(tag => !previous.has(tag));
+    }
+
+    if (this.isNew || this.isModified('content')) {
+      this.entities.hashtags = extractHashtags(this.content);
+    }
+
+    this.tags = cleanTags([
+      ...this.explicitTags,
+      ...this.entities.hashtags.map(hashtag => hashtag.tag)
+    ]);
+
+    // Explicit tags and hashtags share the limit, counted once each
+    if (this.tags.length > MAX_TAGS_PER_POST) {
+      this.invalidate('tags', `Cannot have more than ${MAX_TAGS_PER_POST} tags per post`);
+    }
   }
   
   next();
@@ -190,6 +381,53 @@ postSchema.methods.decrementLikes = function() {
   return this.save();
 };
 
+// Method to increment comments
+postSchema.methods.incrementComments = function() {
+  this.commentsCount += 1;
+  this.updateEngagementRate();
+  return this.save();
+};
+
+// Method to decrement comments (a deleted thread removes its replies too)
+postSchema.methods.decrementComments = function(count = 1) {
+  this.commentsCount = Math.max(0, this.commentsCount - count);
+  this.updateEngagementRate();
+  return this.save();
+};
+
+// Method to increment shares
+postSchema.methods.incrementShares = function() {
+  this.sharesCount += 1;
+  this.updateEngagementRate();
+  return this.save();
+};
+
+// Method to decrement shares
+postSchema.methods.decrementShares = function() {
+  this.sharesCount = Math.max(0, this.sharesCount - 1);
+  this.updateEngagementRate();
+  return this.save();
+};
+
+// Populate options for the post a repost points to (null once it is deleted)
+postSchema.statics.getOriginalPostPopulate = function() {
+  return {
+    path: 'originalPost',
+    // A repost must not reveal a post whose author has since gone private,
+    // or one that moderation hid
+    match: {
+      isActive: true,
+      authorIsPrivate: { $ne: true },
+      moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES }
+    },
+    select: 'author content entities media imageUrl tags likesCount commentsCount sharesCount editedAt createdAt',
+    populate: {
+      path: 'author',
+      select: 'username firstName lastName profilePicture avatar.small isVerified'
+    }
+  };
+};
+
 // Static method to get trending tags
 postSchema.statics.getTrendingTags = async function(limit = 10, timeframe = 24) {
   const hoursAgo = new Date(Date.now() - timeframe * 60 * 60 * 1000);
@@ -198,7 +436,9 @@ postSchema.statics.getTrendingTags = async function(limit = 10, timeframe = 24)
     {
       $match: {
         createdAt: { $gte: hoursAgo },
-        isActive: true
+        isActive: true,
+        moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES },
+        authorIsPrivate: { $ne: true }
       }
     },
     { $unwind: '$tags' },
@@ -248,6 +488,8 @@ postSchema.statics.getFeedPosts = async function(options = {}) {
     {
       $match: {
         isActive: true,
+        moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES },
+        authorIsPrivate: { $ne: true },
         ...(excludePostIds.length > 0 && { _id: { $nin: excludePostIds } })
       }
     },
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A post as it was before one of its edits
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  // 1 is the post as first published; the live post is one past the latest
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  tags: [{
+    type: String
+  }],
+  media: [{
+    _id: false,
+    media: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Media'
+    },
+    url: String,
+    altText: String,
+    crop: mongoose.Schema.Types.Mixed
+  }],
+  // When the replaced version was published or last edited
+  publishedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+postRevisionSchema.index({ post: 1, version: -1 }, { unique: true });
+
+// Static method to get a post's revisions, newest first
+postRevisionSchema.statics.getForPost = async function(postId, options = {}) {
+  const { limit = 20, skip = 0 } = options;
+
+  return await this.find({ post: postId })
+    .select('-post -__v')
+    .sort({ version: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { WEEK_IN_MS, HOUR_IN_MS } = require('../utils/constants');
+
+const postViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  // User ID for authenticated viewers, `ip:<address>` for anonymous ones
+  viewer: {
+    type: String,
+    required: [true, 'Viewer is required']
+  },
+  // Index of the dedup window the view fell into
+  window: {
+    type: Number,
+    required: [true, 'View window is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One view per viewer per post per window
+postViewSchema.index({ post: 1, viewer: 1, window: 1 }, { unique: true });
+postViewSchema.index({ createdAt: -1, post: 1 });
+
+// Views are only needed for as long as the weekly bucket covers them
+postViewSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: Math.ceil((WEEK_IN_MS + HOUR_IN_MS) / 1000) }
+);
+
+module.exports = mongoose.model('PostView', postViewSchema);
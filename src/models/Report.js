@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const { REPORT_REASONS, MODERATION_ACTIONS } = require('../utils/constants');
+
+const reportSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reporter is required']
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: REPORT_REASONS,
+      message: 'Invalid report reason'
+    },
+    required: [true, 'Report reason is required']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Report details cannot exceed 500 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  // Filled in when a moderator reviews the post
+  resolution: {
+    action: {
+      type: String,
+      enum: [...MODERATION_ACTIONS, null],
+      default: null
+    },
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    note: {
+      type: String,
+      default: ''
+    },
+    resolvedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// One report per user per post
+reportSchema.index({ post: 1, reporter: 1 }, { unique: true });
+reportSchema.index({ status: 1, createdAt: 1 });
+
+// Static method to get the moderation queue: posts with open reports, most reported first
+reportSchema.statics.getQueue = async function(options = {}) {
+  const { limit = 20, skip = 0, reason } = options;
+
+  const match = { status: 'open' };
+  if (reason) {
+    match.reason = reason;
+  }
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$post',
+        openReports: { $sum: 1 },
+        reasons: { $push: '$reason' },
+        firstReportedAt: { $min: '$createdAt' },
+        lastReportedAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { openReports: -1, firstReportedAt: 1 } },
+    {
+      $facet: {
+        items: [
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: 'posts',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'post'
+            }
+          },
+          { $unwind: '$post' },
+          {
+            $lookup: {
+              from: 'users',
+              localField: 'post.author',
+              foreignField: '_id',
+              as: 'post.author'
+            }
+          },
+          {
+            $addFields: {
+              'post.author': { $arrayElemAt: ['$post.author', 0] }
+            }
+          },
+          {
+            $project: {
+              _id: 0,
+              post: {
+                _id: 1,
+                content: 1,
+                media: 1,
+                imageUrl: 1,
+                tags: 1,
+                isActive: 1,
+                reportCount: 1,
+                moderationStatus: 1,
+                createdAt: 1,
+                'author._id': 1,
+                'author.username': 1,
+                'author.warningsCount': 1,
+                'author.suspendedUntil': 1
+              },
+              openReports: 1,
+              reasons: 1,
+              firstReportedAt: 1,
+              lastReportedAt: 1
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    items: result.items,
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
+module.exports = mongoose.model('Report', reportSchema);
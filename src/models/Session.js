@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  // Shared by the access tokens (`sid`) and refresh token family of this login
+  sessionId: {
+    type: String,
+    required: [true, 'Session ID is required'],
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed forward every time the refresh token is rotated
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse', 'password-change', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /(Chrome|CriOS)\//],
+  ['Firefox', /(Firefox|FxiOS)\//],
+  ['Safari', /Version\/.*Safari\//]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+// Static method to turn a user agent into a short device label
+sessionSchema.statics.describeDevice = function(userAgent = '') {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) {
+    return 'Unknown device';
+  }
+
+  if (!browser) {
+    return platform[0];
+  }
+
+  return platform ? `${browser[0]} on ${platform[0]}` : browser[0];
+};
+
+// Static method to get a user's active sessions, most recently used first
+sessionSchema.statics.getActiveSessions = async function(userId) {
+  return await this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+  .sort({ lastSeenAt: -1 });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { ACCESS_TOKEN_TTL, ROLES, PERMISSIONS, ROLE_PERMISSIONS } = require('../utils/constants');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -44,14 +45,43 @@ const userSchema = new mongoose.Schema({
     maxlength: [150, 'Bio cannot exceed 150 characters'],
     default: ''
   },
+  // Large avatar URL; older accounts may still hold an external URL here
   profilePicture: {
     type: String,
     default: ''
   },
+  // Square variants of an uploaded avatar, see AVATAR_SIZES
+  avatar: {
+    storage: String,
+    version: String,
+    small: String,
+    medium: String,
+    large: String
+  },
   isVerified: {
     type: Boolean,
     default: false
   },
+  role: {
+    type: String,
+    enum: Object.values(ROLES),
+    default: ROLES.USER
+  },
+  // Extra permissions granted on top of the role's
+  permissions: [{
+    type: String,
+    enum: Object.values(PERMISSIONS)
+  }],
+  // Moderation history
+  warningsCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  suspendedUntil: {
+    type: Date,
+    default: null
+  },
   followersCount: {
     type: Number,
     default: 0,
@@ -83,6 +113,28 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Words and tags hidden from the user's feeds, optionally until `expiresAt`
+  mutedKeywords: [{
+    kind: {
+      type: String,
+      enum: ['word', 'tag'],
+      required: true
+    },
+    value: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   preferences: {
     isPrivate: {
       type: Boolean,
@@ -95,6 +147,25 @@ const userSchema = new mongoose.Schema({
     showOnlineStatus: {
       type: Boolean,
       default: true
+    },
+    // Notification types the user wants to receive
+    notifications: {
+      likes: {
+        type: Boolean,
+        default: true
+      },
+      comments: {
+        type: Boolean,
+        default: true
+      },
+      follows: {
+        type: Boolean,
+        default: true
+      },
+      mentions: {
+        type: Boolean,
+        default: true
+      }
     }
   },
   lastActiveAt: {
@@ -112,6 +183,7 @@ userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ 'likedTags.tag': 1 });
 userSchema.index({ lastActiveAt: -1 });
+userSchema.index({ role: 1 });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -141,16 +213,17 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.generateToken = function() {
+// Generate short-lived JWT access token bound to a session
+userSchema.methods.generateToken = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id, 
       username: this.username,
-      email: this.email 
+      email: this.email,
+      sid: sessionId
     },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 };
 
@@ -186,11 +259,37 @@ userSchema.methods.getPreferredTags = function(limit = 20) {
     .map(lt => lt.tag);
 };
 
+// Get muted words and tags that have not expired
+userSchema.methods.getActiveMutedKeywords = function() {
+  const now = new Date();
+  const active = (this.mutedKeywords || []).filter(mute => !mute.expiresAt || mute.expiresAt > now);
+
+  return {
+    words: active.filter(mute => mute.kind === 'word').map(mute => mute.value),
+    tags: active.filter(mute => mute.kind === 'tag').map(mute => mute.value)
+  };
+};
+
+// Check whether the user is currently suspended
+userSchema.methods.isSuspended = function() {
+  return !!this.suspendedUntil && this.suspendedUntil > new Date();
+};
+
+// Check whether the user's role or extra grants include a permission
+userSchema.methods.hasPermission = function(permission) {
+  const rolePermissions = ROLE_PERMISSIONS[this.role] || [];
+  return rolePermissions.includes(permission) || (this.permissions || []).includes(permission);
+};
+
 // Remove sensitive data from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.__v;
+  if (userObject.avatar) {
+    delete userObject.avatar.storage;
+    delete userObject.avatar.version;
+  }
   return userObject;
 };
 
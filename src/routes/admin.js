@@ -0,0 +1,87 @@
+const express = require('express');
+const AdminController = require('../controllers/adminController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  validateObjectId,
+  validateUpdateUserRole,
+  validateAdminUserQuery,
+  validateAuditLogQuery,
+  validateReportQueueQuery,
+  validateResolveReports
+} = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Every admin route requires an authenticated user
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/admin/users
+ * @desc List users with their roles
+ * @access Private (users:read)
+ */
+router.get('/users', 
+  requirePermission(PERMISSIONS.USERS_READ), 
+  validateAdminUserQuery, 
+  AdminController.getUsers
+);
+
+/**
+ * @route PATCH /api/admin/users/:id/role
+ * @desc Change a user's role and extra permissions
+ * @access Private (users:manage-roles)
+ */
+router.patch('/users/:id/role', 
+  requirePermission(PERMISSIONS.USERS_MANAGE_ROLES), 
+  validateObjectId, 
+  validateUpdateUserRole, 
+  AdminController.updateUserRole
+);
+
+/**
+ * @route GET /api/admin/reports
+ * @desc Get the moderation queue
+ * @access Private (reports:review)
+ */
+router.get('/reports', 
+  requirePermission(PERMISSIONS.REPORTS_REVIEW), 
+  validateReportQueueQuery, 
+  AdminController.getReports
+);
+
+/**
+ * @route GET /api/admin/reports/:id
+ * @desc Get a reported post and its reports
+ * @access Private (reports:review)
+ */
+router.get('/reports/:id', 
+  requirePermission(PERMISSIONS.REPORTS_REVIEW), 
+  validateObjectId, 
+  AdminController.getPostReports
+);
+
+/**
+ * @route POST /api/admin/reports/:id/resolve
+ * @desc Resolve a post's open reports with a moderation action
+ * @access Private (reports:review; suspend also needs users:suspend)
+ */
+router.post('/reports/:id/resolve', 
+  requirePermission(PERMISSIONS.REPORTS_REVIEW), 
+  validateObjectId, 
+  validateResolveReports, 
+  AdminController.resolveReports
+);
+
+/**
+ * @route GET /api/admin/audit-logs
+ * @desc Get audit log entries
+ * @access Private (audit:read)
+ */
+router.get('/audit-logs', 
+  requirePermission(PERMISSIONS.AUDIT_READ), 
+  validateAuditLogQuery, 
+  AdminController.getAuditLogs
+);
+
+module.exports = router;
@@ -1,10 +1,20 @@
 const express = require('express');
 const AuthController = require('../controllers/authController');
 const { authenticateToken } = require('../middleware/auth');
-const { authLimiter } = require('../middleware/rateLimiting');
+const { 
+  authLimiter, 
+  verificationLimiter, 
+  passwordResetLimiter 
+} = require('../middleware/rateLimiting');
 const { 
   validateRegister, 
-  validateLogin 
+  validateLogin,
+  validateRefreshToken,
+  validateVerifyEmail,
+  validateForgotPassword,
+  validateResetPassword,
+  validateChangePassword,
+  validateSessionParams
 } = require('../middleware/validation');
 
 const router = express.Router();
@@ -35,18 +45,74 @@ router.get('/me', authenticateToken, AuthController.getCurrentUser);
 
 /**
  * @route POST /api/auth/refresh
- * @desc Refresh JWT token
- * @access Private
+ * @desc Exchange a refresh token for a new access/refresh token pair
+ * @access Public (refresh token required)
  */
-router.post('/refresh', authenticateToken, AuthController.refreshToken);
+router.post('/refresh', validateRefreshToken, AuthController.refreshToken);
 
 /**
  * @route POST /api/auth/logout
- * @desc Logout user
+ * @desc Logout user and revoke the current session
  * @access Private
  */
 router.post('/logout', authenticateToken, AuthController.logout);
 
+/**
+ * @route POST /api/auth/verify-email
+ * @desc Verify email address with a token from the verification email
+ * @access Public
+ */
+router.post('/verify-email', validateVerifyEmail, AuthController.verifyEmail);
+
+/**
+ * @route POST /api/auth/verify-email/resend
+ * @desc Send a new verification email
+ * @access Private
+ */
+router.post('/verify-email/resend', authenticateToken, verificationLimiter, AuthController.resendVerificationEmail);
+
+/**
+ * @route POST /api/auth/forgot-password
+ * @desc Email a password reset link
+ * @access Public
+ */
+router.post('/forgot-password', passwordResetLimiter, validateForgotPassword, AuthController.forgotPassword);
+
+/**
+ * @route POST /api/auth/reset-password
+ * @desc Set a new password with a reset token
+ * @access Public
+ */
+router.post('/reset-password', validateResetPassword, AuthController.resetPassword);
+
+/**
+ * @route POST /api/auth/change-password
+ * @desc Change password and revoke all other sessions
+ * @access Private
+ */
+router.post('/change-password', authenticateToken, validateChangePassword, AuthController.changePassword);
+
+/**
+ * @route GET /api/auth/sessions
+ * @desc List active sessions for the current user
+ * @access Private
+ */
+router.get('/sessions', authenticateToken, AuthController.getSessions);
+
+/**
+ * @route DELETE /api/auth/sessions
+ * @desc Revoke all sessions except the current one
+ * @access Private
+ */
+router.delete('/sessions', authenticateToken, AuthController.revokeOtherSessions);
+
+/**
+ * @route DELETE /api/auth/sessions/:sessionId
+ * @desc Revoke a single session
+ * @access Private
+ */
+router.delete('/sessions/:sessionId', authenticateToken, validateSessionParams, AuthController.revokeSession);
+
 /**
  * @route GET /api/auth/check-username/:username
  * @desc Check if username is available
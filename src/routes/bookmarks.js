@@ -0,0 +1,86 @@
+const express = require('express');
+const BookmarkController = require('../controllers/bookmarkController');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  validateBookmarkCollection,
+  validateBookmarkParams,
+  validateObjectId,
+  validatePagination
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/bookmarks/collections
+ * @desc Get current user's bookmark collections
+ * @access Private
+ */
+router.get('/collections', 
+  BookmarkController.getCollections
+);
+
+/**
+ * @route POST /api/bookmarks/collections
+ * @desc Create a bookmark collection
+ * @access Private
+ */
+router.post('/collections', 
+  validateBookmarkCollection, 
+  BookmarkController.createCollection
+);
+
+/**
+ * @route PUT /api/bookmarks/collections/:id
+ * @desc Rename a bookmark collection
+ * @access Private (owner only)
+ */
+router.put('/collections/:id', 
+  validateObjectId, 
+  validateBookmarkCollection, 
+  BookmarkController.renameCollection
+);
+
+/**
+ * @route DELETE /api/bookmarks/collections/:id
+ * @desc Delete a bookmark collection and its saved posts
+ * @access Private (owner only)
+ */
+router.delete('/collections/:id', 
+  validateObjectId, 
+  BookmarkController.deleteCollection
+);
+
+/**
+ * @route GET /api/bookmarks/collections/:id/posts
+ * @desc Get posts saved in a collection (cursor-based)
+ * @access Private (owner only)
+ */
+router.get('/collections/:id/posts', 
+  validateObjectId, 
+  validatePagination, 
+  BookmarkController.getCollectionPosts
+);
+
+/**
+ * @route PUT /api/bookmarks/collections/:id/posts/:postId
+ * @desc Save a post to a collection
+ * @access Private (owner only)
+ */
+router.put('/collections/:id/posts/:postId', 
+  validateBookmarkParams, 
+  BookmarkController.addPost
+);
+
+/**
+ * @route DELETE /api/bookmarks/collections/:id/posts/:postId
+ * @desc Remove a post from a collection
+ * @access Private (owner only)
+ */
+router.delete('/collections/:id/posts/:postId', 
+  validateBookmarkParams, 
+  BookmarkController.removePost
+);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const CommentController = require('../controllers/commentController');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { commentLimiter } = require('../middleware/rateLimiting');
+const {
+  validateCreateComment,
+  validateUpdateComment,
+  validateObjectId,
+  validateCommentParams,
+  validatePagination
+} = require('../middleware/validation');
+
+// Mounted under /api/posts/:id/comments
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @route POST /api/posts/:id/comments
+ * @desc Add a comment or reply to a post
+ * @access Private
+ */
+router.post('/', 
+  authenticateToken, 
+  commentLimiter, 
+  validateObjectId, 
+  validateCreateComment, 
+  CommentController.createComment
+);
+
+/**
+ * @route GET /api/posts/:id/comments
+ * @desc Get top-level comments for a post
+ * @access Public (approved followers only for private accounts)
+ */
+router.get('/', 
+  optionalAuth, 
+  validateObjectId, 
+  validatePagination, 
+  CommentController.getComments
+);
+
+/**
+ * @route GET /api/posts/:id/comments/:commentId/replies
+ * @desc Get replies to a comment
+ * @access Public (approved followers only for private accounts)
+ */
+router.get('/:commentId/replies', 
+  optionalAuth, 
+  validateCommentParams, 
+  validatePagination, 
+  CommentController.getReplies
+);
+
+/**
+ * @route PUT /api/posts/:id/comments/:commentId
+ * @desc Edit a comment
+ * @access Private (comment author only)
+ */
+router.put('/:commentId', 
+  authenticateToken, 
+  validateCommentParams, 
+  validateUpdateComment, 
+  CommentController.updateComment
+);
+
+/**
+ * @route DELETE /api/posts/:id/comments/:commentId
+ * @desc Delete a comment
+ * @access Private (comment or post author)
+ */
+router.delete('/:commentId', 
+  authenticateToken, 
+  validateCommentParams, 
+  CommentController.deleteComment
+);
+
+module.exports = router;
@@ -1,11 +1,23 @@
 const express = require('express');
 const FeedController = require('../controllers/feedController');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
-const { feedLimiter } = require('../middleware/rateLimiting');
-const { validateFeedQuery } = require('../middleware/validation');
+const { feedLimiter, impressionLimiter } = require('../middleware/rateLimiting');
+const { validateFeedQuery, validateImpressions } = require('../middleware/validation');
 
 const router = express.Router();
 
+/**
+ * @route POST /api/feed/impressions
+ * @desc Record a batch of post impressions shown by a feed client
+ * @access Public (optional auth to identify the viewer)
+ */
+router.post('/impressions', 
+  impressionLimiter, 
+  optionalAuth, 
+  validateImpressions, 
+  FeedController.recordImpressions
+);
+
 // Apply rate limiting to feed routes
 router.use(feedLimiter);
 
@@ -33,6 +45,17 @@ router.get('/personalized',
   FeedController.getPersonalizedFeed
 );
 
+/**
+ * @route GET /api/feed/following
+ * @desc Get feed of posts from followed accounts only
+ * @access Private
+ */
+router.get('/following', 
+  authenticateToken, 
+  validateFeedQuery, 
+  FeedController.getFollowingFeed
+);
+
 /**
  * @route GET /api/feed/general
  * @desc Get general feed (no personalization)
@@ -64,6 +87,16 @@ router.get('/trending',
   FeedController.getTrendingPosts
 );
 
+/**
+ * @route POST /api/feed/timeline/rebuild
+ * @desc Rebuild user's precomputed feed timeline
+ * @access Private
+ */
+router.post('/timeline/rebuild', 
+  authenticateToken, 
+  FeedController.rebuildTimeline
+);
+
 /**
  * @route DELETE /api/feed/cache
  * @desc Clear user's feed cache
@@ -0,0 +1,34 @@
+const express = require('express');
+const MediaController = require('../controllers/mediaController');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadLimiter } = require('../middleware/rateLimiting');
+const { uploadImage } = require('../middleware/upload');
+const { validateImageUpload, validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/media
+ * @desc Upload an image (multipart/form-data, "image" field) for use in a post
+ * @access Private
+ */
+router.post('/', 
+  authenticateToken, 
+  uploadLimiter, 
+  uploadImage('image'), 
+  validateImageUpload, 
+  MediaController.uploadMedia
+);
+
+/**
+ * @route DELETE /api/media/:id
+ * @desc Delete an upload that is not used by a post
+ * @access Private
+ */
+router.delete('/:id', 
+  authenticateToken, 
+  validateObjectId, 
+  MediaController.deleteMedia
+);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const NotificationController = require('../controllers/notificationController');
+const { authenticateToken } = require('../middleware/auth');
+const { validateNotificationQuery, validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/notifications
+ * @desc Get current user's notifications (page-based, optional unreadOnly)
+ * @access Private
+ */
+router.get('/', 
+  validateNotificationQuery, 
+  NotificationController.getNotifications
+);
+
+/**
+ * @route GET /api/notifications/unread-count
+ * @desc Get current user's unread notification count
+ * @access Private
+ */
+router.get('/unread-count', 
+  NotificationController.getUnreadCount
+);
+
+/**
+ * @route POST /api/notifications/read-all
+ * @desc Mark all notifications as read
+ * @access Private
+ */
+router.post('/read-all', 
+  NotificationController.markAllRead
+);
+
+/**
+ * @route POST /api/notifications/:id/read
+ * @desc Mark a notification as read
+ * @access Private
+ */
+router.post('/:id/read', 
+  validateObjectId, 
+  NotificationController.markRead
+);
+
+module.exports = router;
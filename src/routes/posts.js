@@ -1,14 +1,20 @@
 const express = require('express');
 const PostController = require('../controllers/postController');
+const commentRoutes = require('./comments');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { 
   createPostLimiter, 
   likeLimiter, 
-  searchLimiter 
+  searchLimiter, 
+  reportLimiter 
 } = require('../middleware/rateLimiting');
 const {
   validateCreatePost,
   validateUpdatePost,
+  validateUpdateDraft,
+  validateDraftQuery,
+  validateSharePost,
+  validateReportPost,
   validateObjectId,
   validatePagination,
   validateSearch
@@ -50,6 +56,52 @@ router.get('/my',
   PostController.getMyPosts
 );
 
+/**
+ * @route GET /api/posts/drafts
+ * @desc Get current user's drafts and scheduled posts
+ * @access Private
+ */
+router.get('/drafts', 
+  authenticateToken, 
+  validateDraftQuery, 
+  PostController.getDrafts
+);
+
+/**
+ * @route PUT /api/posts/drafts/:id
+ * @desc Update a draft or scheduled post
+ * @access Private (author only)
+ */
+router.put('/drafts/:id', 
+  authenticateToken, 
+  validateObjectId, 
+  validateUpdateDraft, 
+  PostController.updateDraft
+);
+
+/**
+ * @route POST /api/posts/drafts/:id/publish
+ * @desc Publish a draft or scheduled post now
+ * @access Private (author only)
+ */
+router.post('/drafts/:id/publish', 
+  authenticateToken, 
+  createPostLimiter, 
+  validateObjectId, 
+  PostController.publishDraft
+);
+
+/**
+ * @route DELETE /api/posts/drafts/:id
+ * @desc Discard a draft or cancel a scheduled post
+ * @access Private (author only)
+ */
+router.delete('/drafts/:id', 
+  authenticateToken, 
+  validateObjectId, 
+  PostController.deleteDraft
+);
+
 /**
  * @route GET /api/posts/trending-tags
  * @desc Get trending tags
@@ -131,15 +183,71 @@ router.post('/:id/like',
   PostController.toggleLike
 );
 
+/**
+ * @route POST /api/posts/:id/share
+ * @desc Share (repost) a post with an optional quote
+ * @access Private
+ */
+router.post('/:id/share', 
+  authenticateToken, 
+  createPostLimiter, 
+  validateObjectId, 
+  validateSharePost, 
+  PostController.sharePost
+);
+
+/**
+ * @route DELETE /api/posts/:id/share
+ * @desc Remove your share of a post
+ * @access Private
+ */
+router.delete('/:id/share', 
+  authenticateToken, 
+  validateObjectId, 
+  PostController.unsharePost
+);
+
 /**
  * @route GET /api/posts/:id/likes
  * @desc Get post likes
- * @access Public
+ * @access Public (approved followers only for private accounts)
  */
 router.get('/:id/likes', 
+  optionalAuth, 
   validateObjectId, 
   validatePagination, 
   PostController.getPostLikes
 );
 
+/**
+ * @route GET /api/posts/:id/revisions
+ * @desc Get the earlier versions of an edited post
+ * @access Public (approved followers only for private accounts)
+ */
+router.get('/:id/revisions', 
+  optionalAuth, 
+  validateObjectId, 
+  validatePagination, 
+  PostController.getPostRevisions
+);
+
+/**
+ * @route POST /api/posts/:id/report
+ * @desc Report a post for moderator review
+ * @access Private
+ */
+router.post('/:id/report', 
+  authenticateToken, 
+  reportLimiter, 
+  validateObjectId, 
+  validateReportPost, 
+  PostController.reportPost
+);
+
+/**
+ * Comment routes
+ * @see ./comments.js
+ */
+router.use('/:id/comments', commentRoutes);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,30 @@
+const express = require('express');
+const RealtimeController = require('../controllers/realtimeController');
+const { authenticateToken } = require('../middleware/auth');
+const { validateStreamParams, validateWatchPosts } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/realtime/stream
+ * @desc Open a server-sent event stream of feed hints and live post counts
+ * @access Private
+ */
+router.get('/stream', 
+  authenticateToken, 
+  RealtimeController.openStream
+);
+
+/**
+ * @route PUT /api/realtime/stream/:streamId/posts
+ * @desc Replace the posts a stream receives live counts for
+ * @access Private
+ */
+router.put('/stream/:streamId/posts', 
+  authenticateToken, 
+  validateStreamParams, 
+  validateWatchPosts, 
+  RealtimeController.watchPosts
+);
+
+module.exports = router;
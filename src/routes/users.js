@@ -1,10 +1,14 @@
 const express = require('express');
 const UserController = require('../controllers/userController');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
-const { searchLimiter } = require('../middleware/rateLimiting');
+const { searchLimiter, followLimiter, uploadLimiter } = require('../middleware/rateLimiting');
+const { uploadImage } = require('../middleware/upload');
 const { 
   validateUpdateProfile, 
+  validateImageUpload,
+  validateMuteKeyword,
   validatePagination,
+  validateObjectId,
   validateSearch 
 } = require('../middleware/validation');
 
@@ -32,6 +36,29 @@ router.put('/profile',
   UserController.updateProfile
 );
 
+/**
+ * @route POST /api/users/me/avatar
+ * @desc Upload a profile picture (multipart/form-data, "avatar" field)
+ * @access Private
+ */
+router.post('/me/avatar', 
+  authenticateToken, 
+  uploadLimiter, 
+  uploadImage('avatar'), 
+  validateImageUpload, 
+  UserController.uploadAvatar
+);
+
+/**
+ * @route DELETE /api/users/me/avatar
+ * @desc Remove the profile picture
+ * @access Private
+ */
+router.delete('/me/avatar', 
+  authenticateToken, 
+  UserController.deleteAvatar
+);
+
 /**
  * @route GET /api/users/liked-posts
  * @desc Get current user's liked posts
@@ -43,6 +70,17 @@ router.get('/liked-posts',
   UserController.getLikedPosts
 );
 
+/**
+ * @route GET /api/users/me/mentions
+ * @desc Get posts that mention the current user (cursor-based)
+ * @access Private
+ */
+router.get('/me/mentions', 
+  authenticateToken, 
+  validatePagination, 
+  UserController.getMentions
+);
+
 /**
  * @route GET /api/users/preferred-tags
  * @desc Get current user's preferred tags
@@ -73,19 +111,151 @@ router.get('/stats',
   UserController.getUserStats
 );
 
+/**
+ * @route GET /api/users/me/blocked
+ * @desc Get users the current user has blocked
+ * @access Private
+ */
+router.get('/me/blocked', 
+  authenticateToken, 
+  validatePagination, 
+  UserController.getBlockedUsers
+);
+
+/**
+ * @route POST /api/users/me/blocked/:username
+ * @desc Block a user
+ * @access Private
+ */
+router.post('/me/blocked/:username', 
+  authenticateToken, 
+  followLimiter, 
+  UserController.blockUser
+);
+
+/**
+ * @route DELETE /api/users/me/blocked/:username
+ * @desc Unblock a user
+ * @access Private
+ */
+router.delete('/me/blocked/:username', 
+  authenticateToken, 
+  followLimiter, 
+  UserController.unblockUser
+);
+
+/**
+ * @route GET /api/users/me/muted
+ * @desc Get users the current user has muted
+ * @access Private
+ */
+router.get('/me/muted', 
+  authenticateToken, 
+  validatePagination, 
+  UserController.getMutedUsers
+);
+
+/**
+ * @route POST /api/users/me/muted/:username
+ * @desc Mute a user
+ * @access Private
+ */
+router.post('/me/muted/:username', 
+  authenticateToken, 
+  followLimiter, 
+  UserController.muteUser
+);
+
+/**
+ * @route DELETE /api/users/me/muted/:username
+ * @desc Unmute a user
+ * @access Private
+ */
+router.delete('/me/muted/:username', 
+  authenticateToken, 
+  followLimiter, 
+  UserController.unmuteUser
+);
+
+/**
+ * @route GET /api/users/me/muted-keywords
+ * @desc Get muted words and tags
+ * @access Private
+ */
+router.get('/me/muted-keywords', 
+  authenticateToken, 
+  UserController.getMutedKeywords
+);
+
+/**
+ * @route POST /api/users/me/muted-keywords
+ * @desc Mute a word or tag, optionally until a given time
+ * @access Private
+ */
+router.post('/me/muted-keywords', 
+  authenticateToken, 
+  validateMuteKeyword, 
+  UserController.muteKeyword
+);
+
+/**
+ * @route DELETE /api/users/me/muted-keywords/:id
+ * @desc Unmute a word or tag
+ * @access Private
+ */
+router.delete('/me/muted-keywords/:id', 
+  authenticateToken, 
+  validateObjectId, 
+  UserController.unmuteKeyword
+);
+
+/**
+ * @route GET /api/users/follow-requests
+ * @desc Get pending follow requests sent to the current user
+ * @access Private
+ */
+router.get('/follow-requests', 
+  authenticateToken, 
+  validatePagination, 
+  UserController.getFollowRequests
+);
+
+/**
+ * @route POST /api/users/follow-requests/:id/approve
+ * @desc Approve a follow request
+ * @access Private (request target only)
+ */
+router.post('/follow-requests/:id/approve', 
+  authenticateToken, 
+  validateObjectId, 
+  UserController.approveFollowRequest
+);
+
+/**
+ * @route POST /api/users/follow-requests/:id/reject
+ * @desc Reject a follow request
+ * @access Private (request target only)
+ */
+router.post('/follow-requests/:id/reject', 
+  authenticateToken, 
+  validateObjectId, 
+  UserController.rejectFollowRequest
+);
+
 /**
  * @route GET /api/users/:username
  * @desc Get user profile by username
  * @access Public
  */
 router.get('/:username', 
+  optionalAuth, 
   UserController.getUserProfile
 );
 
 /**
  * @route GET /api/users/:username/posts
  * @desc Get user's posts by username
- * @access Public (optional auth for like status)
+ * @access Public (approved followers only for private accounts)
  */
 router.get('/:username/posts', 
   optionalAuth, 
@@ -93,4 +263,48 @@ router.get('/:username/posts',
   UserController.getUserPosts
 );
 
+/**
+ * @route POST /api/users/:username/follow
+ * @desc Follow a user, or request to follow a private account
+ * @access Private
+ */
+router.post('/:username/follow', 
+  authenticateToken, 
+  followLimiter, 
+  UserController.followUser
+);
+
+/**
+ * @route DELETE /api/users/:username/follow
+ * @desc Unfollow a user or cancel a pending follow request
+ * @access Private
+ */
+router.delete('/:username/follow', 
+  authenticateToken, 
+  followLimiter, 
+  UserController.unfollowUser
+);
+
+/**
+ * @route GET /api/users/:username/followers
+ * @desc Get user's followers
+ * @access Public (approved followers only for private accounts)
+ */
+router.get('/:username/followers', 
+  optionalAuth, 
+  validatePagination, 
+  UserController.getFollowers
+);
+
+/**
+ * @route GET /api/users/:username/following
+ * @desc Get users followed by user
+ * @access Public (approved followers only for private accounts)
+ */
+router.get('/:username/following', 
+  optionalAuth, 
+  validatePagination, 
+  UserController.getFollowing
+);
+
 module.exports = router;
\ No newline at end of file
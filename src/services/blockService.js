@@ -0,0 +1,70 @@
+const Block = require('../models/Block');
+const Mute = require('../models/Mute');
+const FollowRequest = require('../models/FollowRequest');
+const FollowService = require('./followService');
+const cacheService = require('./cacheService');
+const { CACHE_KEYS } = require('../utils/constants');
+
+/**
+ * Block Service
+ * Blocks cut every connection between two users; mutes only hide the muted
+ * user's posts from the muter's feeds
+ */
+class BlockService {
+  /**
+   * Block a user, removing follows and follow requests in both directions
+   * @param {string} blockerId - Blocking user ID
+   * @param {string} blockedId - Blocked user ID
+   * @returns {Object} Created block
+   */
+  static async blockUser(blockerId, blockedId) {
+    const block = await Block.create({
+      blocker: blockerId,
+      blocked: blockedId
+    });
+
+    await Promise.all([
+      FollowService.removeFollow(blockerId, blockedId),
+      FollowService.removeFollow(blockedId, blockerId),
+      FollowRequest.deleteMany({
+        $or: [
+          { requester: blockerId, target: blockedId },
+          { requester: blockedId, target: blockerId }
+        ]
+      })
+    ]);
+
+    await BlockService.clearFeedCaches(blockerId, blockedId);
+
+    return block;
+  }
+
+  /**
+   * Drop cached feed pages so a new block or mute applies right away
+   * @param {...string} userIds - Users whose feeds changed
+   */
+  static async clearFeedCaches(...userIds) {
+    await Promise.all(userIds.map(userId =>
+      cacheService.deletePattern(`${CACHE_KEYS.USER_FEED(userId)}*`)
+    ));
+  }
+
+  /**
+   * Get IDs of authors whose posts a user should not see
+   * @param {string} userId - Viewer ID
+   * @param {Object} options - { includeMuted } adds muted users, for feeds
+   * @returns {Array} User IDs
+   */
+  static async getHiddenAuthorIds(userId, options = {}) {
+    const { includeMuted = false } = options;
+
+    const [blockedIds, mutedIds] = await Promise.all([
+      Block.getBlockedIds(userId),
+      includeMuted ? Mute.getMutedIds(userId) : []
+    ]);
+
+    return [...blockedIds, ...mutedIds];
+  }
+}
+
+module.exports = BlockService;
@@ -1,6 +1,26 @@
 const redis = require('redis');
 const logger = require('../utils/logger');
 
+// ARGV: maxSize, ttl (0 for none), then score/member pairs
+const ADD_TO_EXISTING_SORTED_SETS = `
+local maxSize = tonumber(ARGV[1])
+local ttl = tonumber(ARGV[2])
+for _, key in ipairs(KEYS) do
+  if redis.call('EXISTS', key) == 1 then
+    for i = 3, #ARGV, 2 do
+      redis.call('ZADD', key, ARGV[i], ARGV[i + 1])
+    end
+    if maxSize > 0 then
+      redis.call('ZREMRANGEBYRANK', key, 0, -(maxSize + 1))
+    end
+    if ttl > 0 then
+      redis.call('EXPIRE', key, ttl)
+    end
+  end
+end
+return 1
+`;
+
 /**
  * Cache Service using Redis for high-performance caching
  */
@@ -156,6 +176,39 @@ class CacheService {
     }
   }
 
+  /**
+   * Delete all keys matching a glob pattern (uses SCAN, safe for production)
+   * @param {string} pattern - Key pattern, e.g. `feed:user:123*`
+   * @returns {number} Number of deleted keys
+   */
+  async deletePattern(pattern) {
+    if (!this.isAvailable()) {
+      return 0;
+    }
+
+    try {
+      let deleted = 0;
+      let batch = [];
+
+      for await (const key of this.client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+        batch.push(key);
+        if (batch.length >= 100) {
+          deleted += await this.client.del(batch);
+          batch = [];
+        }
+      }
+
+      if (batch.length > 0) {
+        deleted += await this.client.del(batch);
+      }
+
+      return deleted;
+    } catch (error) {
+      logger.error(`Error deleting keys matching ${pattern}:`, error);
+      return 0;
+    }
+  }
+
   /**
    * Check if key exists in cache
    * @param {string} key - Cache key
@@ -370,6 +423,136 @@ class CacheService {
     }
   }
 
+  /**
+   * Add scored members to several sorted sets at once (Redis ZSET)
+   * Each set is trimmed to the highest-scored `maxSize` members. With
+   * `existingOnly`, sets that do not exist are left alone instead of being
+   * created with just these members.
+   * @param {Array} keys - Sorted set keys
+   * @param {Array} entries - Array of { score, value }
+   * @param {Object} options - { maxSize, ttl, existingOnly } (all optional)
+   * @returns {boolean} Success status
+   */
+  async sortedSetAddMany(keys, entries, options = {}) {
+    if (!this.isAvailable() || !keys || keys.length === 0 || !entries || entries.length === 0) {
+      return false;
+    }
+
+    const { maxSize = null, ttl = null, existingOnly = false } = options;
+
+    try {
+      if (existingOnly) {
+        // Checked and written in one script so a set cannot expire in between
+        await this.client.eval(ADD_TO_EXISTING_SORTED_SETS, {
+          keys,
+          arguments: [
+            String(maxSize || 0),
+            String(ttl || 0),
+            ...entries.flatMap(entry => [String(entry.score), entry.value])
+          ]
+        });
+        return true;
+      }
+
+      const pipeline = this.client.multi();
+
+      for (const key of keys) {
+        pipeline.zAdd(key, entries);
+
+        if (maxSize) {
+          // Drop everything below the top `maxSize` members
+          pipeline.zRemRangeByRank(key, 0, -(maxSize + 1));
+        }
+
+        if (ttl) {
+          pipeline.expire(key, ttl);
+        }
+      }
+
+      await pipeline.exec();
+      return true;
+    } catch (error) {
+      logger.error('Error adding to sorted sets:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Replace the contents of a sorted set
+   * @param {string} key - Sorted set key
+   * @param {Array} entries - Array of { score, value }
+   * @param {number} ttl - Time to live in seconds (optional)
+   * @returns {boolean} Success status
+   */
+  async sortedSetReplace(key, entries, ttl = null) {
+    if (!this.isAvailable()) {
+      return false;
+    }
+
+    try {
+      const pipeline = this.client.multi();
+      pipeline.del(key);
+
+      if (entries.length > 0) {
+        pipeline.zAdd(key, entries);
+
+        if (ttl) {
+          pipeline.expire(key, ttl);
+        }
+      }
+
+      await pipeline.exec();
+      return true;
+    } catch (error) {
+      logger.error(`Error replacing sorted set ${key}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get members of a sorted set by score, highest first
+   * @param {string} key - Sorted set key
+   * @param {Object} options - { max, min, limit } (scores default to +inf/-inf)
+   * @returns {Array} Array of { value, score }
+   */
+  async sortedSetRevRangeByScore(key, options = {}) {
+    if (!this.isAvailable()) {
+      return [];
+    }
+
+    const { max = '+inf', min = '-inf', limit = 100 } = options;
+
+    try {
+      return await this.client.zRangeWithScores(key, max, min, {
+        BY: 'SCORE',
+        REV: true,
+        LIMIT: { offset: 0, count: limit }
+      });
+    } catch (error) {
+      logger.error(`Error getting sorted set range for ${key}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Remove members from a sorted set
+   * @param {string} key - Sorted set key
+   * @param {Array} values - Members to remove
+   * @returns {number} Number of removed members
+   */
+  async sortedSetRemove(key, values) {
+    if (!this.isAvailable() || !values || values.length === 0) {
+      return 0;
+    }
+
+    try {
+      return await this.client.zRem(key, values);
+    } catch (error) {
+      logger.error(`Error removing from sorted set ${key}:`, error);
+      return 0;
+    }
+  }
+
   /**
    * Clear all cache (use with caution)
    * @returns {boolean} Success status
@@ -426,6 +609,91 @@ class CacheService {
     }
   }
 
+  /**
+   * Increment several counters in one round trip
+   * @param {Array} keys - Cache keys
+   * @param {number} ttl - Time to live in seconds (optional)
+   * @returns {Array|null} New values in key order, or null if unavailable
+   */
+  async incrementMany(keys, ttl = null) {
+    if (!this.isAvailable() || !keys || keys.length === 0) {
+      return null;
+    }
+
+    try {
+      const pipeline = this.client.multi();
+
+      for (const key of keys) {
+        pipeline.incr(key);
+        if (ttl) {
+          pipeline.expire(key, ttl);
+        }
+      }
+
+      const replies = await pipeline.exec();
+      // Each key adds an INCR reply, followed by an EXPIRE reply when ttl is set
+      return replies.filter((reply, index) => index % (ttl ? 2 : 1) === 0);
+    } catch (error) {
+      logger.error('Error incrementing multiple keys:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Publish a message on a pub/sub channel
+   * @param {string} channel - Channel name
+   * @param {*} message - Message, serialized as JSON
+   * @returns {boolean} Whether the message was sent to Redis
+   */
+  async publish(channel, message) {
+    if (!this.isAvailable()) {
+      return false;
+    }
+
+    try {
+      await this.client.publish(channel, JSON.stringify(message));
+      return true;
+    } catch (error) {
+      logger.error(`Error publishing to channel ${channel}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Subscribe to a pub/sub channel on a dedicated connection
+   * A Redis connection in subscriber mode cannot run other commands, so
+   * each subscription gets its own duplicate of the main client.
+   * @param {string} channel - Channel name
+   * @param {Function} listener - Called with each parsed message
+   * @returns {Object|null} Subscriber client, or null if unavailable
+   */
+  async subscribe(channel, listener) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      const subscriber = this.client.duplicate();
+      subscriber.on('error', (error) => {
+        logger.error(`Redis subscriber error on ${channel}:`, error);
+      });
+
+      await subscriber.connect();
+      await subscriber.subscribe(channel, (message) => {
+        try {
+          listener(JSON.parse(message));
+        } catch (error) {
+          logger.error(`Error handling message on channel ${channel}:`, error);
+        }
+      });
+
+      return subscriber;
+    } catch (error) {
+      logger.error(`Error subscribing to channel ${channel}:`, error);
+      return null;
+    }
+  }
+
   /**
    * Close cache connection
    */
@@ -0,0 +1,96 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const MailService = require('./mailService');
+const { EMAIL_VERIFICATION_TTL } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+const AUDIENCE = 'email-verification';
+
+class VerificationTokenError extends Error {
+  constructor(message = 'Invalid or expired verification token') {
+    super(message);
+    this.name = 'VerificationTokenError';
+    this.status = 400;
+  }
+}
+
+const getSecret = () => process.env.VERIFICATION_TOKEN_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Email Verification Service
+ * Issues signed, expiring verification tokens and marks users verified.
+ * Tokens are bound to the address they were sent to, so changing the email
+ * invalidates any token still in flight.
+ */
+class EmailVerificationService {
+  /**
+   * Create a verification token for a user's current email
+   * @param {Object} user - User document
+   * @returns {string} Signed token
+   */
+  static createToken(user) {
+    return jwt.sign(
+      { sub: user._id.toString(), email: user.email },
+      getSecret(),
+      { audience: AUDIENCE, expiresIn: EMAIL_VERIFICATION_TTL }
+    );
+  }
+
+  /**
+   * Send a verification email to a user
+   * @param {Object} user - User document
+   */
+  static async sendVerificationEmail(user) {
+    const token = EmailVerificationService.createToken(user);
+    const link = MailService.buildLink('/verify-email', { token });
+    const hours = Math.round(EMAIL_VERIFICATION_TTL / 3600);
+
+    await MailService.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.firstName || user.username},\n\n` +
+        `Please confirm your email address by opening the link below:\n\n${link}\n\n` +
+        `The link expires in ${hours} hours. If you did not create an account, you can ignore this email.`,
+      html: `<p>Hi ${user.firstName || user.username},</p>` +
+        `<p>Please confirm your email address by opening the link below:</p>` +
+        `<p><a href="${link}">Verify email</a></p>` +
+        `<p>The link expires in ${hours} hours. If you did not create an account, you can ignore this email.</p>`
+    });
+  }
+
+  /**
+   * Verify a token and mark its user as verified
+   * @param {string} token - Token from the verification email
+   * @returns {Object} { user, alreadyVerified }
+   * @throws {VerificationTokenError} If the token is invalid, expired or outdated
+   */
+  static async verifyToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, getSecret(), { audience: AUDIENCE });
+    } catch (error) {
+      throw new VerificationTokenError(error.name === 'TokenExpiredError'
+        ? 'Verification link has expired, please request a new one'
+        : undefined);
+    }
+
+    const user = await User.findById(payload.sub);
+    if (!user || user.email !== payload.email) {
+      throw new VerificationTokenError();
+    }
+
+    if (user.isVerified) {
+      return { user, alreadyVerified: true };
+    }
+
+    user.isVerified = true;
+    await user.save();
+
+    logger.info(`Email verified for user ${user.username}`);
+
+    return { user, alreadyVerified: false };
+  }
+}
+
+module.exports = EmailVerificationService;
+module.exports.VerificationTokenError = VerificationTokenError;
@@ -0,0 +1,182 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Follow = require('../models/Follow');
+const FollowRequest = require('../models/FollowRequest');
+const TimelineService = require('./timelineService');
+const logger = require('../utils/logger');
+
+/**
+ * Follow Service
+ * Creates follows, handles follow requests to private accounts and decides
+ * who may see a private account's content
+ */
+class FollowService {
+  /**
+   * Make one user follow another and update both counts
+   * @param {string} followerId - Follower ID
+   * @param {Object} targetUser - Followed user document
+   * @returns {Object} Created follow
+   */
+  static async createFollow(followerId, targetUser) {
+    const follow = await Follow.create({
+      follower: followerId,
+      following: targetUser._id
+    });
+
+    await Promise.all([
+      User.findByIdAndUpdate(followerId, { $inc: { followingCount: 1 } }),
+      User.findByIdAndUpdate(targetUser._id, { $inc: { followersCount: 1 } })
+    ]);
+
+    TimelineService.addAuthorToTimeline(followerId, targetUser).catch(error => {
+      logger.error('Timeline backfill error:', error);
+    });
+
+    return follow;
+  }
+
+  /**
+   * Remove a follow and update both counts
+   * @param {string} followerId - Follower ID
+   * @param {string} followingId - Followed user ID
+   * @returns {Object|null} Removed follow, or null if there was none
+   */
+  static async removeFollow(followerId, followingId) {
+    const follow = await Follow.findOneAndDelete({
+      follower: followerId,
+      following: followingId
+    });
+
+    if (!follow) {
+      return null;
+    }
+
+    await Promise.all([
+      User.updateOne(
+        { _id: followerId, followingCount: { $gt: 0 } },
+        { $inc: { followingCount: -1 } }
+      ),
+      User.updateOne(
+        { _id: followingId, followersCount: { $gt: 0 } },
+        { $inc: { followersCount: -1 } }
+      )
+    ]);
+
+    TimelineService.removeAuthorFromTimeline(followerId, followingId).catch(error => {
+      logger.error('Timeline cleanup error:', error);
+    });
+
+    return follow;
+  }
+
+  /**
+   * Accept a pending follow request
+   * @param {Object} request - FollowRequest document
+   * @param {Object} targetUser - User the request was sent to
+   * @returns {boolean} Whether a new follow was created
+   */
+  static async approveRequest(request, targetUser) {
+    await FollowRequest.deleteOne({ _id: request._id });
+
+    try {
+      await FollowService.createFollow(request.requester, targetUser);
+      return true;
+    } catch (error) {
+      // Already following, e.g. the account was public for a while
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a viewer may see a user's posts and connections
+   * @param {Object|null} viewer - Authenticated user, if any
+   * @param {Object} owner - User whose content is requested
+   * @returns {boolean} Access allowed
+   */
+  static async canViewContent(viewer, owner) {
+    if (!owner.preferences || !owner.preferences.isPrivate) {
+      return true;
+    }
+    if (!viewer) {
+      return false;
+    }
+    if (viewer._id.equals(owner._id)) {
+      return true;
+    }
+    return await Follow.isFollowing(viewer._id, owner._id);
+  }
+
+  /**
+   * Check whether a viewer may see a post
+   * @param {Object} post - Post with `author` as an ID or populated user
+   * @param {Object|null} viewer - Authenticated user, if any
+   * @returns {boolean} Access allowed
+   */
+  static async canViewPost(post, viewer) {
+    if (!post.authorIsPrivate) {
+      return true;
+    }
+    if (!viewer) {
+      return false;
+    }
+
+    const authorId = post.author._id || post.author;
+    if (viewer._id.equals(authorId)) {
+      return true;
+    }
+    return await Follow.isFollowing(viewer._id, authorId);
+  }
+
+  /**
+   * Build a post query condition limited to what a user may see
+   * @param {string} userId - Viewer ID
+   * @returns {Object} MongoDB condition
+   */
+  static async getVisiblePostsCondition(userId) {
+    const followingIds = await Follow.getFollowingIds(userId);
+
+    return {
+      $or: [
+        { authorIsPrivate: { $ne: true } },
+        { author: { $in: [userId, ...followingIds] } }
+      ]
+    };
+  }
+
+  /**
+   * Switch a user's account between public and private
+   * Going public accepts every pending follow request.
+   * @param {Object} user - User document, already saved with the new setting
+   * @param {boolean} isPrivate - New setting
+   * @returns {number} Number of follow requests accepted
+   */
+  static async applyPrivacySetting(user, isPrivate) {
+    await Post.updateMany(
+      { author: user._id, authorIsPrivate: { $ne: isPrivate } },
+      { authorIsPrivate: isPrivate }
+    );
+
+    if (isPrivate) {
+      return 0;
+    }
+
+    const requests = await FollowRequest.find({ target: user._id });
+    let approved = 0;
+    for (const request of requests) {
+      if (await FollowService.approveRequest(request, user)) {
+        approved++;
+      }
+    }
+
+    if (approved > 0) {
+      logger.info(`Accepted ${approved} follow requests for ${user.username} after going public`);
+    }
+
+    return approved;
+  }
+}
+
+module.exports = FollowService;
@@ -0,0 +1,100 @@
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Built-in transports
+ * A transport is an object with an async `send(message)` method, where
+ * message is { to, subject, text, html }.
+ */
+const transports = {
+  // Log messages instead of delivering them (development default)
+  console: {
+    async send(message) {
+      logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { id: null };
+    }
+  },
+
+  // Write each message to a JSON file in MAIL_OUTBOX_DIR (development and tests)
+  file: {
+    async send(message) {
+      const outbox = process.env.MAIL_OUTBOX_DIR || path.join('logs', 'mail');
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+      await fs.mkdir(outbox, { recursive: true });
+      await fs.writeFile(
+        path.join(outbox, `${id}.json`),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+
+      return { id };
+    }
+  }
+};
+
+/**
+ * Mail Service
+ * Sends transactional email through a pluggable transport selected with
+ * MAIL_TRANSPORT. Production deployments register their own transport
+ * (SMTP, an email API, ...) with registerTransport at startup.
+ */
+class MailService {
+  /**
+   * Register or replace a transport
+   * @param {string} name - Transport name used in MAIL_TRANSPORT
+   * @param {Object} transport - Object with an async send(message) method
+   */
+  static registerTransport(name, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error(`Mail transport "${name}" must implement send(message)`);
+    }
+    transports[name] = transport;
+  }
+
+  /**
+   * Get the configured transport
+   * @returns {Object} Transport
+   */
+  static getTransport() {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[name];
+
+    if (!transport) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+
+    return transport;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Object} Transport result
+   */
+  static async send(message) {
+    const mail = {
+      from: process.env.MAIL_FROM || 'no-reply@infinite-social-feed.local',
+      ...message
+    };
+
+    const result = await MailService.getTransport().send(mail);
+    logger.debug(`Mail sent to ${mail.to}: ${mail.subject}`);
+
+    return result;
+  }
+
+  /**
+   * Build an absolute link to a frontend page
+   * @param {string} pathname - Page path, e.g. '/verify-email'
+   * @param {Object} params - Query parameters
+   * @returns {string} URL
+   */
+  static buildLink(pathname, params = {}) {
+    const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:3001');
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+}
+
+module.exports = MailService;
@@ -0,0 +1,372 @@
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const cloudinary = require('cloudinary').v2;
+const Media = require('../models/Media');
+const { THUMBNAIL_SIZE, AVATAR_SIZES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+// Formats accepted after decoding, whatever the client claimed the type was
+const IMAGE_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  png: { mimeType: 'image/png', extension: 'png' },
+  webp: { mimeType: 'image/webp', extension: 'webp' }
+};
+
+class InvalidImageError extends Error {
+  constructor(message = 'File is not a valid JPEG, PNG or WebP image') {
+    super(message);
+    this.name = 'InvalidImageError';
+    this.status = 400;
+  }
+}
+
+class InvalidPostMediaError extends Error {
+  constructor(message = 'Invalid post media') {
+    super(message);
+    this.name = 'InvalidPostMediaError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Built-in storage backends
+ * A backend is an object with async `save(key, buffer, contentType)`,
+ * returning { url }, and async `remove(key)` methods.
+ */
+const storages = {
+  // Files under MEDIA_UPLOAD_DIR, served by the app at MEDIA_PUBLIC_URL
+  local: {
+    async save(key, buffer) {
+      const filePath = path.join(MediaService.getUploadDir(), key);
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      const baseUrl = (process.env.MEDIA_PUBLIC_URL || '/uploads').replace(/\/$/, '');
+      return { url: `${baseUrl}/${key}` };
+    },
+
+    async remove(key) {
+      await fs.rm(path.join(MediaService.getUploadDir(), key), { force: true });
+    }
+  },
+
+  // Cloudinary, configured with the CLOUDINARY_* variables
+  cloudinary: {
+    async save(key, buffer) {
+      MediaService.configureCloudinary();
+
+      const result = await new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_stream(
+          {
+            public_id: key.replace(/\.[^.]+$/, ''),
+            resource_type: 'image',
+            overwrite: false
+          },
+          (error, uploaded) => (error ? reject(error) : resolve(uploaded))
+        ).end(buffer);
+      });
+
+      return { url: result.secure_url };
+    },
+
+    async remove(key) {
+      MediaService.configureCloudinary();
+      await cloudinary.uploader.destroy(key.replace(/\.[^.]+$/, ''), { resource_type: 'image' });
+    }
+  }
+};
+
+/**
+ * Media Service
+ * Checks and resizes uploaded images and stores them through a pluggable
+ * backend selected with MEDIA_STORAGE. Other backends (S3, ...) can be
+ * added with registerStorage at startup.
+ */
+class MediaService {
+  /**
+   * Register or replace a storage backend
+   * @param {string} name - Backend name used in MEDIA_STORAGE
+   * @param {Object} storage - Object with async save(key, buffer, contentType) and remove(key) methods
+   */
+  static registerStorage(name, storage) {
+    if (!storage || typeof storage.save !== 'function' || typeof storage.remove !== 'function') {
+      throw new Error(`Media storage "${name}" must implement save(key, buffer, contentType) and remove(key)`);
+    }
+    storages[name] = storage;
+  }
+
+  /**
+   * Get a storage backend
+   * @param {string} name - Backend name, defaults to MEDIA_STORAGE
+   * @returns {Object} Storage backend
+   */
+  static getStorage(name = process.env.MEDIA_STORAGE || 'local') {
+    const storage = storages[name];
+
+    if (!storage) {
+      throw new Error(`Unknown media storage "${name}"`);
+    }
+
+    return storage;
+  }
+
+  /**
+   * Get the directory the local backend writes to
+   * @returns {string} Absolute path
+   */
+  static getUploadDir() {
+    return path.resolve(process.env.MEDIA_UPLOAD_DIR || 'uploads');
+  }
+
+  /**
+   * Apply Cloudinary credentials from the environment
+   */
+  static configureCloudinary() {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+      secure: true
+    });
+  }
+
+  /**
+   * Check that a buffer holds an image in an accepted format
+   * @param {Buffer} buffer - Uploaded file contents
+   * @returns {Object} Format { mimeType, extension }
+   */
+  static async detectFormat(buffer) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      throw new InvalidImageError();
+    }
+
+    const format = IMAGE_FORMATS[metadata.format];
+    if (!format) {
+      throw new InvalidImageError();
+    }
+
+    return format;
+  }
+
+  /**
+   * Decode an image, apply its EXIF orientation and build a thumbnail
+   * Re-encoding drops EXIF metadata such as GPS location.
+   * @param {Buffer} buffer - Uploaded file contents
+   * @returns {Object} { image, thumbnail, format } with sharp { data, info } results
+   */
+  static async processImage(buffer) {
+    const format = await MediaService.detectFormat(buffer);
+
+    const image = await sharp(buffer)
+      .rotate()
+      .toBuffer({ resolveWithObject: true });
+
+    const thumbnail = await sharp(image.data)
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+
+    return { image, thumbnail, format };
+  }
+
+  /**
+   * Process and store an uploaded image
+   * @param {Object} file - Multer file with an in-memory buffer
+   * @param {string} ownerId - Uploading user ID
+   * @returns {Object} Created media
+   */
+  static async upload(file, ownerId) {
+    const { image, thumbnail, format } = await MediaService.processImage(file.buffer);
+
+    const storageName = process.env.MEDIA_STORAGE || 'local';
+    const storage = MediaService.getStorage(storageName);
+
+    const mediaId = new mongoose.Types.ObjectId();
+    const key = `${ownerId}/${mediaId}.${format.extension}`;
+    const thumbnailKey = `${ownerId}/${mediaId}_thumb.webp`;
+
+    const [stored, storedThumbnail] = await Promise.all([
+      storage.save(key, image.data, format.mimeType),
+      storage.save(thumbnailKey, thumbnail.data, 'image/webp')
+    ]);
+
+    return await Media.create({
+      _id: mediaId,
+      owner: ownerId,
+      storage: storageName,
+      key,
+      url: stored.url,
+      mimeType: format.mimeType,
+      size: image.info.size,
+      width: image.info.width,
+      height: image.info.height,
+      thumbnail: {
+        key: thumbnailKey,
+        url: storedThumbnail.url,
+        width: thumbnail.info.width,
+        height: thumbnail.info.height
+      }
+    });
+  }
+
+  /**
+   * Crop an avatar to a centred square and store it in every AVATAR_SIZES size
+   * Like post images, the variants are re-encoded without EXIF metadata.
+   * @param {Object} file - Multer file with an in-memory buffer
+   * @param {string} userId - Avatar owner ID
+   * @returns {Object} Avatar { storage, version, small, medium, large }
+   */
+  static async uploadAvatar(file, userId) {
+    await MediaService.detectFormat(file.buffer);
+
+    const storageName = process.env.MEDIA_STORAGE || 'local';
+    const storage = MediaService.getStorage(storageName);
+    const version = new mongoose.Types.ObjectId().toString();
+
+    const avatar = { storage: storageName, version };
+
+    await Promise.all(Object.entries(AVATAR_SIZES).map(async ([size, pixels]) => {
+      const data = await sharp(file.buffer)
+        .rotate()
+        .resize(pixels, pixels, { fit: 'cover', position: 'centre' })
+        .webp({ quality: 85 })
+        .toBuffer();
+
+      const stored = await storage.save(MediaService.getAvatarKey(userId, version, size), data, 'image/webp');
+      avatar[size] = stored.url;
+    }));
+
+    return avatar;
+  }
+
+  /**
+   * Delete the stored files of a previous avatar
+   * @param {string} userId - Avatar owner ID
+   * @param {Object} avatar - Avatar from uploadAvatar
+   */
+  static async removeAvatar(userId, avatar) {
+    if (!avatar || !avatar.version) {
+      return;
+    }
+
+    const storage = MediaService.getStorage(avatar.storage);
+    const keys = Object.keys(AVATAR_SIZES).map(size => MediaService.getAvatarKey(userId, avatar.version, size));
+
+    await Promise.all(keys.map(key => storage.remove(key))).catch(error => {
+      logger.error(`Failed to remove stored avatar ${avatar.version} of user ${userId}:`, error);
+    });
+  }
+
+  /**
+   * Build the storage key of an avatar variant
+   * @param {string} userId - Avatar owner ID
+   * @param {string} version - Avatar version
+   * @param {string} size - One of AVATAR_SIZES
+   * @returns {string} Storage key
+   */
+  static getAvatarKey(userId, version, size) {
+    return `${userId}/avatar_${version}_${size}.webp`;
+  }
+
+  /**
+   * Delete a media record and its stored files
+   * @param {Object} media - Media document
+   */
+  static async remove(media) {
+    await Media.deleteOne({ _id: media._id });
+
+    const storage = MediaService.getStorage(media.storage);
+    const keys = [media.key, media.thumbnail && media.thumbnail.key].filter(Boolean);
+
+    await Promise.all(keys.map(key => storage.remove(key))).catch(error => {
+      logger.error(`Failed to remove stored files for media ${media._id}:`, error);
+    });
+  }
+
+  /**
+   * Turn the images requested for a post into carousel items
+   * Each upload must belong to the author and not be used by another post,
+   * and a crop must fit inside its image.
+   * @param {Array} items - [{ mediaId, altText, crop }] in display order
+   * @param {string} ownerId - Post author ID
+   * @param {string|null} postId - Post being edited, if any
+   * @returns {Array} Items for Post.media
+   */
+  static async buildPostMedia(items, ownerId, postId = null) {
+    if (items.length === 0) {
+      return [];
+    }
+
+    const uploads = await Media.findAttachable(items.map(item => item.mediaId), ownerId, postId);
+    const uploadsById = new Map(uploads.map(media => [media._id.toString(), media]));
+
+    return items.map(({ mediaId, altText = '', crop = null }) => {
+      const media = uploadsById.get(mediaId);
+
+      if (!media) {
+        throw new InvalidPostMediaError(
+          `Upload ${mediaId} does not exist or is used by another post; upload images with POST /api/media first`
+        );
+      }
+
+      if (crop && (crop.x + crop.width > media.width || crop.y + crop.height > media.height)) {
+        throw new InvalidPostMediaError(
+          `Crop for upload ${mediaId} does not fit inside the ${media.width}x${media.height} image`
+        );
+      }
+
+      return {
+        media: media._id,
+        url: media.url,
+        thumbnailUrl: media.thumbnail ? media.thumbnail.url : '',
+        width: media.width,
+        height: media.height,
+        altText,
+        crop
+      };
+    });
+  }
+
+  /**
+   * Replace a post's images and save the post
+   * New uploads are marked as used and uploads the post no longer shows are
+   * released, so their owner can delete them.
+   * @param {Object} post - Post document
+   * @param {Array} items - Items from buildPostMedia
+   */
+  static async setPostMedia(post, items) {
+    // Images from before uploads have no upload to release
+    const previousIds = post.media.map(item => item.media).filter(Boolean);
+    const currentIds = items.map(item => item.media);
+
+    post.media = items;
+    // Clients that predate carousels show the first image
+    post.imageUrl = items.length > 0 ? items[0].url : '';
+    await post.save();
+
+    if (currentIds.length > 0) {
+      await Media.updateMany(
+        { _id: { $in: currentIds }, post: null },
+        { post: post._id }
+      );
+    }
+
+    const releasedIds = previousIds.filter(id => !currentIds.some(currentId => currentId.equals(id)));
+    if (releasedIds.length > 0) {
+      await Media.updateMany(
+        { _id: { $in: releasedIds }, post: post._id },
+        { post: null }
+      );
+    }
+  }
+}
+
+module.exports = MediaService;
+module.exports.InvalidImageError = InvalidImageError;
+module.exports.InvalidPostMediaError = InvalidPostMediaError;
@@ -0,0 +1,182 @@
+const Post = require('../models/Post');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const PostService = require('./postService');
+const TokenService = require('./tokenService');
+const MailService = require('./mailService');
+const {
+  REPORT_HIDE_THRESHOLD,
+  DEFAULT_SUSPENSION_DAYS,
+  DAY_IN_MS
+} = require('../utils/constants');
+const logger = require('../utils/logger');
+
+// Post moderation status each action leaves behind
+const STATUS_AFTER_ACTION = {
+  dismiss: 'approved',
+  hide: 'hidden',
+  delete: 'hidden',
+  warn: 'hidden',
+  suspend: 'hidden'
+};
+
+/**
+ * Moderation Service
+ * Records reports against posts and applies moderator decisions
+ */
+class ModerationService {
+  /**
+   * File a report against a post
+   * Posts that reach the report threshold are held for review, unless a
+   * moderator has already reviewed them.
+   * @param {Object} post - Reported post document
+   * @param {string} reporterId - Reporting user ID
+   * @param {Object} report - { reason, details }
+   * @returns {Object} { report, reportCount, heldForReview }
+   */
+  static async reportPost(post, reporterId, { reason, details = '' }) {
+    const report = await Report.create({
+      post: post._id,
+      reporter: reporterId,
+      reason,
+      details
+    });
+
+    const updated = await Post.findByIdAndUpdate(
+      post._id,
+      { $inc: { reportCount: 1 } },
+      { new: true }
+    );
+
+    const held = await Post.updateOne(
+      {
+        _id: post._id,
+        moderationStatus: 'none',
+        reportCount: { $gte: REPORT_HIDE_THRESHOLD }
+      },
+      { moderationStatus: 'pending' }
+    );
+
+    const heldForReview = held.modifiedCount > 0;
+    if (heldForReview) {
+      logger.warn(`Post ${post._id} held for review after ${updated.reportCount} reports`);
+    }
+
+    return { report, reportCount: updated.reportCount, heldForReview };
+  }
+
+  /**
+   * Apply a moderator decision to a post and close its open reports
+   * @param {Object} post - Post document
+   * @param {string} action - One of MODERATION_ACTIONS
+   * @param {Object} context - { moderator, note, suspendDays, ip }
+   * @returns {Object} { post, author, resolvedReports }
+   */
+  static async resolvePost(post, action, context = {}) {
+    const { moderator, note = '', suspendDays = DEFAULT_SUSPENSION_DAYS, ip = '' } = context;
+    const previousStatus = post.moderationStatus;
+
+    if (action === 'delete' && post.isActive) {
+      await PostService.removePost(post);
+    }
+
+    post.moderationStatus = STATUS_AFTER_ACTION[action];
+    await post.save();
+
+    const resolved = await Report.updateMany(
+      { post: post._id, status: 'open' },
+      {
+        status: action === 'dismiss' ? 'dismissed' : 'resolved',
+        resolution: {
+          action,
+          moderator,
+          note,
+          resolvedAt: new Date()
+        }
+      }
+    );
+
+    await AuditLog.record({
+      actor: moderator,
+      action: `post.moderate.${action}`,
+      targetType: 'Post',
+      target: post._id,
+      changes: { from: previousStatus, to: post.moderationStatus },
+      reason: note,
+      ip
+    });
+
+    let author = null;
+    if (action === 'warn' || action === 'suspend') {
+      author = await ModerationService.penalizeAuthor(post, action, { moderator, note, suspendDays, ip });
+    }
+
+    logger.info(`Post ${post._id} moderated (${action}) by ${moderator}`);
+
+    return { post, author, resolvedReports: resolved.modifiedCount || 0 };
+  }
+
+  /**
+   * Warn or suspend the author of a moderated post
+   * @param {Object} post - Moderated post document
+   * @param {string} action - 'warn' or 'suspend'
+   * @param {Object} context - { moderator, note, suspendDays, ip }
+   * @returns {Object} Updated author
+   */
+  static async penalizeAuthor(post, action, { moderator, note, suspendDays, ip }) {
+    const author = await User.findById(post.author);
+    if (!author) {
+      return null;
+    }
+
+    const from = {
+      warningsCount: author.warningsCount,
+      suspendedUntil: author.suspendedUntil
+    };
+
+    if (action === 'warn') {
+      author.warningsCount += 1;
+    } else {
+      author.suspendedUntil = new Date(Date.now() + suspendDays * DAY_IN_MS);
+    }
+    await author.save();
+
+    if (action === 'suspend') {
+      await TokenService.revokeOtherSessions(author._id, null, 'revoked');
+    }
+
+    await AuditLog.record({
+      actor: moderator,
+      action: `user.${action}`,
+      targetType: 'User',
+      target: author._id,
+      changes: {
+        from,
+        to: { warningsCount: author.warningsCount, suspendedUntil: author.suspendedUntil }
+      },
+      reason: note,
+      ip
+    });
+
+    const subject = action === 'warn'
+      ? 'A warning about your post'
+      : 'Your account has been suspended';
+    const body = action === 'warn'
+      ? 'One of your posts was removed from public view for breaking the community guidelines. ' +
+        'Further violations may lead to a suspension.'
+      : `One of your posts broke the community guidelines and your account is suspended until ${author.suspendedUntil.toISOString()}.`;
+
+    MailService.send({
+      to: author.email,
+      subject,
+      text: `Hi ${author.firstName || author.username},\n\n${body}${note ? `\n\nModerator note: ${note}` : ''}`
+    }).catch(error => {
+      logger.error('Moderation email error:', error);
+    });
+
+    return author;
+  }
+}
+
+module.exports = ModerationService;
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Block = require('../models/Block');
+const Mute = require('../models/Mute');
+const RealtimeService = require('./realtimeService');
+const { NOTIFICATION_PREFERENCES } = require('../utils/constants');
+
+// What each notification type says the actors did
+const NOTIFICATION_VERBS = {
+  like: 'liked your post',
+  comment: 'commented on your post',
+  reply: 'replied to your comment',
+  follow: 'started following you',
+  follow_request: 'asked to follow you',
+  mention: 'mentioned you in a post'
+};
+
+/**
+ * Notification Service
+ * Tells users about activity around them. Unread notifications of the same
+ * type about the same post or comment are grouped, so a popular post shows
+ * "alice and 12 others liked your post" instead of thirteen entries.
+ */
+class NotificationService {
+  /**
+   * Record an event for its recipient
+   * Nothing is recorded for the actor's own content, for types the
+   * recipient turned off, or between users who blocked or muted each other.
+   * @param {Object} event - { type, recipient, actor, post, comment }
+   * @returns {Object|null} Notification, or null if none was recorded
+   */
+  static async notify(event) {
+    const { type, recipient, actor } = event;
+
+    if (recipient.toString() === actor.toString()) {
+      return null;
+    }
+
+    const user = await User.findById(recipient).select('preferences.notifications');
+    if (!user || user.preferences.notifications[NOTIFICATION_PREFERENCES[type]] === false) {
+      return null;
+    }
+
+    const [blocked, muted] = await Promise.all([
+      Block.isBlockedEitherWay(recipient, actor),
+      Mute.isMuted(recipient, actor)
+    ]);
+    if (blocked || muted) {
+      return null;
+    }
+
+    const notification = await Notification.addActor(
+      NotificationService.getGroup(event),
+      new mongoose.Types.ObjectId(actor.toString())
+    );
+
+    await NotificationService.pushUnreadCount(recipient);
+
+    return notification;
+  }
+
+  /**
+   * Take back an unread notification after its event is undone (unlike, unfollow)
+   * @param {Object} event - { type, recipient, actor, post, comment }
+   */
+  static async retract(event) {
+    const notification = await Notification.removeActor(
+      NotificationService.getGroup(event),
+      new mongoose.Types.ObjectId(event.actor.toString())
+    );
+
+    if (notification) {
+      await NotificationService.pushUnreadCount(event.recipient);
+    }
+  }
+
+  /**
+   * Get the fields that decide which notification an event is grouped into
+   * @param {Object} event - { type, recipient, post, comment }
+   * @returns {Object} Notification query
+   */
+  static getGroup({ type, recipient, post = null, comment = null }) {
+    return { recipient, type, post, comment };
+  }
+
+  /**
+   * Send a user's unread count to their open streams
+   * @param {string} userId - User ID
+   */
+  static async pushUnreadCount(userId) {
+    const unreadCount = await Notification.getUnreadCount(userId);
+    await RealtimeService.sendToUser(userId, 'notifications', { unreadCount });
+  }
+
+  /**
+   * Describe a notification with populated actors
+   * @param {Object} notification - Notification document
+   * @returns {string} Summary, e.g. "alice and 12 others liked your post"
+   */
+  static summarize(notification) {
+    const [latest] = notification.actors;
+    const name = latest ? latest.username : 'Someone';
+    const others = Math.max(0, notification.actorsCount - 1);
+
+    const who = others > 0
+      ? `${name} and ${others} ${others === 1 ? 'other' : 'others'}`
+      : name;
+
+    return `${who} ${NOTIFICATION_VERBS[notification.type]}`;
+  }
+}
+
+module.exports = NotificationService;
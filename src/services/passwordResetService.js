@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const User = require('../models/User');
+const MailService = require('./mailService');
+const TokenService = require('./tokenService');
+const { PASSWORD_RESET_TTL_MS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+class PasswordResetError extends Error {
+  constructor(message = 'Invalid or expired password reset token') {
+    super(message);
+    this.name = 'PasswordResetError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Password Reset Service
+ * Issues one-time password reset tokens by email and redeems them.
+ * Only a hash of each token is stored, and requesting a new token
+ * invalidates any earlier one.
+ */
+class PasswordResetService {
+  /**
+   * Email a password reset link if an account uses this address
+   * Callers must respond the same way whether or not an account was found.
+   * @param {string} email - Email address from the request
+   * @returns {boolean} Whether a reset email was sent
+   */
+  static async requestReset(email) {
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    if (!user) {
+      return false;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await PasswordResetToken.deleteMany({ user: user._id });
+    await PasswordResetToken.create({
+      user: user._id,
+      tokenHash: PasswordResetToken.hashToken(token),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS)
+    });
+
+    const link = MailService.buildLink('/reset-password', { token });
+    const minutes = Math.round(PASSWORD_RESET_TTL_MS / 60000);
+
+    await MailService.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.firstName || user.username},\n\n` +
+        `Someone asked to reset the password for your account. Open the link below to choose a new one:\n\n${link}\n\n` +
+        `The link expires in ${minutes} minutes and can only be used once. If this wasn't you, you can ignore this email.`,
+      html: `<p>Hi ${user.firstName || user.username},</p>` +
+        `<p>Someone asked to reset the password for your account. Open the link below to choose a new one:</p>` +
+        `<p><a href="${link}">Reset password</a></p>` +
+        `<p>The link expires in ${minutes} minutes and can only be used once. If this wasn't you, you can ignore this email.</p>`
+    });
+
+    logger.info(`Password reset requested for user ${user.username}`);
+
+    return true;
+  }
+
+  /**
+   * Set a new password using a reset token
+   * Every session of the user is revoked.
+   * @param {string} token - Token from the reset email
+   * @param {string} newPassword - New password
+   * @returns {Object} User document
+   * @throws {PasswordResetError} If the token is invalid, expired or already used
+   */
+  static async resetPassword(token, newPassword) {
+    const resetToken = await PasswordResetToken.redeem(token);
+    if (!resetToken) {
+      throw new PasswordResetError();
+    }
+
+    const user = await User.findById(resetToken.user);
+    if (!user) {
+      throw new PasswordResetError();
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await TokenService.revokeOtherSessions(user._id, null, 'password-change');
+
+    logger.info(`Password reset completed for user ${user.username}`);
+
+    return user;
+  }
+}
+
+module.exports = PasswordResetService;
+module.exports.PasswordResetError = PasswordResetError;
@@ -2,7 +2,7 @@ const User = require('../models/User');
 const Post = require('../models/Post');
 const Like = require('../models/Like');
 const cacheService = require('./cacheService');
-const { CACHE_KEYS } = require('../utils/constants');
+const { CACHE_KEYS, HIDDEN_MODERATION_STATUSES } = require('../utils/constants');
 const logger = require('../utils/logger');
 
 /**
@@ -161,7 +161,8 @@ class PersonalizationService {
       limit = 20,
       excludePostIds = [],
       includeFollowingPosts = true,
-      diversityLevel = 0.3
+      diversityLevel = 0.3,
+      excludeAuthorIds = []
     } = options;
 
     try {
@@ -171,7 +172,9 @@ class PersonalizationService {
 
       let matchConditions = {
         isActive: true,
-        author: { $ne: userId }, // Exclude user's own posts
+        moderationStatus: { $nin: HIDDEN_MODERATION_STATUSES },
+        authorIsPrivate: { $ne: true },
+        author: { $nin: [userId, ...excludeAuthorIds] }, // Exclude user's own and hidden authors' posts
       };
 
       if (excludePostIds.length > 0) {
@@ -253,6 +256,10 @@ class PersonalizationService {
         {
           $project: {
             authorInfo: 0,
+            'author.avatar.medium': 0,
+            'author.avatar.large': 0,
+            'author.avatar.storage': 0,
+            'author.avatar.version': 0,
             tagMatchScore: 0,
             popularityScore: 0,
             ageInHours: 0,
@@ -415,6 +422,7 @@ class PersonalizationService {
             firstName: 1,
             lastName: 1,
             profilePicture: 1,
+            'avatar.small': 1,
             similarityScore: 1
           }
         }
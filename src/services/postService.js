@@ -0,0 +1,287 @@
+const Post = require('../models/Post');
+const Like = require('../models/Like');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const PostRevision = require('../models/PostRevision');
+const Media = require('../models/Media');
+const FollowService = require('./followService');
+const NotificationService = require('./notificationService');
+const TimelineService = require('./timelineService');
+const { extractMentions } = require('../utils/entities');
+const {
+  MAX_MENTIONS_PER_POST,
+  UNPUBLISHED_POST_STATUSES,
+  MAX_POSTS_PER_PUBLISH_RUN
+} = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Post Service
+ * Post lifecycle operations shared by authors and moderators
+ */
+class PostService {
+  /**
+   * Count a post that just went live and push it out to its audience
+   * Fan-out and mention notifications run in the background.
+   * @param {Object} post - Published post
+   * @param {Object} mentions - { added, removed } mention changes to notify
+   */
+  static async announcePost(post, mentions) {
+    await User.findByIdAndUpdate(post.author._id || post.author, {
+      $inc: { postsCount: 1 }
+    });
+
+    // Push into interested users' timelines without holding up the caller
+    TimelineService.fanOutPost(post).catch(error => {
+      logger.error('Post fan-out error:', error);
+    });
+    PostService.notifyMentions(post, mentions).catch(error => {
+      logger.error('Mention notification error:', error);
+    });
+  }
+
+  /**
+   * Publish a draft or scheduled post now
+   * The status change is claimed atomically, so a post the publisher job and
+   * its author publish at the same moment only goes live once. The post is
+   * dated from publishing, not from when it was written.
+   * @param {Object} filter - Conditions the unpublished post must match
+   * @returns {Object|null} Published post, or null if none matched
+   */
+  static async publishDraft(filter) {
+    const post = await Post.findOneAndUpdate(
+      { status: { $in: UNPUBLISHED_POST_STATUSES }, ...filter },
+      { status: 'published', isActive: true, publishAt: null },
+      { new: true }
+    );
+
+    if (!post) {
+      return null;
+    }
+
+    post.$set('createdAt', new Date(), undefined, { overwriteImmutable: true });
+    await post.save();
+
+    await PostService.announcePost(post, { added: PostService.getMentionedUserIds(post) });
+
+    return post;
+  }
+
+  /**
+   * Publish scheduled posts whose time has come
+   * Posts by suspended authors wait until the suspension ends.
+   * @returns {number} Number of posts published
+   */
+  static async publishDuePosts() {
+    const now = new Date();
+    const duePosts = await Post.find({ status: 'scheduled', publishAt: { $lte: now } })
+      .select('author')
+      .sort({ publishAt: 1 })
+      .limit(MAX_POSTS_PER_PUBLISH_RUN)
+      .lean();
+
+    if (duePosts.length === 0) {
+      return 0;
+    }
+
+    const suspendedIds = await User.find({
+      _id: { $in: duePosts.map(post => post.author) },
+      suspendedUntil: { $gt: now }
+    }).distinct('_id');
+    const suspended = new Set(suspendedIds.map(id => id.toString()));
+
+    let published = 0;
+    for (const { _id, author } of duePosts) {
+      if (suspended.has(author.toString())) continue;
+
+      // Rescheduled or turned back into a draft since the lookup
+      const post = await PostService.publishDraft({
+        _id,
+        status: 'scheduled',
+        publishAt: { $lte: now }
+      });
+      if (post) published++;
+    }
+
+    return published;
+  }
+
+  /**
+   * Delete a post that was never published and release its uploads
+   * @param {Object} post - Draft or scheduled post document
+   */
+  static async discardDraft(post) {
+    await post.deleteOne();
+
+    // The uploads can be attached to another post or deleted again
+    await Media.updateMany(
+      { post: post._id },
+      { post: null }
+    );
+  }
+
+  /**
+   * Soft-delete a post and release everything that counted it
+   * @param {Object} post - Active post document
+   */
+  static async removePost(post) {
+    // Soft delete
+    post.isActive = false;
+    await post.save();
+
+    // Update author's post count
+    await User.updateOne(
+      { _id: post.author, postsCount: { $gt: 0 } },
+      { $inc: { postsCount: -1 } }
+    );
+
+    // Delete associated likes
+    await Like.updateMany(
+      { post: post._id },
+      { isActive: false }
+    );
+
+    // Delete associated comments
+    await Comment.updateMany(
+      { post: post._id },
+      { isActive: false }
+    );
+
+    // Deleting a repost releases the share on the original post
+    if (post.originalPost) {
+      await Post.updateOne(
+        { _id: post.originalPost, sharesCount: { $gt: 0 } },
+        { $inc: { sharesCount: -1 } }
+      );
+    }
+  }
+
+  /**
+   * Capture the parts of a post an edit can change
+   * @param {Object} post - Post document
+   * @returns {Object} { content, tags, media, publishedAt }
+   */
+  static getRevisionState(post) {
+    return {
+      content: post.content,
+      tags: [...post.tags],
+      media: post.media.map(item => ({
+        media: item.media,
+        url: item.url,
+        altText: item.altText,
+        crop: item.crop ? item.crop.toObject() : null
+      })),
+      publishedAt: post.editedAt || post.createdAt
+    };
+  }
+
+  /**
+   * Keep the version an edit replaced and mark the post as edited
+   * Saves that changed nothing do not count as edits.
+   * @param {Object} post - Saved post
+   * @param {Object} previous - State from getRevisionState before the edit
+   * @returns {Object|null} Revision, or null if nothing changed
+   */
+  static async recordRevision(post, previous) {
+    const current = PostService.getRevisionState(post);
+    const changed = ['content', 'tags', 'media']
+      .some(field => JSON.stringify(previous[field]) !== JSON.stringify(current[field]));
+
+    if (!changed) {
+      return null;
+    }
+
+    // Taking the version from the counter keeps concurrent edits apart
+    const editedAt = new Date();
+    const { editCount } = await Post.findByIdAndUpdate(
+      post._id,
+      { editedAt, $inc: { editCount: 1 } },
+      { new: true, timestamps: false }
+    ).select('editCount');
+
+    post.editedAt = editedAt;
+    post.editCount = editCount;
+
+    return await PostRevision.create({
+      post: post._id,
+      version: editCount,
+      ...previous
+    });
+  }
+
+  /**
+   * Link the `@username` mentions in a post's content to their users
+   * Call before saving new or edited content. Unknown usernames stay plain
+   * text, as do users beyond the first MAX_MENTIONS_PER_POST.
+   * @param {Object} post - Post document with its new content
+   * @returns {Object} { added, removed } user IDs compared with the previous mentions
+   */
+  static async resolveMentions(post) {
+    const previousIds = PostService.getMentionedUserIds(post);
+    const found = extractMentions(post.content);
+    const usernames = [...new Set(found.map(mention => mention.username))]
+      .slice(0, MAX_MENTIONS_PER_POST);
+
+    const users = usernames.length > 0
+      ? await User.find({ username: { $in: usernames } }).select('username')
+      : [];
+    const userIds = new Map(users.map(user => [user.username, user._id]));
+
+    post.entities.mentions = found
+      .filter(mention => userIds.has(mention.username))
+      .map(mention => ({ ...mention, user: userIds.get(mention.username) }));
+
+    const currentIds = PostService.getMentionedUserIds(post);
+    const previous = new Set(previousIds.map(id => id.toString()));
+    const current = new Set(currentIds.map(id => id.toString()));
+
+    return {
+      added: currentIds.filter(id => !previous.has(id.toString())),
+      removed: previousIds.filter(id => !current.has(id.toString()))
+    };
+  }
+
+  /**
+   * Get the distinct users a post mentions
+   * @param {Object} post - Post document
+   * @returns {Array} User IDs
+   */
+  static getMentionedUserIds(post) {
+    const ids = new Map();
+    (post.entities?.mentions || []).forEach(mention => {
+      ids.set(mention.user.toString(), mention.user);
+    });
+    return [...ids.values()];
+  }
+
+  /**
+   * Notify newly mentioned users who can see the post, and take back the
+   * notifications of users no longer mentioned
+   * @param {Object} post - Saved post
+   * @param {Object} changes - { added, removed } from resolveMentions
+   */
+  static async notifyMentions(post, { added = [], removed = [] }) {
+    const authorId = post.author._id || post.author;
+
+    await Promise.all([
+      ...added.map(async userId => {
+        if (await FollowService.canViewPost(post, { _id: userId })) {
+          await NotificationService.notify({
+            type: 'mention',
+            recipient: userId,
+            actor: authorId,
+            post: post._id
+          });
+        }
+      }),
+      ...removed.map(userId => NotificationService.retract({
+        type: 'mention',
+        recipient: userId,
+        actor: authorId,
+        post: post._id
+      }))
+    ]);
+  }
+}
+
+module.exports = PostService;
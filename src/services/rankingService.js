@@ -2,6 +2,7 @@ const {
     PERSONALIZATION_WEIGHT, 
     RECENCY_WEIGHT, 
     POPULARITY_WEIGHT,
+    MUTED_TAG_PENALTY,
     DAY_IN_MS 
   } = require('../utils/constants');
   const logger = require('../utils/logger');
@@ -13,25 +14,36 @@ const {
   class RankingService {
     /**
      * Calculate personalization score based on user's liked tags
+     * Each muted tag on the post takes MUTED_TAG_PENALTY off the score.
      * @param {Array} postTags - Tags of the post
      * @param {Array} userLikedTags - User's preferred tags with counts
-     * @returns {number} Personalization score (0-1)
+     * @param {Array} mutedTags - Tags the user has muted
+     * @returns {number} Personalization score (-1 to 1, negative only for muted tags)
      */
-    static calculatePersonalizationScore(postTags, userLikedTags = []) {
-      if (!postTags || postTags.length === 0 || !userLikedTags || userLikedTags.length === 0) {
+    static calculatePersonalizationScore(postTags, userLikedTags = [], mutedTags = []) {
+      if (!postTags || postTags.length === 0) {
         return 0;
       }
   
-      // Create a map of user's tag preferences
+      const muted = new Set(mutedTags.map(tag => tag.toLowerCase()));
+      const mutedMatches = postTags.filter(tag => muted.has(tag.toLowerCase())).length;
+      const penalty = mutedMatches * MUTED_TAG_PENALTY;
+  
+      if (!userLikedTags || userLikedTags.length === 0) {
+        return Math.max(-1, -penalty);
+      }
+  
+      // Create a map of user's tag preferences; muted tags never count in a post's favour
       const userTagPreferences = new Map();
       let totalTagWeight = 0;
       
       userLikedTags.forEach(({ tag, count }) => {
+        if (muted.has(tag.toLowerCase())) return;
         userTagPreferences.set(tag.toLowerCase(), count);
         totalTagWeight += count;
       });
   
-      if (totalTagWeight === 0) return 0;
+      if (totalTagWeight === 0) return Math.max(-1, -penalty);
   
       // Calculate weighted match score
       let matchScore = 0;
@@ -52,19 +64,19 @@ const {
       // Boost score based on percentage of matched tags
       const matchPercentage = matchedTags / postTags.length;
       
-      return Math.min(normalizedScore * (1 + matchPercentage), 1);
+      return Math.max(-1, Math.min(normalizedScore * (1 + matchPercentage), 1) - penalty);
     }
   
     /**
      * Calculate recency score based on post age
      * @param {Date} createdAt - Post creation date
+     * @param {number} now - Timestamp to measure age from (default: current time)
      * @returns {number} Recency score (0-1, newer posts get higher scores)
      */
-    static calculateRecencyScore(createdAt) {
+    static calculateRecencyScore(createdAt, now = Date.now()) {
       if (!createdAt) return 0;
   
-      const now = new Date();
-      const ageInMs = now.getTime() - createdAt.getTime();
+      const ageInMs = now - new Date(createdAt).getTime();
       const ageInDays = ageInMs / DAY_IN_MS;
   
       // Exponential decay - posts lose relevance over time
@@ -83,9 +95,10 @@ const {
      * @param {number} engagement.sharesCount - Number of shares
      * @param {number} engagement.viewsCount - Number of views
      * @param {Date} createdAt - Post creation date for time-adjusted popularity
+     * @param {number} now - Timestamp to measure age from (default: current time)
      * @returns {number} Popularity score (0-1)
      */
-    static calculatePopularityScore(engagement, createdAt) {
+    static calculatePopularityScore(engagement, createdAt, now = Date.now()) {
       const { 
         likesCount = 0, 
         commentsCount = 0, 
@@ -100,7 +113,7 @@ const {
       const engagementRate = viewsCount > 0 ? engagementScore / viewsCount : 0;
       
       // Time-adjusted popularity (newer posts need fewer engagements to be popular)
-      const ageInHours = createdAt ? (Date.now() - createdAt.getTime()) / (1000 * 60 * 60) : 0;
+      const ageInHours = createdAt ? (now - new Date(createdAt).getTime()) / (1000 * 60 * 60) : 0;
       const timeAdjustment = Math.max(0.1, Math.exp(-ageInHours / 24)); // Decay over 24 hours
       
       // Logarithmic scaling to prevent posts with extreme engagement from dominating
@@ -117,16 +130,19 @@ const {
      * Calculate overall ranking score for a post
      * @param {Object} post - Post object
      * @param {Array} userLikedTags - User's preferred tags
+     * @param {number} now - Ranking timestamp, fixed across pages of one feed
+     * @param {Array} mutedTags - Tags the user has muted
      * @returns {number} Combined ranking score
      */
-    static calculateRankingScore(post, userLikedTags = []) {
+    static calculateRankingScore(post, userLikedTags = [], now = Date.now(), mutedTags = []) {
       try {
         const personalizationScore = this.calculatePersonalizationScore(
           post.tags, 
-          userLikedTags
+          userLikedTags,
+          mutedTags
         );
         
-        const recencyScore = this.calculateRecencyScore(post.createdAt);
+        const recencyScore = this.calculateRecencyScore(post.createdAt, now);
         
         const popularityScore = this.calculatePopularityScore(
           {
@@ -135,7 +151,8 @@ const {
             sharesCount: post.sharesCount,
             viewsCount: post.viewsCount
           },
-          post.createdAt
+          post.createdAt,
+          now
         );
   
         // Apply weights and calculate final score
@@ -164,12 +181,14 @@ const {
      * Batch calculate ranking scores for multiple posts
      * @param {Array} posts - Array of post objects
      * @param {Array} userLikedTags - User's preferred tags
+     * @param {number} now - Ranking timestamp, fixed across pages of one feed
+     * @param {Array} mutedTags - Tags the user has muted
      * @returns {Array} Posts with calculated ranking scores
      */
-    static calculateBatchRankingScores(posts, userLikedTags = []) {
+    static calculateBatchRankingScores(posts, userLikedTags = [], now = Date.now(), mutedTags = []) {
       return posts.map(post => ({
         ...post,
-        rankingScore: this.calculateRankingScore(post, userLikedTags),
+        rankingScore: this.calculateRankingScore(post, userLikedTags, now, mutedTags),
         _personalizedFor: userLikedTags.length > 0 ? 'user' : 'general'
       }));
     }
@@ -195,7 +214,11 @@ const {
         }
         
         // Default: sort by recency
-        return new Date(b.createdAt) - new Date(a.createdAt);
+        const recency = new Date(b.createdAt) - new Date(a.createdAt);
+        if (recency !== 0) return recency;
+        
+        // Final tie-breaker keeps the order deterministic
+        return b._id.toString().localeCompare(a._id.toString());
       });
     }
   
@@ -203,9 +226,10 @@ const {
      * Apply diversity to prevent similar content from clustering
      * @param {Array} posts - Ranked posts
      * @param {number} diversityFactor - How much to diversify (0-1)
+     * @param {Function} random - Random source; pass a seeded one for repeatable order
      * @returns {Array} Diversified post order
      */
-    static applyDiversity(posts, diversityFactor = 0.3) {
+    static applyDiversity(posts, diversityFactor = 0.3, random = Math.random) {
       if (posts.length <= 1 || diversityFactor <= 0) return posts;
   
       const diversified = [];
@@ -226,7 +250,7 @@ const {
         });
         
         let nextPost;
-        if (different.length > 0 && Math.random() < diversityFactor) {
+        if (different.length > 0 && random() < diversityFactor) {
           // Pick from diverse posts
           nextPost = different[0];
           remaining.splice(remaining.indexOf(nextPost), 1);
@@ -241,6 +265,22 @@ const {
       return diversified;
     }
   
+    /**
+     * Create a deterministic random source (mulberry32)
+     * @param {number} seed - Integer seed
+     * @returns {Function} Function returning numbers in [0, 1)
+     */
+    static createSeededRandom(seed) {
+      let state = seed >>> 0;
+      return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+    }
+  
     /**
      * Calculate tag overlap between two tag arrays
      * @param {Array} tags1 - First set of tags
@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const cacheService = require('./cacheService');
+const {
+  CACHE_KEYS,
+  TIMELINE_TTL,
+  REALTIME_CHANNEL,
+  REALTIME_HEARTBEAT_MS
+} = require('../utils/constants');
+const logger = require('../utils/logger');
+
+// How long to wait before retrying the Redis subscription
+const SUBSCRIBE_RETRY_MS = 5000;
+
+// Event streams open on this instance, by stream ID
+const streams = new Map();
+
+let subscriber = null;
+let retryTimer = null;
+
+/**
+ * Realtime Service
+ * Pushes server-sent events to connected clients: "new posts" hints for the
+ * user's feed, live counts for the posts they have on screen and events
+ * addressed to the user, such as their unread notification count.
+ *
+ * Every event is published on a Redis channel that all app instances
+ * subscribe to, and each instance delivers it to the streams it holds.
+ * Without Redis, events only reach streams on the publishing instance.
+ */
+class RealtimeService {
+  /**
+   * Subscribe to the events channel, retrying until Redis is ready
+   */
+  static async start() {
+    if (subscriber || retryTimer) {
+      return;
+    }
+
+    subscriber = await cacheService.subscribe(REALTIME_CHANNEL, RealtimeService.dispatch);
+
+    if (!subscriber) {
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        RealtimeService.start();
+      }, SUBSCRIBE_RETRY_MS);
+      retryTimer.unref();
+      return;
+    }
+
+    logger.info('📡 Real-time events subscribed');
+  }
+
+  /**
+   * Close every stream and the Redis subscription
+   */
+  static async stop() {
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+
+    streams.forEach(stream => stream.res.end());
+
+    if (subscriber) {
+      await subscriber.quit().catch(() => {});
+      subscriber = null;
+    }
+  }
+
+  /**
+   * Register an event stream for a response that has sent its SSE headers
+   * The stream ends when the access token it was opened with expires, so
+   * the client reconnects with a fresh one.
+   * @param {string} userId - Stream owner ID
+   * @param {Object} res - Express response
+   * @param {Date} expiresAt - Access token expiry
+   * @returns {Object} Stream { id, userId, postIds }
+   */
+  static openStream(userId, res, expiresAt) {
+    const stream = {
+      id: crypto.randomUUID(),
+      userId: userId.toString(),
+      res,
+      postIds: new Set()
+    };
+
+    // Comment lines keep proxies from closing an idle connection
+    stream.heartbeat = setInterval(() => res.write(': ping\n\n'), REALTIME_HEARTBEAT_MS);
+    stream.expiry = setTimeout(() => {
+      RealtimeService.send(stream, 'token-expired', {});
+      res.end();
+    }, Math.max(0, expiresAt.getTime() - Date.now()));
+
+    streams.set(stream.id, stream);
+
+    return stream;
+  }
+
+  /**
+   * Forget a stream after its connection closes
+   * @param {string} streamId - Stream ID
+   */
+  static closeStream(streamId) {
+    const stream = streams.get(streamId);
+    if (!stream) {
+      return;
+    }
+
+    clearInterval(stream.heartbeat);
+    clearTimeout(stream.expiry);
+    streams.delete(streamId);
+  }
+
+  /**
+   * Count a user's open streams on this instance
+   * @param {string} userId - User ID
+   * @returns {number} Open streams
+   */
+  static countStreams(userId) {
+    const id = userId.toString();
+    let count = 0;
+    streams.forEach(stream => {
+      if (stream.userId === id) count++;
+    });
+    return count;
+  }
+
+  /**
+   * Write one event to a stream
+   * @param {Object} stream - Stream from openStream
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  static send(stream, event, data) {
+    stream.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Send a message to every instance, or only this one without Redis
+   * @param {Object} message - Message with a `type`
+   */
+  static async publish(message) {
+    if (subscriber && await cacheService.publish(REALTIME_CHANNEL, message)) {
+      return;
+    }
+    RealtimeService.dispatch(message);
+  }
+
+  /**
+   * Deliver a published message to the matching streams on this instance
+   * @param {Object} message - Message from publish
+   */
+  static dispatch(message) {
+    switch (message.type) {
+      case 'new-posts':
+        streams.forEach(stream => {
+          const count = message.counts[stream.userId];
+          if (count !== undefined) {
+            RealtimeService.send(stream, 'feed:new-posts', { count });
+          }
+        });
+        break;
+
+      case 'post-counts':
+        streams.forEach(stream => {
+          if (stream.postIds.has(message.post._id)) {
+            RealtimeService.send(stream, 'post:counts', message.post);
+          }
+        });
+        break;
+
+      case 'user':
+        streams.forEach(stream => {
+          if (stream.userId === message.userId) {
+            RealtimeService.send(stream, message.event, message.data);
+          }
+        });
+        break;
+
+      case 'watch': {
+        const stream = streams.get(message.streamId);
+        if (stream && stream.userId === message.userId) {
+          stream.postIds = new Set(message.postIds);
+        }
+        break;
+      }
+
+      default:
+        logger.warn(`Unknown real-time message type: ${message.type}`);
+    }
+  }
+
+  /**
+   * Count a new post for each user it was added to and tell their streams
+   * @param {Array} userIds - Users whose timelines received the post
+   */
+  static async notifyNewPosts(userIds) {
+    const counts = await cacheService.incrementMany(
+      userIds.map(userId => CACHE_KEYS.USER_NEW_POSTS(userId)),
+      TIMELINE_TTL
+    );
+
+    if (!counts) {
+      return;
+    }
+
+    await RealtimeService.publish({
+      type: 'new-posts',
+      counts: Object.fromEntries(userIds.map((userId, index) => [userId.toString(), counts[index]]))
+    });
+  }
+
+  /**
+   * Get how many posts reached a user's timeline since they last loaded it
+   * @param {string} userId - User ID
+   * @returns {number} New posts
+   */
+  static async getNewPostsCount(userId) {
+    return parseInt(await cacheService.get(CACHE_KEYS.USER_NEW_POSTS(userId))) || 0;
+  }
+
+  /**
+   * Clear a user's new post count once they load the top of their feed
+   * @param {string} userId - User ID
+   */
+  static async resetNewPosts(userId) {
+    await cacheService.delete(CACHE_KEYS.USER_NEW_POSTS(userId));
+    await RealtimeService.publish({
+      type: 'new-posts',
+      counts: { [userId.toString()]: 0 }
+    });
+  }
+
+  /**
+   * Send an event to every stream a user has open
+   * @param {string} userId - User ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  static async sendToUser(userId, event, data) {
+    await RealtimeService.publish({
+      type: 'user',
+      userId: userId.toString(),
+      event,
+      data
+    });
+  }
+
+  /**
+   * Send a post's current engagement counts to streams watching it
+   * @param {Object} post - Post document
+   */
+  static async publishPostCounts(post) {
+    await RealtimeService.publish({
+      type: 'post-counts',
+      post: {
+        _id: post._id.toString(),
+        likesCount: post.likesCount,
+        commentsCount: post.commentsCount,
+        sharesCount: post.sharesCount
+      }
+    });
+  }
+
+  /**
+   * Replace the posts a stream receives counts for
+   * The stream may be held by another instance, so the change is published
+   * unless the stream is open here.
+   * @param {string} streamId - Stream ID
+   * @param {string} userId - Stream owner ID
+   * @param {Array} postIds - Post IDs on the client's screen
+   */
+  static async watchPosts(streamId, userId, postIds) {
+    const message = {
+      type: 'watch',
+      streamId,
+      userId: userId.toString(),
+      postIds: postIds.map(postId => postId.toString())
+    };
+
+    if (streams.has(streamId)) {
+      RealtimeService.dispatch(message);
+    } else {
+      await RealtimeService.publish(message);
+    }
+  }
+}
+
+module.exports = RealtimeService;
@@ -0,0 +1,69 @@
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { ROLES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Role Service
+ * Changes user roles and permission grants, recording every change in the
+ * audit log
+ */
+class RoleService {
+  /**
+   * Set a user's role and extra permissions
+   * @param {Object} user - User document to change
+   * @param {Object} update - { role, permissions } (permissions unchanged if omitted)
+   * @param {Object} context - { actor, reason, ip } describing who made the change
+   * @returns {Object} { user, changed, auditLog }
+   */
+  static async changeRole(user, update, context = {}) {
+    const from = {
+      role: user.role,
+      permissions: [...(user.permissions || [])].sort()
+    };
+    const to = {
+      role: update.role,
+      permissions: update.permissions ? [...update.permissions].sort() : from.permissions
+    };
+
+    const changed = from.role !== to.role ||
+      from.permissions.join(',') !== to.permissions.join(',');
+
+    if (!changed) {
+      return { user, changed: false, auditLog: null };
+    }
+
+    user.role = to.role;
+    user.permissions = to.permissions;
+    await user.save();
+
+    const auditLog = await AuditLog.record({
+      actor: context.actor || null,
+      action: 'user.role.update',
+      targetType: 'User',
+      target: user._id,
+      changes: { from, to },
+      reason: context.reason || '',
+      ip: context.ip || ''
+    });
+
+    logger.info(`Role of user ${user.username} changed from ${from.role} to ${to.role} by ${context.actor || 'system'}`);
+
+    return { user, changed: true, auditLog };
+  }
+
+  /**
+   * Count admins, optionally ignoring one user
+   * @param {string} excludeUserId - User to leave out of the count
+   * @returns {number} Number of admins
+   */
+  static async countAdmins(excludeUserId = null) {
+    const query = { role: ROLES.ADMIN };
+    if (excludeUserId) {
+      query._id = { $ne: excludeUserId };
+    }
+    return await User.countDocuments(query);
+  }
+}
+
+module.exports = RoleService;
@@ -0,0 +1,320 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const PersonalizationService = require('./personalizationService');
+const cacheService = require('./cacheService');
+const RealtimeService = require('./realtimeService');
+const {
+  CACHE_KEYS,
+  TIMELINE_MAX_SIZE,
+  TIMELINE_TTL,
+  CELEBRITY_FOLLOWER_THRESHOLD,
+  FANOUT_TAG_AUDIENCE_LIMIT,
+  DAY_IN_MS
+} = require('../utils/constants');
+const logger = require('../utils/logger');
+
+// Users inactive for longer than this are skipped by tag-affinity fan-out
+const ACTIVE_AUDIENCE_WINDOW_MS = 30 * DAY_IN_MS;
+
+// Posts copied into a timeline when following someone
+const FOLLOW_BACKFILL_SIZE = 50;
+
+// Member kept in every rebuilt timeline so an empty one still exists
+const TIMELINE_MARKER = 'built';
+
+/**
+ * Timeline Service
+ * Maintains precomputed per-user feed timelines as Redis sorted sets.
+ *
+ * Timelines are only ever created by a full rebuild. Posts are pushed into the
+ * existing timelines of interested users when they are created (fan-out on
+ * write); users without one get theirs rebuilt when they next load the feed.
+ * Reposts are pushed like any other post; the feed shows a post and its
+ * reposts only once. Each member is a post id scored by its creation
+ * time in milliseconds, so timelines share the createdAt/_id ordering used by
+ * feed cursors. Authors with very large audiences are not fanned out; their
+ * posts are merged into followers' timelines at read time instead.
+ */
+class TimelineService {
+  /**
+   * Whether an author is treated as a celebrity (fan-out on read)
+   * @param {Object} author - User document or { followersCount }
+   * @returns {boolean} Celebrity status
+   */
+  static isCelebrity(author) {
+    return (author.followersCount || 0) >= CELEBRITY_FOLLOWER_THRESHOLD;
+  }
+
+  /**
+   * Convert posts to sorted set entries
+   * @param {Array} posts - Posts with _id and createdAt
+   * @returns {Array} Array of { score, value }
+   */
+  static toEntries(posts) {
+    return posts.map(post => ({
+      score: new Date(post.createdAt).getTime(),
+      value: post._id.toString()
+    }));
+  }
+
+  /**
+   * Push a newly created post into the timelines of interested users
+   * @param {Object} post - Post document
+   * @returns {number} Number of users the post was pushed to
+   */
+  static async fanOutPost(post) {
+    const author = await User.findById(post.author).select('followersCount');
+    if (!author) {
+      return 0;
+    }
+
+    const audience = new Set();
+
+    // Followers, unless the author is big enough to be read on demand
+    if (!TimelineService.isCelebrity(author)) {
+      const followers = await Follow.find({ following: author._id }, 'follower').lean();
+      followers.forEach(follow => audience.add(follow.follower.toString()));
+    }
+
+    // Recently active users with an affinity for the post's tags; private posts stay with followers
+    if (!post.authorIsPrivate && post.tags && post.tags.length > 0) {
+      const interestedUsers = await User.find({
+        _id: { $ne: author._id },
+        'likedTags.tag': { $in: post.tags },
+        lastActiveAt: { $gte: new Date(Date.now() - ACTIVE_AUDIENCE_WINDOW_MS) }
+      })
+      .select('_id')
+      .sort({ lastActiveAt: -1 })
+      .limit(FANOUT_TAG_AUDIENCE_LIMIT)
+      .lean();
+
+      interestedUsers.forEach(user => audience.add(user._id.toString()));
+    }
+
+    audience.delete(author._id.toString());
+
+    if (audience.size === 0) {
+      return 0;
+    }
+
+    const keys = [...audience].map(userId => CACHE_KEYS.USER_TIMELINE(userId));
+    await cacheService.sortedSetAddMany(keys, TimelineService.toEntries([post]), {
+      maxSize: TIMELINE_MAX_SIZE,
+      ttl: TIMELINE_TTL,
+      existingOnly: true
+    });
+
+    logger.debug(`Fanned out post ${post._id} to ${keys.length} timelines`);
+
+    RealtimeService.notifyNewPosts([...audience]).catch(error => {
+      logger.error('New posts notification error:', error);
+    });
+
+    return keys.length;
+  }
+
+  /**
+   * Copy an author's recent posts into a user's timeline after following them
+   * @param {string} userId - Follower ID
+   * @param {Object} author - Followed user document
+   */
+  static async addAuthorToTimeline(userId, author) {
+    if (TimelineService.isCelebrity(author)) {
+      return;
+    }
+
+    const posts = await Post.find({
+      author: author._id,
+      isActive: true
+    }, 'createdAt')
+    .sort({ createdAt: -1 })
+    .limit(FOLLOW_BACKFILL_SIZE)
+    .lean();
+
+    await cacheService.sortedSetAddMany(
+      [CACHE_KEYS.USER_TIMELINE(userId)],
+      TimelineService.toEntries(posts),
+      { maxSize: TIMELINE_MAX_SIZE, ttl: TIMELINE_TTL, existingOnly: true }
+    );
+  }
+
+  /**
+   * Remove an author's posts from a user's timeline after unfollowing them
+   * @param {string} userId - Former follower ID
+   * @param {string} authorId - Unfollowed user ID
+   */
+  static async removeAuthorFromTimeline(userId, authorId) {
+    const postIds = await Post.find({ author: authorId }, '_id')
+      .sort({ createdAt: -1 })
+      .limit(TIMELINE_MAX_SIZE)
+      .lean();
+
+    await cacheService.sortedSetRemove(
+      CACHE_KEYS.USER_TIMELINE(userId),
+      postIds.map(post => post._id.toString())
+    );
+  }
+
+  /**
+   * Rebuild a user's timeline from the follow graph and their tag affinity
+   * @param {string} userId - User ID
+   * @returns {number} Number of posts in the rebuilt timeline
+   */
+  static async rebuildTimeline(userId) {
+    const followingIds = await Follow.getFollowingIds(userId);
+
+    // Celebrity posts are merged at read time, so leave them out
+    const followedAuthors = await User.find({
+      _id: { $in: followingIds },
+      followersCount: { $lt: CELEBRITY_FOLLOWER_THRESHOLD }
+    }, '_id').lean();
+
+    const preferredTags = await PersonalizationService.getUserPreferredTags(userId, {
+      limit: 30,
+      useCache: true
+    });
+
+    const sources = [{ author: { $in: followedAuthors.map(author => author._id) } }];
+    if (preferredTags.length > 0) {
+      sources.push({
+        tags: { $in: preferredTags.map(tag => tag.tag) },
+        authorIsPrivate: { $ne: true }
+      });
+    }
+
+    const posts = await Post.find({
+      $or: sources,
+      author: { $ne: userId },
+      isActive: true
+    }, 'createdAt')
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(TIMELINE_MAX_SIZE)
+    .lean();
+
+    await cacheService.sortedSetReplace(
+      CACHE_KEYS.USER_TIMELINE(userId),
+      [{ score: 0, value: TIMELINE_MARKER }, ...TimelineService.toEntries(posts)],
+      TIMELINE_TTL
+    );
+
+    logger.info(`Rebuilt timeline for user ${userId} with ${posts.length} posts`);
+
+    return posts.length;
+  }
+
+  /**
+   * Check whether a user has a precomputed timeline
+   * @param {string} userId - User ID
+   * @returns {boolean} Timeline existence
+   */
+  static async hasTimeline(userId) {
+    return await cacheService.exists(CACHE_KEYS.USER_TIMELINE(userId));
+  }
+
+  /**
+   * Get IDs of celebrity accounts a user follows
+   * @param {string} userId - User ID
+   * @returns {Array} Author IDs
+   */
+  static async getCelebrityFollowees(userId) {
+    const followingIds = await Follow.getFollowingIds(userId);
+    if (followingIds.length === 0) {
+      return [];
+    }
+
+    return await User.find({
+      _id: { $in: followingIds },
+      followersCount: { $gte: CELEBRITY_FOLLOWER_THRESHOLD }
+    }).distinct('_id');
+  }
+
+  /**
+   * Read a window of a user's timeline, newest first
+   * Entries are ordered by (createdAt, _id) descending and bounded like a
+   * feed window: strictly older than `before` and no older than `until`.
+   * Posts from followed celebrities are merged in from the database.
+   * @param {string} userId - User ID
+   * @param {Object} options - Window options
+   * @param {number} options.size - Maximum number of entries
+   * @param {number} options.snapshot - Upper creation time bound in ms
+   * @param {Object} options.before - { createdAt, _id } exclusive upper key, if any
+   * @param {Object} options.until - { createdAt, _id } inclusive lower key, if any
+   * @returns {Array} Array of { _id, createdAt } keys
+   */
+  static async getWindow(userId, { size, snapshot, before = null, until = null }) {
+    const max = before ? before.createdAt.getTime() : snapshot;
+    const min = until ? until.createdAt.getTime() : '-inf';
+
+    // Over-fetch a little so equal scores at the bounds can be filtered out
+    const entries = await cacheService.sortedSetRevRangeByScore(
+      CACHE_KEYS.USER_TIMELINE(userId),
+      { max, min, limit: size + 20 }
+    );
+
+    let keys = entries
+      .filter(entry => entry.value !== TIMELINE_MARKER)
+      .map(entry => ({
+        _id: new mongoose.Types.ObjectId(entry.value),
+        createdAt: new Date(entry.score)
+      }));
+
+    const celebrityIds = await TimelineService.getCelebrityFollowees(userId);
+    if (celebrityIds.length > 0) {
+      const createdAt = { $lte: new Date(max) };
+      if (until) {
+        createdAt.$gte = until.createdAt;
+      }
+
+      const celebrityPosts = await Post.find({
+        author: { $in: celebrityIds },
+        isActive: true,
+        createdAt
+      }, 'createdAt')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(size + 20)
+      .lean();
+
+      keys = keys.concat(celebrityPosts);
+    }
+
+    const compare = (a, b) => {
+      const byTime = a.createdAt - b.createdAt;
+      if (byTime !== 0) return byTime;
+      const [idA, idB] = [a._id.toString(), b._id.toString()];
+      return idA === idB ? 0 : (idA < idB ? -1 : 1);
+    };
+
+    const seen = new Set();
+    return keys
+      .filter(key => !before || compare(key, before) < 0)
+      .filter(key => !until || compare(key, until) >= 0)
+      .sort((a, b) => compare(b, a))
+      .filter(key => {
+        const id = key._id.toString();
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      })
+      .slice(0, size);
+  }
+
+  /**
+   * Drop posts that no longer exist from a user's timeline
+   * @param {string} userId - User ID
+   * @param {Array} postIds - Stale post IDs
+   */
+  static async pruneTimeline(userId, postIds) {
+    if (postIds.length === 0) {
+      return;
+    }
+
+    await cacheService.sortedSetRemove(
+      CACHE_KEYS.USER_TIMELINE(userId),
+      postIds.map(id => id.toString())
+    );
+  }
+}
+
+module.exports = TimelineService;
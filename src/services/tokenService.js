@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const cacheService = require('./cacheService');
+const {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_MS,
+  CACHE_KEYS
+} = require('../utils/constants');
+const logger = require('../utils/logger');
+
+// How stale a session's last-seen time may get before a request refreshes it
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+class RefreshTokenError extends Error {
+  constructor(message = 'Invalid refresh token') {
+    super(message);
+    this.name = 'RefreshTokenError';
+    this.status = 401;
+  }
+}
+
+/**
+ * Token Service
+ * Issues short-lived access tokens and rotating refresh tokens.
+ *
+ * Each login starts a session whose ID is the refresh token family. Every
+ * refresh exchanges the presented token for a new one in the same family;
+ * presenting an already-exchanged token means it was copied, so the whole
+ * family is revoked. Revoked sessions are denylisted in the cache for as
+ * long as their access tokens can still be valid.
+ */
+class TokenService {
+  /**
+   * Create a refresh token in a family
+   * @param {string} userId - User ID
+   * @param {string} family - Session ID
+   * @param {Date} expiresAt - Token expiry
+   * @returns {Object} { token, record }
+   */
+  static async createRefreshToken(userId, family, expiresAt) {
+    const token = crypto.randomBytes(48).toString('base64url');
+
+    const record = await RefreshToken.create({
+      user: userId,
+      tokenHash: RefreshToken.hashToken(token),
+      family,
+      expiresAt
+    });
+
+    return { token, record };
+  }
+
+  /**
+   * Start a new session and issue its first token pair
+   * @param {Object} user - User document
+   * @param {Object} context - { userAgent, ip }
+   * @returns {Object} { token, refreshToken, expiresIn, sessionId }
+   */
+  static async issueTokens(user, context = {}) {
+    const sessionId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
+    await Session.create({
+      sessionId,
+      user: user._id,
+      device: Session.describeDevice(context.userAgent),
+      userAgent: context.userAgent || '',
+      ip: context.ip || '',
+      expiresAt
+    });
+
+    const { token: refreshToken } = await TokenService.createRefreshToken(user._id, sessionId, expiresAt);
+
+    return {
+      token: user.generateToken(sessionId),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      sessionId
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {string} rawToken - Refresh token presented by the client
+   * @param {Object} context - { userAgent, ip }
+   * @returns {Object} { user, token, refreshToken, expiresIn, sessionId }
+   * @throws {RefreshTokenError} If the token is unknown, expired, revoked or reused
+   */
+  static async rotateRefreshToken(rawToken, context = {}) {
+    const tokenHash = RefreshToken.hashToken(rawToken);
+    const existing = await RefreshToken.findOne({ tokenHash });
+
+    if (!existing) {
+      throw new RefreshTokenError();
+    }
+
+    if (existing.revokedAt) {
+      throw new RefreshTokenError('Session has been revoked, please login again');
+    }
+
+    if (existing.expiresAt <= new Date()) {
+      throw new RefreshTokenError('Refresh token has expired, please login again');
+    }
+
+    // Claim the token atomically so two concurrent refreshes cannot both succeed
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: existing._id, usedAt: null, revokedAt: null },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!claimed) {
+      logger.warn(`Refresh token reuse detected for user ${existing.user}, revoking session ${existing.family}`);
+      await TokenService.revokeSession(existing.family, 'reuse');
+      throw new RefreshTokenError('Refresh token reuse detected, please login again');
+    }
+
+    const user = await User.findById(existing.user).select('-password');
+    if (!user) {
+      await TokenService.revokeSession(existing.family, 'logout');
+      throw new RefreshTokenError();
+    }
+
+    if (user.isSuspended()) {
+      await TokenService.revokeSession(existing.family, 'revoked');
+      throw new RefreshTokenError('Account is suspended');
+    }
+
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+    const { token: refreshToken, record } = await TokenService.createRefreshToken(
+      user._id,
+      existing.family,
+      expiresAt
+    );
+
+    claimed.replacedBy = record.tokenHash;
+    await claimed.save();
+
+    const sessionUpdate = { lastSeenAt: new Date(), expiresAt };
+    if (context.userAgent) {
+      sessionUpdate.userAgent = context.userAgent;
+      sessionUpdate.device = Session.describeDevice(context.userAgent);
+    }
+    if (context.ip) {
+      sessionUpdate.ip = context.ip;
+    }
+    await Session.updateOne({ sessionId: existing.family }, sessionUpdate);
+
+    return {
+      user,
+      token: user.generateToken(existing.family),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      sessionId: existing.family
+    };
+  }
+
+  /**
+   * Revoke a session: its refresh tokens and any access tokens still in flight
+   * @param {string} sessionId - Session ID (refresh token family)
+   * @param {string} reason - Revocation reason
+   */
+  static async revokeSession(sessionId, reason = 'logout') {
+    await Promise.all([
+      Session.updateOne(
+        { sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+      ),
+      RefreshToken.revokeFamily(sessionId, reason)
+    ]);
+
+    // Access tokens cannot outlive this, so the denylist entry can expire with them
+    await cacheService.set(CACHE_KEYS.REVOKED_SESSION(sessionId), reason, ACCESS_TOKEN_TTL);
+  }
+
+  /**
+   * Revoke all of a user's sessions except one
+   * @param {string} userId - User ID
+   * @param {string} exceptSessionId - Session to keep, usually the current one (null revokes all)
+   * @param {string} reason - Revocation reason
+   * @returns {number} Number of sessions revoked
+   */
+  static async revokeOtherSessions(userId, exceptSessionId, reason = 'revoked') {
+    const sessions = await Session.find({
+      user: userId,
+      sessionId: { $ne: exceptSessionId },
+      revokedAt: null
+    }, 'sessionId').lean();
+
+    await Promise.all(sessions.map(session => TokenService.revokeSession(session.sessionId, reason)));
+
+    return sessions.length;
+  }
+
+  /**
+   * Record that a session was just used, at most every few minutes
+   * @param {string} sessionId - Session ID
+   * @param {string} ip - Request IP address
+   */
+  static async touchSession(sessionId, ip) {
+    const update = { lastSeenAt: new Date() };
+    if (ip) {
+      update.ip = ip;
+    }
+
+    await Session.updateOne(
+      {
+        sessionId,
+        lastSeenAt: { $lt: new Date(Date.now() - LAST_SEEN_RESOLUTION_MS) }
+      },
+      update
+    );
+  }
+
+  /**
+   * Check whether the session an access token belongs to was revoked
+   * The Redis denylist answers without a query; while it is unavailable the
+   * session itself is checked, so revoked tokens are not let through.
+   * @param {string} sessionId - Session ID from the access token
+   * @returns {boolean} Revocation status
+   */
+  static async isSessionRevoked(sessionId) {
+    if (cacheService.isAvailable()) {
+      return await cacheService.exists(CACHE_KEYS.REVOKED_SESSION(sessionId));
+    }
+
+    const session = await Session.findOne({ sessionId }, 'revokedAt').lean();
+    return !session || !!session.revokedAt;
+  }
+}
+
+module.exports = TokenService;
+module.exports.RefreshTokenError = RefreshTokenError;
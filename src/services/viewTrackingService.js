@@ -0,0 +1,182 @@
+const Post = require('../models/Post');
+const PostView = require('../models/PostView');
+const {
+  HOUR_IN_MS,
+  DAY_IN_MS,
+  WEEK_IN_MS,
+  VIEW_DEDUP_WINDOW_MS
+} = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * View Tracking Service
+ * Records deduplicated post impressions and rolls them up into the
+ * hourly/daily/weekly performance buckets used for engagement metrics
+ */
+class ViewTrackingService {
+  /**
+   * Build the viewer key used for deduplication
+   * @param {Object|null} user - Authenticated user, if any
+   * @param {string} ip - Request IP address
+   * @returns {string} Viewer key
+   */
+  static getViewerKey(user, ip) {
+    return user ? user._id.toString() : `ip:${ip}`;
+  }
+
+  /**
+   * Record impressions for a batch of posts
+   * Views are counted once per viewer per post per dedup window, and
+   * authors viewing their own posts are ignored.
+   * @param {Array} postIds - IDs of posts shown to the viewer
+   * @param {string} viewerKey - Key from getViewerKey
+   * @returns {Object} Number of views counted and the posts they were counted for
+   */
+  static async recordImpressions(postIds, viewerKey) {
+    const uniqueIds = [...new Set(postIds.map(id => id.toString()))];
+    if (uniqueIds.length === 0) {
+      return { counted: 0, postIds: [] };
+    }
+
+    const posts = await Post.find({
+      _id: { $in: uniqueIds },
+      isActive: true
+    }, 'author').lean();
+
+    const countablePosts = posts.filter(post => post.author.toString() !== viewerKey);
+    if (countablePosts.length === 0) {
+      return { counted: 0, postIds: [] };
+    }
+
+    const window = Math.floor(Date.now() / VIEW_DEDUP_WINDOW_MS);
+    const views = countablePosts.map(post => ({
+      post: post._id,
+      viewer: viewerKey,
+      window
+    }));
+
+    let insertedViews = [];
+    try {
+      insertedViews = await PostView.insertMany(views, { ordered: false });
+    } catch (error) {
+      // Duplicate key errors mean the view was already counted this window
+      if (error.code !== 11000 && !error.writeErrors) {
+        throw error;
+      }
+      insertedViews = error.insertedDocs || [];
+    }
+
+    if (insertedViews.length === 0) {
+      return { counted: 0, postIds: [] };
+    }
+
+    const countedIds = insertedViews.map(view => view.post);
+
+    await Post.updateMany(
+      { _id: { $in: countedIds } },
+      {
+        $inc: {
+          viewsCount: 1,
+          'performance.hourlyViews': 1,
+          'performance.dailyViews': 1,
+          'performance.weeklyViews': 1
+        }
+      }
+    );
+
+    return { counted: countedIds.length, postIds: countedIds };
+  }
+
+  /**
+   * Recalculate performance buckets and engagement rates from recorded views
+   * @returns {Object} Rollup summary
+   */
+  static async rollupPerformance() {
+    const now = Date.now();
+    const hourAgo = new Date(now - HOUR_IN_MS);
+    const dayAgo = new Date(now - DAY_IN_MS);
+    const weekAgo = new Date(now - WEEK_IN_MS);
+
+    const buckets = await PostView.aggregate([
+      { $match: { createdAt: { $gte: weekAgo } } },
+      {
+        $group: {
+          _id: '$post',
+          hourlyViews: { $sum: { $cond: [{ $gte: ['$createdAt', hourAgo] }, 1, 0] } },
+          dailyViews: { $sum: { $cond: [{ $gte: ['$createdAt', dayAgo] }, 1, 0] } },
+          weeklyViews: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const calculatedAt = new Date(now);
+
+    if (buckets.length > 0) {
+      await Post.bulkWrite(buckets.map(bucket => ({
+        updateOne: {
+          filter: { _id: bucket._id },
+          update: {
+            $set: {
+              'performance.hourlyViews': bucket.hourlyViews,
+              'performance.dailyViews': bucket.dailyViews,
+              'performance.weeklyViews': bucket.weeklyViews,
+              'performance.lastCalculatedAt': calculatedAt
+            }
+          }
+        }
+      })), { ordered: false });
+    }
+
+    const activeIds = buckets.map(bucket => bucket._id);
+
+    // Posts with no views left in the weekly window drop to zero
+    const reset = await Post.updateMany(
+      {
+        _id: { $nin: activeIds },
+        'performance.weeklyViews': { $gt: 0 }
+      },
+      {
+        $set: {
+          'performance.hourlyViews': 0,
+          'performance.dailyViews': 0,
+          'performance.weeklyViews': 0,
+          'performance.lastCalculatedAt': calculatedAt
+        }
+      }
+    );
+
+    // View counts are incremented without document middleware, so refresh the rate here
+    if (activeIds.length > 0) {
+      await Post.updateMany(
+        { _id: { $in: activeIds } },
+        [{
+          $set: {
+            engagementRate: {
+              $min: [
+                {
+                  $divide: [
+                    { $add: ['$likesCount', '$commentsCount', '$sharesCount'] },
+                    { $max: ['$viewsCount', 1] }
+                  ]
+                },
+                1
+              ]
+            }
+          }
+        }]
+      );
+    }
+
+    const summary = {
+      updated: buckets.length,
+      reset: reset.modifiedCount || 0,
+      calculatedAt
+    };
+
+    logger.debug('Post performance rollup completed', summary);
+
+    return summary;
+  }
+}
+
+module.exports = ViewTrackingService;
@@ -5,21 +5,126 @@ module.exports = {
     
     // Feed Configuration
     FEED_CACHE_TTL: parseInt(process.env.FEED_CACHE_TTL) || 300, // 5 minutes
+    CURSOR_MAX_AGE_MS: (parseInt(process.env.CURSOR_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000,
+    
+    // Timeline fan-out
+    TIMELINE_MAX_SIZE: parseInt(process.env.TIMELINE_MAX_SIZE) || 800,
+    TIMELINE_TTL: parseInt(process.env.TIMELINE_TTL) || 7 * 24 * 60 * 60, // 7 days
+    CELEBRITY_FOLLOWER_THRESHOLD: parseInt(process.env.CELEBRITY_FOLLOWER_THRESHOLD) || 10000,
+    FANOUT_TAG_AUDIENCE_LIMIT: parseInt(process.env.FANOUT_TAG_AUDIENCE_LIMIT) || 1000,
+    
+    // Authentication
+    ACCESS_TOKEN_TTL: (parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15) * 60, // seconds
+    REFRESH_TOKEN_TTL_MS: (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000,
+    EMAIL_VERIFICATION_TTL: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60, // seconds
+    REQUIRE_VERIFIED_TO_POST: process.env.REQUIRE_VERIFIED_TO_POST === 'true',
+    PASSWORD_RESET_TTL_MS: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30) * 60 * 1000,
+    
+    // Roles and permissions
+    ROLES: {
+      USER: 'user',
+      MODERATOR: 'moderator',
+      ADMIN: 'admin'
+    },
+    PERMISSIONS: {
+      USERS_READ: 'users:read',
+      USERS_MANAGE_ROLES: 'users:manage-roles',
+      POSTS_MODERATE: 'posts:moderate',
+      COMMENTS_MODERATE: 'comments:moderate',
+      REPORTS_REVIEW: 'reports:review',
+      USERS_SUSPEND: 'users:suspend',
+      AUDIT_READ: 'audit:read'
+    },
+    ROLE_PERMISSIONS: {
+      user: [],
+      moderator: ['users:read', 'posts:moderate', 'comments:moderate', 'reports:review', 'users:suspend'],
+      admin: [
+        'users:read',
+        'users:manage-roles',
+        'posts:moderate',
+        'comments:moderate',
+        'reports:review',
+        'users:suspend',
+        'audit:read'
+      ]
+    },
+    
+    // Reporting and moderation
+    REPORT_REASONS: ['spam', 'harassment', 'hate_speech', 'violence', 'nudity', 'misinformation', 'self_harm', 'other'],
+    REPORT_HIDE_THRESHOLD: parseInt(process.env.REPORT_HIDE_THRESHOLD) || 5,
+    MODERATION_ACTIONS: ['dismiss', 'hide', 'delete', 'warn', 'suspend'],
+    // Post moderation statuses kept out of feeds, trending and search
+    HIDDEN_MODERATION_STATUSES: ['pending', 'hidden'],
+    DEFAULT_SUSPENSION_DAYS: 7,
+    
+    // Muted words and tags
+    MAX_MUTED_KEYWORDS: 200,
+    
+    // Bookmarks
+    MAX_BOOKMARK_COLLECTIONS: 100,
+    
+    // Distinct users a post can mention; later mentions are not linked
+    MAX_MENTIONS_PER_POST: 20,
+    // Minutes after posting that a post can still be edited; 0 never locks posts
+    POST_EDIT_WINDOW_MINUTES: parseInt(process.env.POST_EDIT_WINDOW_MINUTES) || 0,
+    // Posts that are not live yet: drafts, and scheduled posts waiting for `publishAt`
+    UNPUBLISHED_POST_STATUSES: ['draft', 'scheduled'],
+    SCHEDULED_PUBLISH_INTERVAL_MS: (parseInt(process.env.SCHEDULED_PUBLISH_INTERVAL_SECONDS) || 30) * 1000,
+    MAX_POSTS_PER_PUBLISH_RUN: 100,
+    
+    // Media uploads
+    ALLOWED_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
+    MAX_IMAGE_SIZE: (parseInt(process.env.MAX_IMAGE_SIZE_MB) || 5) * 1024 * 1024,
+    THUMBNAIL_SIZE: parseInt(process.env.THUMBNAIL_SIZE) || 320, // px, longest side
+    MAX_MEDIA_PER_POST: 10,
+    // Square avatar variants, in px; feeds and lists show `small`
+    AVATAR_SIZES: {
+      small: 64,
+      medium: 200,
+      large: 512
+    },
     
     // Ranking Weights
     PERSONALIZATION_WEIGHT: parseFloat(process.env.PERSONALIZATION_WEIGHT) || 0.4,
     RECENCY_WEIGHT: parseFloat(process.env.RECENCY_WEIGHT) || 0.3,
     POPULARITY_WEIGHT: parseFloat(process.env.POPULARITY_WEIGHT) || 0.3,
+    // Personalization score taken off for each muted tag on a post
+    MUTED_TAG_PENALTY: 0.5,
     
     // Time constants
     HOUR_IN_MS: 60 * 60 * 1000,
     DAY_IN_MS: 24 * 60 * 60 * 1000,
     WEEK_IN_MS: 7 * 24 * 60 * 60 * 1000,
     
+    // View tracking
+    VIEW_DEDUP_WINDOW_MS: (parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES) || 60) * 60 * 1000,
+    VIEW_ROLLUP_INTERVAL_MS: (parseInt(process.env.VIEW_ROLLUP_INTERVAL_MINUTES) || 10) * 60 * 1000,
+    MAX_IMPRESSIONS_PER_BATCH: 100,
+    
+    // Notifications, with the User.preferences.notifications switch for each type
+    NOTIFICATION_PREFERENCES: {
+      like: 'likes',
+      comment: 'comments',
+      reply: 'comments',
+      follow: 'follows',
+      follow_request: 'follows',
+      mention: 'mentions'
+    },
+    // Most recent actors kept on a grouped notification
+    NOTIFICATION_ACTORS_SHOWN: 3,
+    NOTIFICATION_TTL_DAYS: parseInt(process.env.NOTIFICATION_TTL_DAYS) || 90,
+    
+    // Real-time updates
+    REALTIME_CHANNEL: 'realtime:events',
+    REALTIME_HEARTBEAT_MS: (parseInt(process.env.REALTIME_HEARTBEAT_SECONDS) || 25) * 1000,
+    MAX_STREAMS_PER_USER: parseInt(process.env.MAX_STREAMS_PER_USER) || 5,
+    MAX_WATCHED_POSTS: 50,
+    
     // Post constraints
     MAX_POST_CONTENT_LENGTH: 2200,
     MAX_TAGS_PER_POST: 30,
     MAX_TAG_LENGTH: 50,
+    MAX_COMMENT_LENGTH: 1000,
     
     // User constraints
     MAX_USERNAME_LENGTH: 30,
@@ -29,16 +134,20 @@ module.exports = {
     // Cache keys
     CACHE_KEYS: {
       USER_FEED: (userId) => `feed:user:${userId}`,
+      USER_TIMELINE: (userId) => `timeline:user:${userId}`,
       POST_LIKES: (postId) => `likes:post:${postId}`,
       USER_LIKED_TAGS: (userId) => `tags:user:${userId}`,
+      USER_NEW_POSTS: (userId) => `timeline:new:${userId}`,
       TRENDING_TAGS: 'tags:trending',
-      POST_DETAILS: (postId) => `post:${postId}`
+      POST_DETAILS: (postId) => `post:${postId}`,
+      REVOKED_SESSION: (sessionId) => `auth:revoked:${sessionId}`
     },
     
     // HTTP Status Codes
     HTTP_STATUS: {
       OK: 200,
       CREATED: 201,
+      ACCEPTED: 202,
       NO_CONTENT: 204,
       BAD_REQUEST: 400,
       UNAUTHORIZED: 401,
@@ -60,6 +169,56 @@ module.exports = {
       VALIDATION_ERROR: 'Validation failed',
       ALREADY_LIKED: 'Post already liked',
       NOT_LIKED: 'Post not liked yet',
-      CANNOT_LIKE_OWN_POST: 'Cannot like your own post'
+      CANNOT_LIKE_OWN_POST: 'Cannot like your own post',
+      CANNOT_FOLLOW_SELF: 'Cannot follow yourself',
+      ALREADY_FOLLOWING: 'Already following user',
+      NOT_FOLLOWING: 'Not following user',
+      COMMENT_NOT_FOUND: 'Comment not found',
+      COMMENTS_DISABLED: 'Comments are disabled',
+      CANNOT_SHARE_OWN_POST: 'Cannot share your own post',
+      ALREADY_SHARED: 'Post already shared',
+      NOT_SHARED: 'Post not shared yet',
+      INVALID_REFRESH_TOKEN: 'Invalid refresh token',
+      SESSION_REVOKED: 'Session has been revoked',
+      SESSION_NOT_FOUND: 'Session not found',
+      INVALID_VERIFICATION_TOKEN: 'Invalid verification token',
+      ALREADY_VERIFIED: 'Email already verified',
+      EMAIL_NOT_VERIFIED: 'Email not verified',
+      INVALID_RESET_TOKEN: 'Invalid password reset token',
+      INVALID_CURRENT_PASSWORD: 'Current password is incorrect',
+      CANNOT_CHANGE_OWN_ROLE: 'Cannot change your own role',
+      LAST_ADMIN: 'Cannot remove the last admin',
+      CANNOT_REPORT_OWN_POST: 'Cannot report your own post',
+      ALREADY_REPORTED: 'Post already reported',
+      NO_OPEN_REPORTS: 'No open reports',
+      ACCOUNT_SUSPENDED: 'Account suspended',
+      PRIVATE_ACCOUNT: 'Account is private',
+      FOLLOW_REQUEST_PENDING: 'Follow request already sent',
+      FOLLOW_REQUEST_NOT_FOUND: 'Follow request not found',
+      CANNOT_SHARE_PRIVATE_POST: 'Cannot share a post from a private account',
+      CANNOT_BLOCK_SELF: 'Cannot block yourself',
+      CANNOT_MUTE_SELF: 'Cannot mute yourself',
+      ALREADY_BLOCKED: 'User already blocked',
+      ALREADY_MUTED: 'User already muted',
+      NOT_BLOCKED: 'User not blocked',
+      NOT_MUTED: 'User not muted',
+      USER_BLOCKED: 'User blocked',
+      ALREADY_MUTED_KEYWORD: 'Keyword already muted',
+      MUTED_KEYWORD_NOT_FOUND: 'Muted keyword not found',
+      TOO_MANY_MUTED_KEYWORDS: 'Too many muted keywords',
+      NO_FILE_UPLOADED: 'No file uploaded',
+      INVALID_IMAGE: 'Invalid image',
+      MEDIA_NOT_FOUND: 'Media not found',
+      MEDIA_IN_USE: 'Media is attached to a post',
+      INVALID_POST_MEDIA: 'Invalid post media',
+      TOO_MANY_STREAMS: 'Too many open streams',
+      NOTIFICATION_NOT_FOUND: 'Notification not found',
+      EDIT_WINDOW_CLOSED: 'Post can no longer be edited',
+      DRAFT_NOT_FOUND: 'Draft not found',
+      COLLECTION_NOT_FOUND: 'Collection not found',
+      COLLECTION_EXISTS: 'Collection already exists',
+      TOO_MANY_COLLECTIONS: 'Too many collections',
+      ALREADY_SAVED: 'Post already saved to this collection',
+      NOT_SAVED: 'Post not saved to this collection'
     }
   };
\ No newline at end of file
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { CURSOR_MAX_AGE_MS } = require('./constants');
+
+/**
+ * Opaque, signed pagination cursors
+ *
+ * A cursor is `<base64url payload>.<base64url HMAC>`. The payload records the
+ * endpoint it belongs to (`m`), a fingerprint of the filters it was issued for
+ * (`q`), when it was issued (`iat`) and whatever position state the endpoint
+ * needs, typically the sort-key values of the last item served (`k`).
+ */
+
+class InvalidCursorError extends Error {
+  constructor(message = 'Invalid or expired cursor') {
+    super(message);
+    this.name = 'InvalidCursorError';
+    this.status = 400;
+  }
+}
+
+const getSecret = () => process.env.CURSOR_SECRET || process.env.JWT_SECRET;
+
+const sign = (data) => crypto
+  .createHmac('sha256', getSecret())
+  .update(data)
+  .digest('base64url');
+
+// Dates and ObjectIds do not survive JSON, so tag them
+const serializeValue = (value) => {
+  if (value instanceof Date) return { d: value.getTime() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return value;
+};
+
+const deserializeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.d === 'number') return new Date(value.d);
+    if (typeof value.o === 'string' && mongoose.Types.ObjectId.isValid(value.o)) {
+      return new mongoose.Types.ObjectId(value.o);
+    }
+    throw new InvalidCursorError();
+  }
+  return value;
+};
+
+/**
+ * Encode and sign a cursor payload
+ * @param {Object} payload - Cursor state
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (payload) => {
+  const data = Buffer
+    .from(JSON.stringify({ ...payload, iat: payload.iat || Date.now() }))
+    .toString('base64url');
+  return `${data}.${sign(data)}`;
+};
+
+/**
+ * Verify and decode a cursor
+ * @param {string} cursor - Opaque cursor from a previous response
+ * @param {Object} expected - Values the cursor must have been issued for
+ * @param {string} expected.mode - Endpoint the cursor belongs to
+ * @param {string} expected.fingerprint - Fingerprint of the current filters
+ * @returns {Object} Cursor payload
+ * @throws {InvalidCursorError} If the cursor is malformed, tampered with, expired or reused elsewhere
+ */
+const decodeCursor = (cursor, { mode, fingerprint }) => {
+  if (typeof cursor !== 'string') throw new InvalidCursorError();
+
+  const [data, signature] = cursor.split('.');
+  if (!data || !signature) throw new InvalidCursorError();
+
+  const expectedSignature = Buffer.from(sign(data));
+  const actualSignature = Buffer.from(signature);
+  if (expectedSignature.length !== actualSignature.length ||
+      !crypto.timingSafeEqual(expectedSignature, actualSignature)) {
+    throw new InvalidCursorError();
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch {
+    throw new InvalidCursorError();
+  }
+
+  if (!payload || payload.m !== mode || payload.q !== fingerprint) {
+    throw new InvalidCursorError('Cursor does not match this request');
+  }
+
+  if (Date.now() - payload.iat > CURSOR_MAX_AGE_MS) {
+    throw new InvalidCursorError('Cursor has expired, please refresh the feed');
+  }
+
+  return payload;
+};
+
+/**
+ * Short stable hash of the filters a cursor is valid for
+ * @param {Object} params - Filter values
+ * @returns {string} Fingerprint
+ */
+const fingerprint = (params = {}) => {
+  const normalized = Object.keys(params)
+    .sort()
+    .map(key => [key, params[key] === undefined ? null : params[key]]);
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify(normalized))
+    .digest('base64url')
+    .slice(0, 12);
+};
+
+/**
+ * Turn a sort specification into keyset fields, always tie-broken on _id
+ * @param {Object} sortConditions - Mongo sort object, e.g. { likesCount: -1, createdAt: -1 }
+ * @returns {Array} Array of [field, direction] pairs
+ */
+const toSortFields = (sortConditions) => {
+  const fields = Object.entries(sortConditions).filter(([field]) => field !== '_id');
+  const lastDirection = fields.length > 0 ? fields[fields.length - 1][1] : -1;
+  return [...fields, ['_id', lastDirection]];
+};
+
+/**
+ * Read the sort-key values of an item for storing in a cursor
+ * @param {Object} item - Document or plain object
+ * @param {Array} sortFields - Keyset fields from toSortFields
+ * @returns {Array} Serialized values
+ */
+const getKeyValues = (item, sortFields) => {
+  return sortFields.map(([field]) => serializeValue(item[field]));
+};
+
+/**
+ * Build a query condition selecting items strictly after the given key values
+ * @param {Array} sortFields - Keyset fields from toSortFields
+ * @param {Array} keyValues - Serialized values from getKeyValues
+ * @returns {Object} Mongo condition
+ */
+const buildKeysetCondition = (sortFields, keyValues) => {
+  if (!Array.isArray(keyValues) || keyValues.length !== sortFields.length) {
+    throw new InvalidCursorError();
+  }
+
+  const values = keyValues.map(deserializeValue);
+
+  const branches = sortFields.map(([field, direction], index) => {
+    const branch = {};
+    for (let i = 0; i < index; i++) {
+      branch[sortFields[i][0]] = values[i];
+    }
+    branch[field] = { [direction === -1 ? '$lt' : '$gt']: values[index] };
+    return branch;
+  });
+
+  return { $or: branches };
+};
+
+/**
+ * Turn stored key values back into an object keyed by sort field
+ * @param {Array} sortFields - Keyset fields from toSortFields
+ * @param {Array} keyValues - Serialized values from getKeyValues
+ * @returns {Object} e.g. { createdAt: Date, _id: ObjectId }
+ */
+const fromKeyValues = (sortFields, keyValues) => {
+  if (!Array.isArray(keyValues) || keyValues.length !== sortFields.length) {
+    throw new InvalidCursorError();
+  }
+
+  return Object.fromEntries(sortFields.map(([field], index) => [
+    field,
+    deserializeValue(keyValues[index])
+  ]));
+};
+
+/**
+ * Pack ObjectIds into a compact string for cursor payloads
+ * @param {Array} ids - ObjectIds or hex strings
+ * @returns {string} base64url-encoded ids
+ */
+const packIds = (ids) => {
+  return Buffer.concat(ids.map(id => Buffer.from(id.toString(), 'hex'))).toString('base64url');
+};
+
+/**
+ * Unpack ids packed with packIds
+ * @param {string} packed - Packed ids
+ * @returns {Array} Hex id strings
+ */
+const unpackIds = (packed = '') => {
+  const buffer = Buffer.from(packed, 'base64url');
+  if (buffer.length % 12 !== 0) throw new InvalidCursorError();
+
+  const ids = [];
+  for (let offset = 0; offset < buffer.length; offset += 12) {
+    ids.push(buffer.subarray(offset, offset + 12).toString('hex'));
+  }
+  return ids;
+};
+
+/**
+ * Cache key fragment identifying a cursor position
+ * @param {string} cursor - Opaque cursor or undefined for the first page
+ * @returns {string} Cache key fragment
+ */
+const cursorCacheKey = (cursor) => {
+  return cursor ? cursor.split('.')[1] : 'head';
+};
+
+/**
+ * Set up keyset pagination for a sorted query
+ * Fetch `limit + 1` items sorted by `sort`, restricted by `condition` when
+ * present, then pass them to `paginate` to get the page and the next cursor.
+ * @param {Object} options - Pagination options
+ * @param {string} options.mode - Endpoint the cursor belongs to
+ * @param {Object} options.filters - Filters the cursor is bound to
+ * @param {Object} options.sortConditions - Mongo sort object
+ * @param {string} options.cursor - Cursor from the request, if any
+ * @returns {Object} { state, sort, condition, paginate }
+ * @throws {InvalidCursorError} If the cursor is invalid
+ */
+const keysetPagination = ({ mode, filters = {}, sortConditions, cursor }) => {
+  const sortFields = toSortFields(sortConditions);
+  const q = fingerprint(filters);
+  const state = cursor ? decodeCursor(cursor, { mode, fingerprint: q }) : null;
+
+  return {
+    state,
+    sort: Object.fromEntries(sortFields),
+    condition: state ? buildKeysetCondition(sortFields, state.k) : null,
+    paginate(items, limit, extra = {}) {
+      const hasNextPage = items.length > limit;
+      const pageItems = items.slice(0, limit);
+      const nextCursor = hasNextPage
+        ? encodeCursor({
+          ...extra,
+          m: mode,
+          q,
+          k: getKeyValues(pageItems[pageItems.length - 1], sortFields)
+        })
+        : null;
+
+      return { items: pageItems, hasNextPage, nextCursor };
+    }
+  };
+};
+
+module.exports = {
+  InvalidCursorError,
+  encodeCursor,
+  decodeCursor,
+  fingerprint,
+  toSortFields,
+  getKeyValues,
+  buildKeysetCondition,
+  fromKeyValues,
+  packIds,
+  unpackIds,
+  cursorCacheKey,
+  keysetPagination
+};
@@ -0,0 +1,63 @@
+/**
+ * Entity parsing for post content
+ *
+ * Entities are the parts of a post's text that clients render as links. Each
+ * carries `start` and `end` offsets into the content as JavaScript string
+ * indices (UTF-16 code units), so `content.slice(start, end)` is the entity's
+ * text, e.g. `@alice` or `#travel`.
+ */
+
+// `@` must not follow a word character, so e-mail addresses are not mentions
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_@])@([A-Za-z0-9_]{3,30})(?![A-Za-z0-9_@])/gu;
+
+// Hashtags are letters (with their combining marks), numbers and underscores
+// in any script, up to the 50 characters a tag may have
+const HASHTAG_PATTERN = /(?<![\p{L}\p{M}\p{N}_&#＃])[#＃]([\p{L}\p{M}\p{N}_]{1,50})(?![\p{L}\p{M}\p{N}_#＃])/gu;
+const NON_TAG_CHARS = /[^\p{L}\p{M}\p{N}_]/gu;
+const NUMBERS_ONLY = /^\p{N}+$/u;
+
+/**
+ * Bring a tag to its stored form: lowercase, NFC, without `#` or punctuation
+ * Composed and decomposed spellings of the same word (`café`) become one tag.
+ * @param {string} tag - Tag as typed
+ * @returns {string} Normalized tag, empty if nothing is left
+ */
+const normalizeTag = (tag = '') => {
+  return tag.normalize('NFC').toLowerCase().replace(NON_TAG_CHARS, '');
+};
+
+/**
+ * Find `@username` mentions in a text
+ * @param {string} text - Post content
+ * @returns {Array} Mentions { username, start, end }, in order of appearance
+ */
+const extractMentions = (text = '') => {
+  return Array.from(text.matchAll(MENTION_PATTERN), match => ({
+    // Usernames are stored lowercased
+    username: match[1].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+};
+
+/**
+ * Find `#hashtag`s in a text
+ * Number-only hashtags such as `#1` are ordinary text.
+ * @param {string} text - Post content
+ * @returns {Array} Hashtags { tag, start, end }, `tag` normalized, in order of appearance
+ */
+const extractHashtags = (text = '') => {
+  return Array.from(text.matchAll(HASHTAG_PATTERN))
+    .filter(match => !NUMBERS_ONLY.test(match[1]))
+    .map(match => ({
+      tag: normalizeTag(match[1]),
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+};
+
+module.exports = {
+  normalizeTag,
+  extractMentions,
+  extractHashtags
+};
@@ -0,0 +1,44 @@
+/**
+ * Query helpers for muted words and tags
+ *
+ * Words match case-insensitively as whole words, using Unicode letter and
+ * number classes so that muting `café` does not hide `cafés`, and muting
+ * `art` does not hide `party`.
+ */
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+/**
+ * Build a regex source matching any of the given words as whole words
+ * @param {Array} words - Muted words
+ * @returns {string} Pattern for MongoDB `$regex`
+ */
+const buildWordPattern = (words) => {
+  const alternatives = words.map(escapeRegex).join('|');
+  return `(?<!${WORD_CHAR})(?:${alternatives})(?!${WORD_CHAR})`;
+};
+
+/**
+ * Build a post query condition excluding muted content
+ * @param {Object} mutes - { words, tags } as returned by User#getActiveMutedKeywords
+ * @returns {Object} Condition to merge into a post query (empty when nothing is muted)
+ */
+const buildMutedContentCondition = ({ words = [], tags = [] } = {}) => {
+  const excluded = [];
+
+  if (tags.length > 0) {
+    excluded.push({ tags: { $in: tags } });
+  }
+  if (words.length > 0) {
+    excluded.push({ content: { $regex: buildWordPattern(words), $options: 'i' } });
+  }
+
+  return excluded.length > 0 ? { $nor: excluded } : {};
+};
+
+module.exports = {
+  buildWordPattern,
+  buildMutedContentCondition
+};
@@ -0,0 +1,154 @@
+jest.mock('../../src/services/cacheService', () => require('../helpers/cacheService').createCacheServiceMock());
+
+const mongoose = require('mongoose');
+const BookmarkController = require('../../src/controllers/bookmarkController');
+const FeedController = require('../../src/controllers/feedController');
+const BlockService = require('../../src/services/blockService');
+const FollowService = require('../../src/services/followService');
+const Bookmark = require('../../src/models/Bookmark');
+const BookmarkCollection = require('../../src/models/BookmarkCollection');
+const Block = require('../../src/models/Block');
+const Post = require('../../src/models/Post');
+const { HTTP_STATUS, ERROR_MESSAGES } = require('../../src/utils/constants');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const makeBookmarks = (count) => Array.from({ length: count }, (_, index) => ({
+  _id: objectId(),
+  createdAt: new Date(Date.UTC(2024, 0, 1) - index * 60000),
+  post: { _id: objectId(), content: `Saved ${index}` }
+}));
+
+describe('BookmarkController', () => {
+  const userId = objectId();
+  const collection = { _id: objectId(), user: userId, name: 'Recipes' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getCollectionPosts', () => {
+    let getCollectionPosts;
+
+    beforeEach(() => {
+      jest.spyOn(BlockService, 'getHiddenAuthorIds').mockResolvedValue([]);
+      jest.spyOn(FollowService, 'getVisiblePostsCondition').mockResolvedValue({});
+      jest.spyOn(Post, 'populate').mockImplementation(async (posts) => posts);
+      jest.spyOn(FeedController, 'enrichPostsWithEngagement').mockImplementation(async (posts) => posts);
+      getCollectionPosts = jest.spyOn(Bookmark, 'getCollectionPosts');
+    });
+
+    const request = (query = {}) => ({
+      params: { id: collection._id.toString() },
+      query: { limit: 2, ...query },
+      user: { _id: userId }
+    });
+
+    it('pages saved posts with a cursor on when they were saved', async () => {
+      jest.spyOn(BookmarkCollection, 'findOne').mockReturnValue(mockQuery(collection));
+      const bookmarks = makeBookmarks(3);
+      getCollectionPosts.mockResolvedValueOnce({ items: bookmarks, total: 5 });
+
+      const res = mockResponse();
+      await BookmarkController.getCollectionPosts(request(), res);
+
+      expect(getCollectionPosts).toHaveBeenCalledWith(collection._id, expect.objectContaining({
+        after: null,
+        limit: 3
+      }));
+
+      const { posts, pagination } = res.json.mock.calls[0][0];
+      expect(posts.map(post => post.savedAt)).toEqual([bookmarks[0].createdAt, bookmarks[1].createdAt]);
+      expect(pagination).toEqual(expect.objectContaining({ totalPosts: 5, hasNextPage: true }));
+
+      getCollectionPosts.mockResolvedValueOnce({ items: [], total: 5 });
+      await BookmarkController.getCollectionPosts(request({ cursor: pagination.nextCursor }), mockResponse());
+
+      const [, { after }] = getCollectionPosts.mock.calls[1];
+      expect(after.$or[0]).toEqual({ createdAt: { $lt: bookmarks[1].createdAt } });
+    });
+
+    it('rejects a cursor from another collection', async () => {
+      jest.spyOn(BookmarkCollection, 'findOne').mockReturnValue(mockQuery(collection));
+      getCollectionPosts.mockResolvedValue({ items: makeBookmarks(3), total: 3 });
+
+      const res = mockResponse();
+      await BookmarkController.getCollectionPosts(request(), res);
+      const { nextCursor } = res.json.mock.calls[0][0].pagination;
+
+      const other = request({ cursor: nextCursor });
+      other.params.id = objectId().toString();
+      const otherRes = mockResponse();
+      await BookmarkController.getCollectionPosts(other, otherRes);
+
+      expect(otherRes.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(otherRes.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Invalid cursor' }));
+    });
+
+    it('hides collections of other users', async () => {
+      jest.spyOn(BookmarkCollection, 'findOne').mockReturnValue(mockQuery(null));
+
+      const res = mockResponse();
+      await BookmarkController.getCollectionPosts(request(), res);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+      expect(getCollectionPosts).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('addPost', () => {
+    const post = { _id: objectId(), author: objectId(), authorIsPrivate: false };
+    const req = {
+      params: { id: collection._id.toString(), postId: post._id.toString() },
+      user: { _id: userId }
+    };
+
+    beforeEach(() => {
+      jest.spyOn(BookmarkCollection, 'findOne').mockResolvedValue(collection);
+      jest.spyOn(Post, 'findOne').mockResolvedValue(post);
+      jest.spyOn(FollowService, 'canViewPost').mockResolvedValue(true);
+    });
+
+    it('saves a visible post and counts it', async () => {
+      jest.spyOn(Block, 'isBlockedEitherWay').mockResolvedValue(false);
+      jest.spyOn(Bookmark, 'create').mockImplementation(async (data) => data);
+      const count = jest.spyOn(BookmarkCollection, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const res = mockResponse();
+      await BookmarkController.addPost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CREATED);
+      expect(count).toHaveBeenCalledWith({ _id: collection._id }, { $inc: { bookmarksCount: 1 } });
+    });
+
+    it('does not save posts from users blocked either way', async () => {
+      jest.spyOn(Block, 'isBlockedEitherWay').mockResolvedValue(true);
+      const create = jest.spyOn(Bookmark, 'create');
+
+      const res = mockResponse();
+      await BookmarkController.addPost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('reports a post already in the collection', async () => {
+      jest.spyOn(Block, 'isBlockedEitherWay').mockResolvedValue(false);
+      jest.spyOn(Bookmark, 'create').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+      const res = mockResponse();
+      await BookmarkController.addPost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: ERROR_MESSAGES.ALREADY_SAVED }));
+    });
+  });
+});
@@ -0,0 +1,119 @@
+jest.mock('../../src/services/cacheService', () => require('../helpers/cacheService').createCacheServiceMock());
+
+const mongoose = require('mongoose');
+const FeedController = require('../../src/controllers/feedController');
+const TimelineService = require('../../src/services/timelineService');
+const Post = require('../../src/models/Post');
+const { toSortFields, getKeyValues, buildKeysetCondition } = require('../../src/utils/cursor');
+
+const objectId = () => new mongoose.Types.ObjectId();
+const start = Date.UTC(2024, 0, 1);
+
+const makePost = (minutesAgo, overrides = {}) => ({
+  _id: objectId(),
+  author: { _id: objectId(), username: 'author' },
+  content: 'Post',
+  tags: [],
+  likesCount: 0,
+  commentsCount: 0,
+  sharesCount: 0,
+  viewsCount: 0,
+  originalPost: null,
+  createdAt: new Date(start - minutesAgo * 60000),
+  ...overrides
+});
+
+describe('FeedController', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getPersonalizedPosts from a timeline', () => {
+    const keyFields = toSortFields({ createdAt: -1 });
+    const timelineKeys = Array.from({ length: 6 }, (_, index) => {
+      const { _id, createdAt } = makePost(index * 10);
+      return { _id, createdAt };
+    });
+
+    let pipeline;
+    let prune;
+
+    beforeEach(() => {
+      jest.spyOn(TimelineService, 'getWindow').mockResolvedValue(timelineKeys);
+      prune = jest.spyOn(TimelineService, 'pruneTimeline').mockResolvedValue();
+      jest.spyOn(Post, 'aggregate').mockImplementation(async (stages) => {
+        pipeline = stages;
+        return [
+          makePost(0, { _id: timelineKeys[0]._id }),
+          // Not in the timeline, e.g. from before the user followed its author
+          makePost(5),
+          makePost(20, { _id: timelineKeys[2]._id })
+        ];
+      });
+    });
+
+    it('reads every matching post down to the oldest timeline entry', async () => {
+      const { posts, nextState } = await FeedController.getPersonalizedPosts(
+        { isActive: true },
+        [],
+        2,
+        { t: start + 60000, src: 'tl' },
+        objectId()
+      );
+
+      const oldestKey = getKeyValues(timelineKeys[5], keyFields);
+      const conditions = pipeline[0].$match.$and;
+      expect(conditions).toContainEqual({ $nor: [buildKeysetCondition(keyFields, oldestKey)] });
+      expect(conditions.some(condition => condition._id)).toBe(false);
+
+      expect(posts).toHaveLength(2);
+      expect(nextState).toEqual(expect.objectContaining({ src: 'tl', we: oldestKey, wf: true }));
+    });
+
+    it('prunes timeline entries whose posts are gone', async () => {
+      await FeedController.getPersonalizedPosts({ isActive: true }, [], 2, { t: start + 60000, src: 'tl' }, 'user1');
+
+      const [userId, stale] = prune.mock.calls[0];
+      expect(userId).toBe('user1');
+      expect(stale.map(id => id.toString())).toEqual(
+        [1, 3, 4, 5].map(index => timelineKeys[index]._id.toString())
+      );
+    });
+  });
+
+  describe('collapseReposts', () => {
+    it('shows a shared post once, preferring the original', async () => {
+      const original = makePost(30);
+      const otherOriginalId = objectId();
+      const repostOfOriginal = makePost(10, { originalPost: original._id });
+      const latestRepost = makePost(20, { originalPost: otherOriginalId });
+      const olderRepost = makePost(40, { originalPost: otherOriginalId });
+
+      jest.spyOn(Post, 'populate').mockImplementation(async (posts) => {
+        posts.forEach(post => {
+          post.originalPost = { _id: post.originalPost, content: 'Shared' };
+        });
+        return posts;
+      });
+
+      const posts = await FeedController.collapseReposts([repostOfOriginal, latestRepost, original, olderRepost]);
+
+      expect(posts.map(post => post._id)).toEqual([latestRepost._id, original._id]);
+      expect(posts[0].originalPost.content).toBe('Shared');
+    });
+
+    it('drops reposts of posts that can no longer be shown', async () => {
+      const post = makePost(0);
+      const repost = makePost(10, { originalPost: objectId() });
+
+      jest.spyOn(Post, 'populate').mockImplementation(async (posts) => {
+        posts.forEach(item => {
+          item.originalPost = null;
+        });
+        return posts;
+      });
+
+      expect(await FeedController.collapseReposts([post, repost])).toEqual([post]);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+jest.mock('../../src/services/cacheService', () => require('../helpers/cacheService').createCacheServiceMock());
+
+const mongoose = require('mongoose');
+const PostController = require('../../src/controllers/postController');
+const FeedController = require('../../src/controllers/feedController');
+const FollowService = require('../../src/services/followService');
+const ViewTrackingService = require('../../src/services/viewTrackingService');
+const Post = require('../../src/models/Post');
+const Block = require('../../src/models/Block');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('PostController', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getPostById', () => {
+    const post = {
+      _id: objectId(),
+      author: { _id: objectId(), username: 'author' },
+      moderationStatus: 'approved',
+      toJSON() {
+        return { _id: this._id, content: 'Hello' };
+      }
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Post, 'findOne').mockReturnValue(mockQuery(post));
+      jest.spyOn(FollowService, 'canViewPost').mockResolvedValue(true);
+      jest.spyOn(Block, 'isBlockedEitherWay').mockResolvedValue(false);
+      jest.spyOn(ViewTrackingService, 'recordImpressions').mockResolvedValue();
+    });
+
+    it('flags the post as neither liked nor saved for anonymous viewers', async () => {
+      const viewerStatus = jest.spyOn(FeedController, 'addViewerStatus');
+      const res = mockResponse();
+
+      await PostController.getPostById({ params: { id: post._id.toString() }, ip: '127.0.0.1' }, res);
+
+      expect(viewerStatus).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        post: { _id: post._id, content: 'Hello', isLiked: false, isSaved: false }
+      }));
+    });
+
+    it('adds the viewer\'s like and saved status for signed-in viewers', async () => {
+      const viewer = { _id: objectId(), hasPermission: () => false };
+      jest.spyOn(FeedController, 'addViewerStatus')
+        .mockImplementation(async (posts) => posts.map(item => ({ ...item, isLiked: true, isSaved: true })));
+      const res = mockResponse();
+
+      await PostController.getPostById({ params: { id: post._id.toString() }, user: viewer }, res);
+
+      expect(FeedController.addViewerStatus).toHaveBeenCalledWith([post.toJSON()], viewer._id);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        post: expect.objectContaining({ isLiked: true, isSaved: true })
+      }));
+    });
+  });
+});
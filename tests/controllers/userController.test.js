@@ -0,0 +1,91 @@
+jest.mock('../../src/services/cacheService', () => require('../helpers/cacheService').createCacheServiceMock());
+
+const mongoose = require('mongoose');
+const UserController = require('../../src/controllers/userController');
+const FeedController = require('../../src/controllers/feedController');
+const BlockService = require('../../src/services/blockService');
+const User = require('../../src/models/User');
+const Block = require('../../src/models/Block');
+const Follow = require('../../src/models/Follow');
+const FollowRequest = require('../../src/models/FollowRequest');
+const Mute = require('../../src/models/Mute');
+const Like = require('../../src/models/Like');
+const { HTTP_STATUS } = require('../../src/utils/constants');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('UserController', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getUserProfile with blocks', () => {
+    const owner = { _id: objectId(), username: 'owner' };
+    const viewer = { _id: objectId(), username: 'viewer' };
+    const req = { params: { username: 'owner' }, user: viewer };
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findOne').mockReturnValue(mockQuery(owner));
+      jest.spyOn(Follow, 'isFollowing').mockResolvedValue(false);
+      jest.spyOn(FollowRequest, 'isPending').mockResolvedValue(false);
+      jest.spyOn(Mute, 'isMuted').mockResolvedValue(false);
+    });
+
+    it('hides the profile of a user who blocked the viewer', async () => {
+      jest.spyOn(Block, 'isBlocking').mockImplementation(async (blocker) => blocker === owner._id);
+      const res = mockResponse();
+
+      await UserController.getUserProfile(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+    });
+
+    it('shows a user the viewer blocked, flagged so they can unblock', async () => {
+      jest.spyOn(Block, 'isBlocking').mockImplementation(async (blocker) => blocker === viewer._id);
+      const res = mockResponse();
+
+      await UserController.getUserProfile(req, res);
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ user: owner, isBlocked: true }));
+    });
+  });
+
+  describe('getLikedPosts', () => {
+    it('leaves out liked posts by authors blocked either way', async () => {
+      const hiddenIds = [objectId()];
+      const likedPost = { _id: objectId(), content: 'Liked' };
+      const likedAt = new Date();
+      const query = mockQuery([
+        { post: { toJSON: () => likedPost }, createdAt: likedAt },
+        // Filtered out by the populate match
+        { post: null, createdAt: likedAt }
+      ]);
+
+      const hidden = jest.spyOn(BlockService, 'getHiddenAuthorIds').mockResolvedValue(hiddenIds);
+      jest.spyOn(Like, 'find').mockReturnValue(query);
+      jest.spyOn(Like, 'countDocuments').mockResolvedValue(2);
+      jest.spyOn(FeedController, 'addViewerStatus').mockImplementation(async (posts) => posts);
+
+      const req = { user: { _id: objectId() }, query: {} };
+      const res = mockResponse();
+
+      await UserController.getLikedPosts(req, res);
+
+      expect(hidden).toHaveBeenCalledWith(req.user._id);
+      const [{ match }] = query.populate.mock.calls[0];
+      expect(match.author).toEqual({ $nin: hiddenIds });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        posts: [{ ...likedPost, likedAt }]
+      }));
+    });
+  });
+});
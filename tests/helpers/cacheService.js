@@ -0,0 +1,19 @@
+// Stand-in for the Redis cache service, so requiring a module never connects to Redis
+const createCacheServiceMock = () => ({
+  isAvailable: jest.fn(() => true),
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => true),
+  delete: jest.fn(async () => true),
+  deletePattern: jest.fn(async () => 0),
+  exists: jest.fn(async () => false),
+  incrementMany: jest.fn(async () => []),
+  publish: jest.fn(async () => true),
+  subscribe: jest.fn(async () => null),
+  sortedSetAddMany: jest.fn(async () => true),
+  sortedSetReplace: jest.fn(async () => true),
+  sortedSetRevRangeByScore: jest.fn(async () => []),
+  sortedSetRemove: jest.fn(async () => 0),
+  close: jest.fn(async () => undefined)
+});
+
+module.exports = { createCacheServiceMock };
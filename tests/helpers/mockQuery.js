@@ -0,0 +1,14 @@
+// Stand-in for a mongoose query: chainable like one and resolving to `result` when awaited
+const mockQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+
+  ['select', 'populate', 'sort', 'skip', 'limit', 'lean', 'distinct'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+
+  return query;
+};
+
+module.exports = { mockQuery };
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const Notification = require('../../src/models/Notification');
+const NotificationActor = require('../../src/models/NotificationActor');
+const { NOTIFICATION_ACTORS_SHOWN } = require('../../src/utils/constants');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+describe('Notification actors', () => {
+  const group = { recipient: objectId(), type: 'like', post: objectId(), comment: null };
+  const notificationId = objectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('addActor', () => {
+    let upsert;
+    let increment;
+
+    beforeEach(() => {
+      upsert = jest.spyOn(Notification, 'findOneAndUpdate')
+        .mockResolvedValue({ _id: notificationId, actorsCount: 1 });
+      increment = jest.spyOn(Notification, 'findByIdAndUpdate')
+        .mockResolvedValue({ _id: notificationId, actorsCount: 2 });
+    });
+
+    it('keeps only the latest actors on the notification', async () => {
+      jest.spyOn(NotificationActor, 'record').mockResolvedValue(true);
+      const actorId = objectId();
+
+      await Notification.addActor(group, actorId);
+
+      const [filter, [stage]] = upsert.mock.calls[0];
+      expect(filter).toEqual({ ...group, isRead: false });
+      expect(stage.$set.actors.$slice[1]).toBe(NOTIFICATION_ACTORS_SHOWN);
+      expect(stage.$set.actors.$slice[0].$concatArrays[0]).toEqual([actorId]);
+    });
+
+    it('counts a new actor', async () => {
+      jest.spyOn(NotificationActor, 'record').mockResolvedValue(true);
+
+      const notification = await Notification.addActor(group, objectId());
+
+      expect(increment).toHaveBeenCalledWith(
+        notificationId,
+        { $inc: { actorsCount: 1 } },
+        expect.objectContaining({ new: true })
+      );
+      expect(notification.actorsCount).toBe(2);
+    });
+
+    it('does not count an actor acting again', async () => {
+      jest.spyOn(NotificationActor, 'record').mockResolvedValue(false);
+
+      const notification = await Notification.addActor(group, objectId());
+
+      expect(increment).not.toHaveBeenCalled();
+      expect(notification.actorsCount).toBe(1);
+    });
+  });
+
+  describe('removeActor', () => {
+    beforeEach(() => {
+      jest.spyOn(Notification, 'findOne').mockResolvedValue({ _id: notificationId });
+    });
+
+    it('uncounts the actor and refills the shown actors', async () => {
+      const others = [objectId(), objectId()];
+      jest.spyOn(NotificationActor, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(NotificationActor, 'getLatestIds').mockResolvedValue(others);
+      const update = jest.spyOn(Notification, 'findByIdAndUpdate')
+        .mockResolvedValue({ _id: notificationId, actorsCount: 2 });
+      const remove = jest.spyOn(Notification, 'deleteOne');
+
+      await Notification.removeActor(group, objectId());
+
+      expect(update).toHaveBeenCalledWith(
+        notificationId,
+        { $set: { actors: others }, $inc: { actorsCount: -1 } },
+        expect.objectContaining({ new: true })
+      );
+      expect(remove).not.toHaveBeenCalled();
+    });
+
+    it('deletes the notification once its last actor is gone', async () => {
+      jest.spyOn(NotificationActor, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(NotificationActor, 'getLatestIds').mockResolvedValue([]);
+      jest.spyOn(Notification, 'findByIdAndUpdate').mockResolvedValue({ _id: notificationId, actorsCount: 0 });
+      const remove = jest.spyOn(Notification, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+      await Notification.removeActor(group, objectId());
+
+      expect(remove).toHaveBeenCalledWith({ _id: notificationId });
+    });
+
+    it('leaves the notification alone when the actor was not in it', async () => {
+      jest.spyOn(NotificationActor, 'deleteOne').mockResolvedValue({ deletedCount: 0 });
+      const update = jest.spyOn(Notification, 'findByIdAndUpdate');
+
+      expect(await Notification.removeActor(group, objectId())).toBeNull();
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Post = require('../../src/models/Post');
+const { MAX_TAGS_PER_POST } = require('../../src/utils/constants');
+
+const makePost = (fields) => new Post({ author: new mongoose.Types.ObjectId(), ...fields });
+
+const hashtags = (count) => Array.from({ length: count }, (_, index) => `#tag${index}`).join(' ');
+
+describe('Post tags', () => {
+  it('adds hashtags after explicit tags, each tag once', async () => {
+    const post = makePost({ content: 'Dinner #Pasta #food', tags: ['food', 'Food', 'italian'] });
+
+    await post.validate();
+
+    expect(post.explicitTags).toEqual(['food', 'italian']);
+    expect(post.tags).toEqual(['food', 'italian', 'pasta']);
+  });
+
+  it('counts repeated tags once towards the limit', async () => {
+    const post = makePost({ content: 'Hi #same', tags: Array(MAX_TAGS_PER_POST + 1).fill('same') });
+
+    await post.validate();
+
+    expect(post.tags).toEqual(['same']);
+  });
+
+  it('rejects too many distinct tags, whether explicit or hashtags', async () => {
+    const fromHashtags = makePost({ content: hashtags(MAX_TAGS_PER_POST + 1) });
+    await expect(fromHashtags.validate()).rejects.toThrow(`Cannot have more than ${MAX_TAGS_PER_POST} tags per post`);
+
+    const mixed = makePost({
+      content: hashtags(MAX_TAGS_PER_POST / 2 + 1),
+      tags: Array.from({ length: MAX_TAGS_PER_POST / 2 }, (_, index) => `other${index}`)
+    });
+    await expect(mixed.validate()).rejects.toThrow(mongoose.Error.ValidationError);
+  });
+
+  it('accepts exactly the limit across explicit tags and hashtags', async () => {
+    const post = makePost({
+      content: hashtags(MAX_TAGS_PER_POST / 2),
+      tags: Array.from({ length: MAX_TAGS_PER_POST / 2 }, (_, index) => `other${index}`)
+    });
+
+    await post.validate();
+
+    expect(post.tags).toHaveLength(MAX_TAGS_PER_POST);
+  });
+
+  describe('editing content', () => {
+    const stored = (fields) => Post.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      author: new mongoose.Types.ObjectId(),
+      content: 'Old #pasta',
+      tags: ['food', 'pasta'],
+      entities: { hashtags: [{ tag: 'pasta', start: 4, end: 10 }], mentions: [] },
+      ...fields
+    });
+
+    it('replaces the old hashtags and keeps explicit tags', async () => {
+      const post = stored({ explicitTags: ['food', 'pasta'] });
+
+      post.content = 'New #pizza';
+      await post.validate();
+
+      expect(post.tags).toEqual(['food', 'pasta', 'pizza']);
+      expect(post.entities.hashtags.map(hashtag => hashtag.tag)).toEqual(['pizza']);
+    });
+
+    it('works out the explicit tags of posts saved without them', async () => {
+      const post = stored({});
+
+      post.content = 'New #pizza';
+      await post.validate();
+
+      expect(post.explicitTags).toEqual(['food']);
+      expect(post.tags).toEqual(['food', 'pizza']);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+jest.mock('../../src/services/cacheService', () => require('../helpers/cacheService').createCacheServiceMock());
+
+const mongoose = require('mongoose');
+const cacheService = require('../../src/services/cacheService');
+const BlockService = require('../../src/services/blockService');
+const FollowService = require('../../src/services/followService');
+const Block = require('../../src/models/Block');
+const Mute = require('../../src/models/Mute');
+const FollowRequest = require('../../src/models/FollowRequest');
+const { CACHE_KEYS } = require('../../src/utils/constants');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+describe('BlockService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('blockUser', () => {
+    it('cuts follows and follow requests in both directions', async () => {
+      const [blockerId, blockedId] = [objectId(), objectId()];
+      jest.spyOn(Block, 'create').mockImplementation(async (data) => data);
+      const removeFollow = jest.spyOn(FollowService, 'removeFollow').mockResolvedValue(null);
+      const deleteRequests = jest.spyOn(FollowRequest, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+      const block = await BlockService.blockUser(blockerId, blockedId);
+
+      expect(block).toEqual({ blocker: blockerId, blocked: blockedId });
+      expect(removeFollow).toHaveBeenCalledWith(blockerId, blockedId);
+      expect(removeFollow).toHaveBeenCalledWith(blockedId, blockerId);
+      expect(deleteRequests).toHaveBeenCalledWith({
+        $or: [
+          { requester: blockerId, target: blockedId },
+          { requester: blockedId, target: blockerId }
+        ]
+      });
+      expect(cacheService.deletePattern).toHaveBeenCalledWith(`${CACHE_KEYS.USER_FEED(blockerId)}*`);
+      expect(cacheService.deletePattern).toHaveBeenCalledWith(`${CACHE_KEYS.USER_FEED(blockedId)}*`);
+    });
+  });
+
+  describe('getHiddenAuthorIds', () => {
+    const userId = objectId();
+    const blockedByUser = objectId();
+    const blockedUser = objectId();
+    const mutedUser = objectId();
+
+    beforeEach(() => {
+      jest.spyOn(Block, 'find').mockReturnValue(mockQuery([
+        { blocker: userId, blocked: blockedUser },
+        { blocker: blockedByUser, blocked: userId }
+      ]));
+      jest.spyOn(Mute, 'find').mockReturnValue(mockQuery([{ muted: mutedUser }]));
+    });
+
+    it('hides users blocked in either direction', async () => {
+      expect(await BlockService.getHiddenAuthorIds(userId)).toEqual([blockedUser, blockedByUser]);
+      expect(Mute.find).not.toHaveBeenCalled();
+    });
+
+    it('adds muted users for feeds', async () => {
+      expect(await BlockService.getHiddenAuthorIds(userId, { includeMuted: true }))
+        .toEqual([blockedUser, blockedByUser, mutedUser]);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+jest.mock('../../src/services/cacheService', () => require('../helpers/cacheService').createCacheServiceMock());
+
+const mongoose = require('mongoose');
+const FollowService = require('../../src/services/followService');
+const Follow = require('../../src/models/Follow');
+const FollowRequest = require('../../src/models/FollowRequest');
+const Post = require('../../src/models/Post');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const makeUser = (isPrivate = false) => ({
+  _id: objectId(),
+  username: 'someone',
+  preferences: { isPrivate }
+});
+
+describe('FollowService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('canViewContent', () => {
+    it('lets anyone see a public account', async () => {
+      expect(await FollowService.canViewContent(null, makeUser())).toBe(true);
+    });
+
+    it('limits a private account to itself and its followers', async () => {
+      const owner = makeUser(true);
+      const isFollowing = jest.spyOn(Follow, 'isFollowing');
+
+      expect(await FollowService.canViewContent(null, owner)).toBe(false);
+      expect(await FollowService.canViewContent(owner, owner)).toBe(true);
+
+      isFollowing.mockResolvedValueOnce(true);
+      expect(await FollowService.canViewContent(makeUser(), owner)).toBe(true);
+
+      isFollowing.mockResolvedValueOnce(false);
+      expect(await FollowService.canViewContent(makeUser(), owner)).toBe(false);
+    });
+  });
+
+  describe('canViewPost', () => {
+    it('checks the follow on posts from private accounts, populated or not', async () => {
+      const author = makeUser(true);
+      const viewer = makeUser();
+      const isFollowing = jest.spyOn(Follow, 'isFollowing').mockResolvedValue(false);
+
+      expect(await FollowService.canViewPost({ authorIsPrivate: false, author: author._id }, null)).toBe(true);
+      expect(await FollowService.canViewPost({ authorIsPrivate: true, author: author._id }, null)).toBe(false);
+      expect(await FollowService.canViewPost({ authorIsPrivate: true, author }, viewer)).toBe(false);
+      expect(await FollowService.canViewPost({ authorIsPrivate: true, author }, author)).toBe(true);
+      expect(isFollowing).toHaveBeenCalledWith(viewer._id, author._id);
+    });
+  });
+
+  describe('getVisiblePostsCondition', () => {
+    it('allows public posts plus the viewer\'s own and followed accounts\' posts', async () => {
+      const viewerId = objectId();
+      const followingIds = [objectId(), objectId()];
+      jest.spyOn(Follow, 'getFollowingIds').mockResolvedValue(followingIds);
+
+      expect(await FollowService.getVisiblePostsCondition(viewerId)).toEqual({
+        $or: [
+          { authorIsPrivate: { $ne: true } },
+          { author: { $in: [viewerId, ...followingIds] } }
+        ]
+      });
+    });
+  });
+
+  describe('applyPrivacySetting', () => {
+    it('marks the user\'s posts and keeps requests pending when going private', async () => {
+      const user = makeUser(true);
+      const updatePosts = jest.spyOn(Post, 'updateMany').mockResolvedValue({ modifiedCount: 4 });
+      const findRequests = jest.spyOn(FollowRequest, 'find');
+
+      expect(await FollowService.applyPrivacySetting(user, true)).toBe(0);
+      expect(updatePosts).toHaveBeenCalledWith(
+        { author: user._id, authorIsPrivate: { $ne: true } },
+        { authorIsPrivate: true }
+      );
+      expect(findRequests).not.toHaveBeenCalled();
+    });
+
+    it('accepts every pending request when going public', async () => {
+      const user = makeUser();
+      const requests = [{ _id: objectId(), requester: objectId() }, { _id: objectId(), requester: objectId() }];
+      jest.spyOn(Post, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(FollowRequest, 'find').mockResolvedValue(requests);
+      const approve = jest.spyOn(FollowService, 'approveRequest')
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(false);
+
+      expect(await FollowService.applyPrivacySetting(user, false)).toBe(1);
+      expect(approve).toHaveBeenCalledWith(requests[0], user);
+      expect(approve).toHaveBeenCalledWith(requests[1], user);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('../../src/services/cacheService', () => require('../helpers/cacheService').createCacheServiceMock());
+
+const mongoose = require('mongoose');
+const ModerationService = require('../../src/services/moderationService');
+const TokenService = require('../../src/services/tokenService');
+const MailService = require('../../src/services/mailService');
+const Post = require('../../src/models/Post');
+const Report = require('../../src/models/Report');
+const User = require('../../src/models/User');
+const AuditLog = require('../../src/models/AuditLog');
+const { REPORT_HIDE_THRESHOLD, DAY_IN_MS } = require('../../src/utils/constants');
+
+const makePost = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  author: new mongoose.Types.ObjectId(),
+  isActive: true,
+  moderationStatus: 'none',
+  save: jest.fn(),
+  ...overrides
+});
+
+describe('ModerationService', () => {
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'record').mockResolvedValue();
+    jest.spyOn(MailService, 'send').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('reportPost', () => {
+    let hold;
+
+    beforeEach(() => {
+      jest.spyOn(Report, 'create').mockImplementation(async (data) => data);
+      hold = jest.spyOn(Post, 'updateOne');
+    });
+
+    it('holds a post for review once it reaches the report threshold', async () => {
+      const post = makePost();
+      jest.spyOn(Post, 'findByIdAndUpdate').mockResolvedValue({ reportCount: REPORT_HIDE_THRESHOLD });
+      hold.mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await ModerationService.reportPost(post, 'reporter', { reason: 'spam' });
+
+      expect(hold).toHaveBeenCalledWith(
+        {
+          _id: post._id,
+          moderationStatus: 'none',
+          reportCount: { $gte: REPORT_HIDE_THRESHOLD }
+        },
+        { moderationStatus: 'pending' }
+      );
+      expect(result).toEqual(expect.objectContaining({
+        reportCount: REPORT_HIDE_THRESHOLD,
+        heldForReview: true
+      }));
+    });
+
+    it('leaves posts below the threshold or already reviewed visible', async () => {
+      jest.spyOn(Post, 'findByIdAndUpdate').mockResolvedValue({ reportCount: 1 });
+      hold.mockResolvedValue({ modifiedCount: 0 });
+
+      const result = await ModerationService.reportPost(makePost(), 'reporter', { reason: 'spam' });
+
+      expect(result.heldForReview).toBe(false);
+    });
+  });
+
+  describe('resolvePost', () => {
+    let closeReports;
+
+    beforeEach(() => {
+      closeReports = jest.spyOn(Report, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+    });
+
+    it('approves a dismissed post and dismisses its reports', async () => {
+      const post = makePost({ moderationStatus: 'pending' });
+
+      const result = await ModerationService.resolvePost(post, 'dismiss', { moderator: 'mod' });
+
+      expect(post.moderationStatus).toBe('approved');
+      expect(post.save).toHaveBeenCalled();
+      expect(closeReports).toHaveBeenCalledWith(
+        { post: post._id, status: 'open' },
+        expect.objectContaining({ status: 'dismissed' })
+      );
+      expect(result.resolvedReports).toBe(3);
+    });
+
+    it('hides the post and suspends its author, ending their sessions', async () => {
+      const post = makePost({ moderationStatus: 'pending' });
+      const author = {
+        _id: post.author,
+        warningsCount: 0,
+        suspendedUntil: null,
+        save: jest.fn()
+      };
+      jest.spyOn(User, 'findById').mockResolvedValue(author);
+      const revoke = jest.spyOn(TokenService, 'revokeOtherSessions').mockResolvedValue(2);
+
+      const before = Date.now();
+      const result = await ModerationService.resolvePost(post, 'suspend', { moderator: 'mod', suspendDays: 3 });
+
+      expect(post.moderationStatus).toBe('hidden');
+      expect(closeReports).toHaveBeenCalledWith(
+        { post: post._id, status: 'open' },
+        expect.objectContaining({ status: 'resolved' })
+      );
+      expect(author.suspendedUntil.getTime()).toBeGreaterThanOrEqual(before + 3 * DAY_IN_MS);
+      expect(revoke).toHaveBeenCalledWith(author._id, null, 'revoked');
+      expect(result.author).toBe(author);
+    });
+
+    it('counts a warning without suspending', async () => {
+      const post = makePost();
+      const author = { _id: post.author, warningsCount: 1, suspendedUntil: null, save: jest.fn() };
+      jest.spyOn(User, 'findById').mockResolvedValue(author);
+      const revoke = jest.spyOn(TokenService, 'revokeOtherSessions');
+
+      await ModerationService.resolvePost(post, 'warn', { moderator: 'mod' });
+
+      expect(author.warningsCount).toBe(2);
+      expect(author.suspendedUntil).toBeNull();
+      expect(revoke).not.toHaveBeenCalled();
+    });
+  });
+});
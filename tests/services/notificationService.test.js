@@ -0,0 +1,43 @@
+// Keep Redis out of unit tests
+jest.mock('../../src/services/realtimeService', () => ({
+  sendToUser: jest.fn()
+}));
+
+const NotificationService = require('../../src/services/notificationService');
+
+const notification = (type, usernames, actorsCount) => ({
+  type,
+  actors: usernames.map(username => ({ username })),
+  actorsCount
+});
+
+describe('NotificationService.summarize', () => {
+  it('names a single actor', () => {
+    expect(NotificationService.summarize(notification('follow', ['alice'], 1)))
+      .toBe('alice started following you');
+  });
+
+  it('counts one other actor in the singular', () => {
+    expect(NotificationService.summarize(notification('comment', ['alice', 'bob'], 2)))
+      .toBe('alice and 1 other commented on your post');
+  });
+
+  it('counts actors beyond those shown', () => {
+    expect(NotificationService.summarize(notification('like', ['alice', 'bob', 'carol'], 13)))
+      .toBe('alice and 12 others liked your post');
+  });
+
+  it('describes every notification type', () => {
+    expect(NotificationService.summarize(notification('reply', ['alice'], 1)))
+      .toBe('alice replied to your comment');
+    expect(NotificationService.summarize(notification('follow_request', ['alice'], 1)))
+      .toBe('alice asked to follow you');
+    expect(NotificationService.summarize(notification('mention', ['alice'], 1)))
+      .toBe('alice mentioned you in a post');
+  });
+
+  it('falls back when no actor could be loaded', () => {
+    expect(NotificationService.summarize(notification('like', [], 3)))
+      .toBe('Someone and 2 others liked your post');
+  });
+});
@@ -0,0 +1,97 @@
+jest.mock('../../src/services/cacheService', () => require('../helpers/cacheService').createCacheServiceMock());
+
+const mongoose = require('mongoose');
+const PostService = require('../../src/services/postService');
+const TimelineService = require('../../src/services/timelineService');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const Media = require('../../src/models/Media');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+describe('PostService drafts', () => {
+  let fanOut;
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+    fanOut = jest.spyOn(TimelineService, 'fanOutPost').mockResolvedValue(0);
+    jest.spyOn(PostService, 'notifyMentions').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('publishDraft', () => {
+    it('claims the draft, dates it from now and announces it', async () => {
+      const authorId = objectId();
+      const draft = new Post({
+        author: authorId,
+        content: 'Hello',
+        status: 'published',
+        createdAt: new Date(Date.UTC(2024, 0, 1))
+      });
+      jest.spyOn(draft, 'save').mockResolvedValue(draft);
+      const claim = jest.spyOn(Post, 'findOneAndUpdate').mockResolvedValue(draft);
+
+      const before = Date.now();
+      const post = await PostService.publishDraft({ _id: draft._id, author: authorId });
+
+      expect(claim).toHaveBeenCalledWith(
+        { status: { $in: ['draft', 'scheduled'] }, _id: draft._id, author: authorId },
+        { status: 'published', isActive: true, publishAt: null },
+        { new: true }
+      );
+      expect(post.createdAt.getTime()).toBeGreaterThanOrEqual(before);
+      expect(draft.save).toHaveBeenCalled();
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(authorId, { $inc: { postsCount: 1 } });
+      expect(fanOut).toHaveBeenCalledWith(draft);
+    });
+
+    it('does nothing when the post was already published or removed', async () => {
+      jest.spyOn(Post, 'findOneAndUpdate').mockResolvedValue(null);
+
+      expect(await PostService.publishDraft({ _id: objectId() })).toBeNull();
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(fanOut).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('publishDuePosts', () => {
+    it('publishes due posts except those of suspended authors', async () => {
+      const [activeAuthor, suspendedAuthor] = [objectId(), objectId()];
+      const duePosts = [
+        { _id: objectId(), author: activeAuthor },
+        { _id: objectId(), author: suspendedAuthor },
+        { _id: objectId(), author: activeAuthor }
+      ];
+      jest.spyOn(Post, 'find').mockReturnValue(mockQuery(duePosts));
+      jest.spyOn(User, 'find').mockReturnValue(mockQuery([suspendedAuthor]));
+      const publish = jest.spyOn(PostService, 'publishDraft')
+        .mockResolvedValueOnce({ _id: duePosts[0]._id })
+        // Turned back into a draft since the lookup
+        .mockResolvedValueOnce(null);
+
+      expect(await PostService.publishDuePosts()).toBe(1);
+      expect(publish).toHaveBeenCalledTimes(2);
+      expect(publish).toHaveBeenCalledWith(expect.objectContaining({
+        _id: duePosts[0]._id,
+        status: 'scheduled'
+      }));
+      expect(publish).not.toHaveBeenCalledWith(expect.objectContaining({ _id: duePosts[1]._id }));
+    });
+  });
+
+  describe('discardDraft', () => {
+    it('deletes the draft and releases its uploads', async () => {
+      const draft = { _id: objectId(), deleteOne: jest.fn() };
+      const release = jest.spyOn(Media, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+      await PostService.discardDraft(draft);
+
+      expect(draft.deleteOne).toHaveBeenCalled();
+      expect(release).toHaveBeenCalledWith({ post: draft._id }, { post: null });
+    });
+  });
+});
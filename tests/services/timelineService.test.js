@@ -0,0 +1,121 @@
+jest.mock('../../src/services/cacheService', () => require('../helpers/cacheService').createCacheServiceMock());
+
+const mongoose = require('mongoose');
+const cacheService = require('../../src/services/cacheService');
+const TimelineService = require('../../src/services/timelineService');
+const PersonalizationService = require('../../src/services/personalizationService');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const Follow = require('../../src/models/Follow');
+const { CACHE_KEYS, CELEBRITY_FOLLOWER_THRESHOLD } = require('../../src/utils/constants');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const makePost = (overrides = {}) => ({
+  _id: objectId(),
+  author: objectId(),
+  tags: [],
+  authorIsPrivate: false,
+  originalPost: null,
+  createdAt: new Date(Date.UTC(2024, 0, 1)),
+  ...overrides
+});
+
+describe('TimelineService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('fanOutPost', () => {
+    const followers = [objectId(), objectId()];
+
+    beforeEach(() => {
+      jest.spyOn(Follow, 'find').mockReturnValue(
+        mockQuery(followers.map(follower => ({ follower })))
+      );
+    });
+
+    it('only adds the post to timelines that already exist', async () => {
+      const post = makePost();
+      jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ _id: post.author, followersCount: 2 }));
+
+      const pushed = await TimelineService.fanOutPost(post);
+
+      expect(pushed).toBe(2);
+      expect(cacheService.sortedSetAddMany).toHaveBeenCalledWith(
+        followers.map(id => CACHE_KEYS.USER_TIMELINE(id.toString())),
+        [{ score: post.createdAt.getTime(), value: post._id.toString() }],
+        expect.objectContaining({ existingOnly: true })
+      );
+    });
+
+    it('fans out reposts like any other post', async () => {
+      const repost = makePost({ originalPost: objectId() });
+      jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ _id: repost.author, followersCount: 2 }));
+
+      expect(await TimelineService.fanOutPost(repost)).toBe(2);
+      expect(cacheService.sortedSetAddMany).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves celebrity posts to be merged at read time', async () => {
+      const post = makePost();
+      jest.spyOn(User, 'findById').mockReturnValue(
+        mockQuery({ _id: post.author, followersCount: CELEBRITY_FOLLOWER_THRESHOLD })
+      );
+
+      expect(await TimelineService.fanOutPost(post)).toBe(0);
+      expect(Follow.find).not.toHaveBeenCalled();
+      expect(cacheService.sortedSetAddMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('addAuthorToTimeline', () => {
+    it('does not create a timeline for a user who has none', async () => {
+      const author = { _id: objectId(), followersCount: 1 };
+      jest.spyOn(Post, 'find').mockReturnValue(mockQuery([makePost({ author: author._id })]));
+
+      await TimelineService.addAuthorToTimeline('user1', author);
+
+      expect(cacheService.sortedSetAddMany).toHaveBeenCalledWith(
+        [CACHE_KEYS.USER_TIMELINE('user1')],
+        expect.any(Array),
+        expect.objectContaining({ existingOnly: true })
+      );
+    });
+  });
+
+  describe('rebuildTimeline and getWindow', () => {
+    beforeEach(() => {
+      jest.spyOn(Follow, 'getFollowingIds').mockResolvedValue([]);
+      jest.spyOn(User, 'find').mockReturnValue(mockQuery([]));
+      jest.spyOn(PersonalizationService, 'getUserPreferredTags').mockResolvedValue([]);
+    });
+
+    it('keeps an empty timeline instead of dropping it', async () => {
+      jest.spyOn(Post, 'find').mockReturnValue(mockQuery([]));
+
+      expect(await TimelineService.rebuildTimeline('user1')).toBe(0);
+
+      const [key, entries] = cacheService.sortedSetReplace.mock.calls[0];
+      expect(key).toBe(CACHE_KEYS.USER_TIMELINE('user1'));
+      expect(entries).toHaveLength(1);
+    });
+
+    it('reads rebuilt timelines without the empty-timeline marker', async () => {
+      const posts = [makePost(), makePost({ createdAt: new Date(Date.UTC(2023, 11, 31)) })];
+      jest.spyOn(Post, 'find').mockReturnValue(mockQuery(posts));
+
+      await TimelineService.rebuildTimeline('user1');
+      const [, entries] = cacheService.sortedSetReplace.mock.calls[0];
+      cacheService.sortedSetRevRangeByScore.mockResolvedValueOnce(
+        [...entries].sort((a, b) => b.score - a.score)
+      );
+
+      const keys = await TimelineService.getWindow('user1', { size: 10, snapshot: Date.now() });
+
+      expect(keys.map(key => key._id.toString())).toEqual(posts.map(post => post._id.toString()));
+    });
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock('../../src/services/cacheService', () => require('../helpers/cacheService').createCacheServiceMock());
+
+const mongoose = require('mongoose');
+const cacheService = require('../../src/services/cacheService');
+const TokenService = require('../../src/services/tokenService');
+const { RefreshTokenError } = require('../../src/services/tokenService');
+const RefreshToken = require('../../src/models/RefreshToken');
+const Session = require('../../src/models/Session');
+const User = require('../../src/models/User');
+const { CACHE_KEYS } = require('../../src/utils/constants');
+const { mockQuery } = require('../helpers/mockQuery');
+
+const makeStoredToken = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: new mongoose.Types.ObjectId(),
+  family: 'session-1',
+  revokedAt: null,
+  usedAt: null,
+  expiresAt: new Date(Date.now() + 60000),
+  ...overrides
+});
+
+describe('TokenService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('rotateRefreshToken', () => {
+    let sessionUpdates;
+
+    beforeEach(() => {
+      sessionUpdates = jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(RefreshToken, 'revokeFamily').mockResolvedValue();
+    });
+
+    it('exchanges a token for a new one in the same session', async () => {
+      const stored = makeStoredToken();
+      const claimed = { ...stored, save: jest.fn() };
+      const user = {
+        _id: stored.user,
+        isSuspended: () => false,
+        generateToken: jest.fn(() => 'access-token')
+      };
+
+      jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(stored);
+      const claim = jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(claimed);
+      jest.spyOn(User, 'findById').mockReturnValue(mockQuery(user));
+      jest.spyOn(RefreshToken, 'create').mockImplementation(async (data) => data);
+
+      const result = await TokenService.rotateRefreshToken('old-token');
+
+      expect(claim).toHaveBeenCalledWith(
+        { _id: stored._id, usedAt: null, revokedAt: null },
+        expect.objectContaining({ usedAt: expect.any(Date) }),
+        { new: true }
+      );
+      expect(result.refreshToken).not.toBe('old-token');
+      expect(result.sessionId).toBe('session-1');
+      expect(user.generateToken).toHaveBeenCalledWith('session-1');
+      expect(claimed.replacedBy).toBe(RefreshToken.hashToken(result.refreshToken));
+      expect(claimed.save).toHaveBeenCalled();
+    });
+
+    it('revokes the whole session when a used token comes back', async () => {
+      jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(makeStoredToken({ usedAt: new Date() }));
+      jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(TokenService.rotateRefreshToken('copied-token'))
+        .rejects.toThrow('Refresh token reuse detected');
+
+      expect(sessionUpdates).toHaveBeenCalledWith(
+        { sessionId: 'session-1', revokedAt: null },
+        expect.objectContaining({ revokedReason: 'reuse' })
+      );
+      expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('session-1', 'reuse');
+      expect(cacheService.set).toHaveBeenCalledWith(
+        CACHE_KEYS.REVOKED_SESSION('session-1'),
+        'reuse',
+        expect.any(Number)
+      );
+    });
+
+    it('rejects unknown, revoked and expired tokens', async () => {
+      const findOne = jest.spyOn(RefreshToken, 'findOne');
+
+      findOne.mockResolvedValueOnce(null);
+      await expect(TokenService.rotateRefreshToken('unknown')).rejects.toThrow(RefreshTokenError);
+
+      findOne.mockResolvedValueOnce(makeStoredToken({ revokedAt: new Date() }));
+      await expect(TokenService.rotateRefreshToken('revoked')).rejects.toThrow('Session has been revoked');
+
+      findOne.mockResolvedValueOnce(makeStoredToken({ expiresAt: new Date(Date.now() - 1000) }));
+      await expect(TokenService.rotateRefreshToken('expired')).rejects.toThrow('Refresh token has expired');
+    });
+  });
+
+  describe('isSessionRevoked', () => {
+    it('checks the denylist while the cache is available', async () => {
+      cacheService.exists.mockResolvedValueOnce(true);
+      const lookup = jest.spyOn(Session, 'findOne');
+
+      expect(await TokenService.isSessionRevoked('session-1')).toBe(true);
+      expect(cacheService.exists).toHaveBeenCalledWith(CACHE_KEYS.REVOKED_SESSION('session-1'));
+      expect(lookup).not.toHaveBeenCalled();
+    });
+
+    it('falls back to the session while the cache is unavailable', async () => {
+      cacheService.isAvailable.mockReturnValue(false);
+      const lookup = jest.spyOn(Session, 'findOne');
+
+      lookup.mockReturnValueOnce(mockQuery({ revokedAt: new Date() }));
+      expect(await TokenService.isSessionRevoked('session-1')).toBe(true);
+
+      lookup.mockReturnValueOnce(mockQuery({ revokedAt: null }));
+      expect(await TokenService.isSessionRevoked('session-1')).toBe(false);
+
+      lookup.mockReturnValueOnce(mockQuery(null));
+      expect(await TokenService.isSessionRevoked('session-1')).toBe(true);
+
+      expect(lookup).toHaveBeenCalledWith({ sessionId: 'session-1' }, 'revokedAt');
+      expect(cacheService.exists).not.toHaveBeenCalled();
+
+      cacheService.isAvailable.mockReturnValue(true);
+    });
+  });
+});
@@ -0,0 +1,4 @@
+// Environment for tests; set before any module reads it
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.CURSOR_SECRET = process.env.CURSOR_SECRET || 'test-cursor-secret';
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const {
+  InvalidCursorError,
+  encodeCursor,
+  decodeCursor,
+  fingerprint,
+  toSortFields,
+  getKeyValues,
+  buildKeysetCondition,
+  fromKeyValues,
+  packIds,
+  unpackIds,
+  keysetPagination
+} = require('../../src/utils/cursor');
+const { CURSOR_MAX_AGE_MS } = require('../../src/utils/constants');
+
+const makePosts = (count) => Array.from({ length: count }, (_, index) => ({
+  _id: new mongoose.Types.ObjectId(),
+  likesCount: 100 - index,
+  createdAt: new Date(Date.UTC(2024, 0, 1) - index * 60000)
+}));
+
+// Swap one character of a base64url string for another valid one
+const flipChar = (value, index) => {
+  const replacement = value[index] === 'A' ? 'B' : 'A';
+  return value.slice(0, index) + replacement + value.slice(index + 1);
+};
+
+describe('cursor utils', () => {
+  describe('encodeCursor / decodeCursor', () => {
+    const expected = { mode: 'general', fingerprint: fingerprint({ sortBy: 'recent' }) };
+    const payload = { m: 'general', q: expected.fingerprint, k: [1, 2] };
+
+    it('round-trips a signed payload', () => {
+      const cursor = encodeCursor(payload);
+      const decoded = decodeCursor(cursor, expected);
+
+      expect(decoded.k).toEqual([1, 2]);
+      expect(typeof decoded.iat).toBe('number');
+    });
+
+    it('rejects a cursor whose payload was tampered with', () => {
+      const [data, signature] = encodeCursor(payload).split('.');
+      const forged = Buffer.from(JSON.stringify({ ...payload, k: [999, 2], iat: Date.now() }))
+        .toString('base64url');
+
+      expect(() => decodeCursor(`${forged}.${signature}`, expected)).toThrow(InvalidCursorError);
+      expect(() => decodeCursor(`${flipChar(data, 5)}.${signature}`, expected)).toThrow(InvalidCursorError);
+    });
+
+    it('rejects a cursor with a tampered or missing signature', () => {
+      const [data, signature] = encodeCursor(payload).split('.');
+
+      expect(() => decodeCursor(`${data}.${flipChar(signature, 0)}`, expected)).toThrow(InvalidCursorError);
+      expect(() => decodeCursor(`${data}.${signature.slice(1)}`, expected)).toThrow(InvalidCursorError);
+      expect(() => decodeCursor(data, expected)).toThrow(InvalidCursorError);
+    });
+
+    it('rejects malformed cursors', () => {
+      expect(() => decodeCursor(undefined, expected)).toThrow(InvalidCursorError);
+      expect(() => decodeCursor(42, expected)).toThrow(InvalidCursorError);
+      expect(() => decodeCursor('not-a-cursor', expected)).toThrow(InvalidCursorError);
+    });
+
+    it('rejects a cursor issued for another endpoint', () => {
+      const cursor = encodeCursor({ ...payload, m: 'following' });
+
+      expect(() => decodeCursor(cursor, expected)).toThrow('Cursor does not match this request');
+    });
+
+    it('rejects a cursor issued for other filters', () => {
+      const cursor = encodeCursor({ ...payload, q: fingerprint({ sortBy: 'popular' }) });
+
+      expect(() => decodeCursor(cursor, expected)).toThrow('Cursor does not match this request');
+    });
+
+    it('rejects an expired cursor', () => {
+      const cursor = encodeCursor({ ...payload, iat: Date.now() - CURSOR_MAX_AGE_MS - 1000 });
+
+      expect(() => decodeCursor(cursor, expected)).toThrow('Cursor has expired');
+    });
+  });
+
+  describe('fingerprint', () => {
+    it('ignores key order and treats undefined as null', () => {
+      expect(fingerprint({ a: 1, b: 'x' })).toBe(fingerprint({ b: 'x', a: 1 }));
+      expect(fingerprint({ a: undefined })).toBe(fingerprint({ a: null }));
+    });
+
+    it('differs for different filter values', () => {
+      expect(fingerprint({ tags: ['a'] })).not.toBe(fingerprint({ tags: ['b'] }));
+    });
+  });
+
+  describe('toSortFields', () => {
+    it('tie-breaks on _id in the direction of the last sort field', () => {
+      expect(toSortFields({ likesCount: -1, createdAt: -1 }))
+        .toEqual([['likesCount', -1], ['createdAt', -1], ['_id', -1]]);
+      expect(toSortFields({ createdAt: 1 })).toEqual([['createdAt', 1], ['_id', 1]]);
+    });
+
+    it('does not repeat an explicit _id sort', () => {
+      expect(toSortFields({ createdAt: -1, _id: -1 })).toEqual([['createdAt', -1], ['_id', -1]]);
+    });
+  });
+
+  describe('buildKeysetCondition', () => {
+    const sortFields = toSortFields({ likesCount: -1, createdAt: -1 });
+    const [post] = makePosts(1);
+    const keyValues = getKeyValues(post, sortFields);
+
+    it('selects items strictly after the last key, field by field', () => {
+      expect(buildKeysetCondition(sortFields, keyValues)).toEqual({
+        $or: [
+          { likesCount: { $lt: post.likesCount } },
+          { likesCount: post.likesCount, createdAt: { $lt: post.createdAt } },
+          { likesCount: post.likesCount, createdAt: post.createdAt, _id: { $lt: post._id } }
+        ]
+      });
+    });
+
+    it('uses $gt for ascending sorts', () => {
+      const ascending = toSortFields({ createdAt: 1 });
+      const condition = buildKeysetCondition(ascending, getKeyValues(post, ascending));
+
+      expect(condition.$or[0]).toEqual({ createdAt: { $gt: post.createdAt } });
+      expect(condition.$or[1]).toEqual({ createdAt: post.createdAt, _id: { $gt: post._id } });
+    });
+
+    it('rejects key values that do not fit the sort', () => {
+      expect(() => buildKeysetCondition(sortFields, keyValues.slice(1))).toThrow(InvalidCursorError);
+      expect(() => buildKeysetCondition(sortFields, 'nope')).toThrow(InvalidCursorError);
+      expect(() => buildKeysetCondition(sortFields, [1, { x: 1 }, 2])).toThrow(InvalidCursorError);
+      expect(() => buildKeysetCondition(sortFields, [1, { d: 1 }, { o: 'zz' }])).toThrow(InvalidCursorError);
+    });
+
+    it('restores dates and ObjectIds from serialized key values', () => {
+      const restored = fromKeyValues(sortFields, JSON.parse(JSON.stringify(keyValues)));
+
+      expect(restored.createdAt).toBeInstanceOf(Date);
+      expect(restored.createdAt.getTime()).toBe(post.createdAt.getTime());
+      expect(restored._id).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(restored._id.equals(post._id)).toBe(true);
+    });
+  });
+
+  describe('keysetPagination', () => {
+    const options = {
+      mode: 'trending',
+      filters: { timeframe: 24 },
+      sortConditions: { likesCount: -1, createdAt: -1 }
+    };
+
+    it('starts without a condition on the first page', () => {
+      const pagination = keysetPagination(options);
+
+      expect(pagination.state).toBeNull();
+      expect(pagination.condition).toBeNull();
+      expect(pagination.sort).toEqual({ likesCount: -1, createdAt: -1, _id: -1 });
+    });
+
+    it('has no next page when no more than the limit was fetched', () => {
+      const posts = makePosts(3);
+      const page = keysetPagination(options).paginate(posts, 3);
+
+      expect(page.items).toHaveLength(3);
+      expect(page.hasNextPage).toBe(false);
+      expect(page.nextCursor).toBeNull();
+    });
+
+    it('continues after the last item of the page', () => {
+      const posts = makePosts(4);
+      const page = keysetPagination(options).paginate(posts, 3, { t: 123 });
+
+      expect(page.items).toEqual(posts.slice(0, 3));
+      expect(page.hasNextPage).toBe(true);
+
+      const next = keysetPagination({ ...options, cursor: page.nextCursor });
+      const last = posts[2];
+
+      expect(next.state.t).toBe(123);
+      expect(next.condition.$or[2]).toEqual({
+        likesCount: last.likesCount,
+        createdAt: last.createdAt,
+        _id: { $lt: last._id }
+      });
+    });
+
+    it('rejects the cursor for other filters or another endpoint', () => {
+      const { nextCursor } = keysetPagination(options).paginate(makePosts(2), 1);
+
+      expect(() => keysetPagination({ ...options, filters: { timeframe: 48 }, cursor: nextCursor }))
+        .toThrow(InvalidCursorError);
+      expect(() => keysetPagination({ ...options, mode: 'general', cursor: nextCursor }))
+        .toThrow(InvalidCursorError);
+    });
+  });
+
+  describe('packIds / unpackIds', () => {
+    it('round-trips ObjectIds', () => {
+      const ids = makePosts(3).map(post => post._id);
+
+      expect(unpackIds(packIds(ids))).toEqual(ids.map(id => id.toString()));
+      expect(unpackIds()).toEqual([]);
+    });
+
+    it('rejects packed data that is not whole ids', () => {
+      expect(() => unpackIds(Buffer.alloc(13).toString('base64url'))).toThrow(InvalidCursorError);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const { normalizeTag, extractMentions, extractHashtags } = require('../../src/utils/entities');
+
+// Every entity's offsets must select its own text from the content
+const expectOffsetsMatch = (text, entities, prefix) => {
+  entities.forEach(({ start, end }) => {
+    expect(text.slice(start, end).startsWith(prefix)).toBe(true);
+  });
+};
+
+describe('entities utils', () => {
+  describe('normalizeTag', () => {
+    it('lowercases and strips # and punctuation', () => {
+      expect(normalizeTag('#Travel!')).toBe('travel');
+      expect(normalizeTag('  hello-world ')).toBe('helloworld');
+    });
+
+    it('composes decomposed characters so both spellings are one tag', () => {
+      expect(normalizeTag('Cafe\u0301')).toBe('caf\u00e9');
+      expect(normalizeTag('caf\u00e9')).toBe('caf\u00e9');
+    });
+
+    it('returns an empty string when nothing is left', () => {
+      expect(normalizeTag('!!!')).toBe('');
+      expect(normalizeTag()).toBe('');
+    });
+  });
+
+  describe('extractMentions', () => {
+    it('finds mentions with lowercased usernames and their offsets', () => {
+      const text = 'hi @Alice and @bob_1';
+
+      expect(extractMentions(text)).toEqual([
+        { username: 'alice', start: 3, end: 9 },
+        { username: 'bob_1', start: 14, end: 20 }
+      ]);
+    });
+
+    it('counts offsets in UTF-16 code units after surrogate pairs', () => {
+      const text = '\u{1F600}\u{1F600} @alice';
+      const mentions = extractMentions(text);
+
+      expect(mentions).toEqual([{ username: 'alice', start: 5, end: 11 }]);
+      expect(text.slice(mentions[0].start, mentions[0].end)).toBe('@alice');
+    });
+
+    it('ignores e-mail addresses and repeated @', () => {
+      expect(extractMentions('mail bob@example.com')).toEqual([]);
+      expect(extractMentions('@@alice')).toEqual([]);
+    });
+
+    it('only takes usernames of 3 to 30 characters', () => {
+      expect(extractMentions('@ab @abc')).toEqual([{ username: 'abc', start: 4, end: 8 }]);
+      expect(extractMentions(`@${'a'.repeat(31)}`)).toEqual([]);
+    });
+
+    it('returns nothing for empty content', () => {
+      expect(extractMentions()).toEqual([]);
+    });
+  });
+
+  describe('extractHashtags', () => {
+    it('finds hashtags in any script with normalized tags', () => {
+      const text = '#Café #東京 #привет_мир';
+      const hashtags = extractHashtags(text);
+
+      expect(hashtags.map(hashtag => hashtag.tag))
+        .toEqual(['café', '東京', 'привет_мир']);
+      expectOffsetsMatch(text, hashtags, '#');
+    });
+
+    it('keeps combining marks in the tag and its offsets', () => {
+      const text = '#cafe\u0301 ok';
+
+      expect(extractHashtags(text)).toEqual([{ tag: 'caf\u00e9', start: 0, end: 6 }]);
+    });
+
+    it('counts offsets in UTF-16 code units after surrogate pairs', () => {
+      const text = '\u{1D4B3} #tag';
+      const hashtags = extractHashtags(text);
+
+      expect(hashtags).toEqual([{ tag: 'tag', start: 3, end: 7 }]);
+      expect(text.slice(hashtags[0].start, hashtags[0].end)).toBe('#tag');
+    });
+
+    it('accepts the full-width number sign', () => {
+      expect(extractHashtags('＃tag')).toEqual([{ tag: 'tag', start: 0, end: 4 }]);
+    });
+
+    it('skips number-only hashtags but keeps tags that start with numbers', () => {
+      expect(extractHashtags('#1 #2024')).toEqual([]);
+      expect(extractHashtags('#2024goals')).toEqual([{ tag: '2024goals', start: 0, end: 10 }]);
+    });
+
+    it('ignores HTML character references', () => {
+      expect(extractHashtags('Tom&#39;s &#x1F600; #ok')).toEqual([{ tag: 'ok', start: 20, end: 23 }]);
+    });
+
+    it('ignores # inside words and runs of hashtags', () => {
+      expect(extractHashtags('x#tag')).toEqual([]);
+      expect(extractHashtags('#tag#other')).toEqual([]);
+    });
+
+    it('ignores hashtags longer than a tag may be', () => {
+      expect(extractHashtags(`#${'a'.repeat(51)}`)).toEqual([]);
+      expect(extractHashtags(`#${'a'.repeat(50)}`)).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const { buildWordPattern, buildMutedContentCondition } = require('../../src/utils/mutedContent');
+
+// MongoDB runs the pattern case-insensitively; JavaScript needs `u` for \p classes
+const matches = (words, text) => new RegExp(buildWordPattern(words), 'iu').test(text);
+
+describe('mutedContent utils', () => {
+  describe('buildWordPattern', () => {
+    it('matches whole words regardless of case', () => {
+      expect(matches(['art'], 'I love ART')).toBe(true);
+      expect(matches(['art'], 'art.')).toBe(true);
+      expect(matches(['art'], 'party')).toBe(false);
+      expect(matches(['art'], 'artist')).toBe(false);
+    });
+
+    it('treats letters outside ASCII as word characters', () => {
+      expect(matches(['café'], 'Café time')).toBe(true);
+      expect(matches(['café'], 'cafés')).toBe(false);
+      expect(matches(['caf'], 'café')).toBe(false);
+    });
+
+    it('matches any of several words', () => {
+      expect(matches(['spoiler', 'finale'], 'the FINALE was great')).toBe(true);
+      expect(matches(['spoiler', 'finale'], 'nothing to see')).toBe(false);
+    });
+
+    it('escapes regex characters in muted words', () => {
+      expect(matches(['c++'], 'learning c++ today')).toBe(true);
+      expect(matches(['a.b'], 'axb')).toBe(false);
+    });
+  });
+
+  describe('buildMutedContentCondition', () => {
+    it('returns an empty condition when nothing is muted', () => {
+      expect(buildMutedContentCondition()).toEqual({});
+      expect(buildMutedContentCondition({ words: [], tags: [] })).toEqual({});
+    });
+
+    it('excludes muted tags', () => {
+      expect(buildMutedContentCondition({ tags: ['politics'] })).toEqual({
+        $nor: [{ tags: { $in: ['politics'] } }]
+      });
+    });
+
+    it('excludes muted words in the content', () => {
+      expect(buildMutedContentCondition({ words: ['spoiler'], tags: ['politics'] })).toEqual({
+        $nor: [
+          { tags: { $in: ['politics'] } },
+          { content: { $regex: buildWordPattern(['spoiler']), $options: 'i' } }
+        ]
+      });
+    });
+  });
+});